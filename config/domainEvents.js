@@ -0,0 +1,15 @@
+module.exports = {
+  // Envelope `source` of every event this service publishes
+  source: process.env.EVENT_SOURCE || "referral-service",
+  // "http" posts to the event bus at EVENT_BUS_URL; "broker" publishes
+  // through the adapter module at EVENT_BROKER_ADAPTER (see
+  // services/eventTransports.js); "memory" and "file" are local transports
+  // for development
+  transport: process.env.EVENT_TRANSPORT || "http",
+  transportFile: process.env.EVENT_TRANSPORT_FILE || "events.log",
+  memoryLimit: parseInt(process.env.EVENT_MEMORY_LIMIT) || 1000,
+  brokerAdapter: process.env.EVENT_BROKER_ADAPTER || null,
+  // Broker topic is the prefix followed by the event type,
+  // e.g. "referrals." + "reward.credited"
+  topicPrefix: process.env.EVENT_TOPIC_PREFIX || "",
+};
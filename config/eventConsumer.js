@@ -0,0 +1,24 @@
+module.exports = {
+  // Consume upstream events from a broker in addition to POST /api/events
+  enabled: process.env.EVENT_CONSUMER_ENABLED === "true",
+  // "local" is the in-process broker for development and offline testing;
+  // "adapter" subscribes through the module at EVENT_CONSUMER_ADAPTER (see
+  // services/eventBrokers.js)
+  broker: process.env.EVENT_CONSUMER_BROKER || "local",
+  brokerAdapter: process.env.EVENT_CONSUMER_ADAPTER || null,
+  group: process.env.EVENT_CONSUMER_GROUP || "referral-service",
+  topics: (
+    process.env.EVENT_CONSUMER_TOPICS ||
+    "order.completed,delivery.completed,user.verified,order.refunded"
+  )
+    .split(",")
+    .map((topic) => topic.trim())
+    .filter(Boolean),
+  // Attempts per delivery before an event is dead-lettered
+  maxAttempts: parseInt(process.env.EVENT_CONSUMER_MAX_ATTEMPTS) || 5,
+  backoffBaseMs: parseInt(process.env.EVENT_CONSUMER_BACKOFF_BASE_MS) || 500,
+  backoffMaxMs: parseInt(process.env.EVENT_CONSUMER_BACKOFF_MAX_MS) || 30000,
+  // How long handled event ids are kept for deduplication
+  processedRetentionDays:
+    parseInt(process.env.PROCESSED_EVENT_RETENTION_DAYS) || 30,
+};
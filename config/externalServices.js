@@ -0,0 +1,55 @@
+const logger = require("../utils/logger");
+
+// Per-dependency client settings. `retries` only applies to idempotent calls
+// (GETs, or writes that carry an idempotency key). The breaker opens after
+// `failure_threshold` consecutive failures, stays open for `open_ms`, then
+// lets `half_open_probes` requests through to test the dependency.
+// `max_concurrent` caps in-flight requests and `max_queued` the callers
+// waiting for a slot. Override with EXTERNAL_SERVICES as JSON, e.g.
+// {"user": {"timeout_ms": 1000}, "payment": {"retries": 0}}.
+const base = {
+  timeout_ms: 10000,
+  retries: 2,
+  backoff_base_ms: 200,
+  backoff_max_ms: 2000,
+  failure_threshold: 5,
+  open_ms: 30000,
+  half_open_probes: 1,
+  max_concurrent: 20,
+  max_queued: 100,
+};
+
+const defaults = {
+  default: {},
+  user: { timeout_ms: 2000, max_concurrent: 10 },
+  notification: { timeout_ms: 5000 },
+  payment: { timeout_ms: 10000, max_concurrent: 10 },
+  event_bus: { timeout_ms: 5000 },
+  report_delivery: { timeout_ms: 30000, max_concurrent: 2 },
+  // Partner endpoints; only timeout_ms and the bulkhead apply, since
+  // deliveries are retried by the outbox and one partner's outage must not
+  // trip a breaker for the others
+  webhook: { timeout_ms: 10000, max_concurrent: 10, max_queued: 200 },
+};
+
+const parseOverrides = (raw) => {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error("Invalid EXTERNAL_SERVICES configuration:", error.message);
+    return {};
+  }
+};
+
+const overrides = parseOverrides(process.env.EXTERNAL_SERVICES);
+
+module.exports = {
+  dependencies: Object.keys(defaults).reduce((result, name) => {
+    result[name] = { ...base, ...defaults[name], ...(overrides[name] || {}) };
+    return result;
+  }, {}),
+};
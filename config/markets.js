@@ -0,0 +1,42 @@
+const logger = require("../utils/logger");
+
+// Currency and locale per market (ISO country code). Extend or override with
+// MARKETS as JSON, e.g. {"CA": {"currency": "CAD", "locale": "en-CA"}}.
+const defaults = {
+  US: { currency: "USD", locale: "en-US" },
+  CA: { currency: "CAD", locale: "en-CA" },
+  GB: { currency: "GBP", locale: "en-GB" },
+  FR: { currency: "EUR", locale: "fr-FR" },
+  DE: { currency: "EUR", locale: "de-DE" },
+  ES: { currency: "EUR", locale: "es-ES" },
+  MA: { currency: "MAD", locale: "fr-MA" },
+};
+
+const parseOverrides = (raw, name = "MARKETS") => {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error(`Invalid ${name} configuration:`, error.message);
+    return {};
+  }
+};
+
+// Bonus amounts, caps and floors are configured in the base currency.
+// EXCHANGE_RATES gives units of each other currency per base unit, e.g.
+// {"EUR": 0.92, "CAD": 1.36}; a currency with neither a rate nor a
+// per-currency amount is paid in the base currency instead.
+const baseCurrency = process.env.BASE_CURRENCY || "USD";
+
+module.exports = {
+  markets: { ...defaults, ...parseOverrides(process.env.MARKETS) },
+  defaultMarket: process.env.DEFAULT_MARKET || "US",
+  baseCurrency,
+  exchangeRates: {
+    ...parseOverrides(process.env.EXCHANGE_RATES, "EXCHANGE_RATES"),
+    [baseCurrency]: 1,
+  },
+};
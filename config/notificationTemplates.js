@@ -0,0 +1,319 @@
+// Notification templates by language, then notification type. `title` is the
+// push title and email subject; `body` is the push, email and SMS text.
+// {{placeholders}} are filled by NotificationService.render: amounts and
+// dates are formatted for the recipient's locale, {{action}} and
+// {{referee_action}} come from the referral's completion condition.
+// A missing language or type falls back to English.
+module.exports = {
+  en: {
+    phrases: {
+      actions: {
+        first_order: "place your first order",
+        first_delivery: "complete your first delivery",
+        registration: "verify your account",
+      },
+      referee_actions: {
+        first_order: "place their first order",
+        first_delivery: "complete their first delivery",
+        registration: "verify their account",
+      },
+      percentage: {
+        first_order: "{{rate}}% of your first order",
+        first_delivery: "{{rate}}% of your first delivery",
+        registration: "a {{rate}}% bonus",
+      },
+    },
+    templates: {
+      referral_created: {
+        title: "Your referral code was used",
+        body: "Someone just signed up with your referral code. You'll earn your reward once they {{referee_action}}.",
+      },
+      referral_received: {
+        title: "A welcome bonus is waiting",
+        body: "You'll earn {{bonus}} when you {{action}}.",
+      },
+      referral_completed: {
+        title: "Referral completed",
+        body: "Congratulations! Your referral earned you {{amount}}.",
+      },
+      referral_bonus_earned: {
+        title: "Referral bonus earned",
+        body: "You've earned {{amount}} from your referral.",
+      },
+      referral_reward_earned: {
+        title: "You earned a referral reward",
+        body: "Great news! You've earned {{amount}} for your successful referral.",
+      },
+      welcome_bonus_held: {
+        title: "Your welcome bonus is on its way",
+        body: "Welcome! Your {{amount}} welcome bonus will be credited to your account on {{held_until}}.",
+      },
+      welcome_bonus_credited: {
+        title: "Welcome bonus credited",
+        body: "Welcome! Your {{amount}} welcome bonus has been credited to your account.",
+      },
+      reward_released: {
+        title: "Your reward is ready",
+        body: "Your {{amount}} reward is now available to claim.",
+      },
+      reward_credited: {
+        title: "Reward credited",
+        body: "{{amount}} has been credited to your account.",
+      },
+      milestone_achieved: {
+        title: "Milestone reached",
+        body: "Congratulations! You've reached {{milestone}} referrals and earned {{amount}}.",
+      },
+      reward_reversed: {
+        title: "Reward reversed",
+        body: "Your {{amount}} reward has been reversed: {{reason}}",
+      },
+      reward_expired: {
+        title: "Reward expired",
+        body: "Your {{amount}} reward has expired.",
+      },
+      referral_expiring: {
+        title: "Your referral bonus expires soon",
+        body: "Your {{bonus}} referral bonus expires on {{expiry_date}}. Make sure you {{action}} before then.",
+      },
+      reward_expiring: {
+        title: "Your reward expires soon",
+        body: "Your {{amount}} reward expires on {{expiry_date}}. Claim it before it's gone.",
+      },
+    },
+  },
+
+  fr: {
+    phrases: {
+      actions: {
+        first_order: "passé votre première commande",
+        first_delivery: "effectué votre première livraison",
+        registration: "vérifié votre compte",
+      },
+      referee_actions: {
+        first_order: "passé sa première commande",
+        first_delivery: "effectué sa première livraison",
+        registration: "vérifié son compte",
+      },
+      percentage: {
+        first_order: "{{rate}} % de votre première commande",
+        first_delivery: "{{rate}} % de votre première livraison",
+        registration: "un bonus de {{rate}} %",
+      },
+    },
+    templates: {
+      referral_created: {
+        title: "Votre code de parrainage a été utilisé",
+        body: "Quelqu'un vient de s'inscrire avec votre code de parrainage. Vous recevrez votre récompense une fois que votre filleul aura {{referee_action}}.",
+      },
+      referral_received: {
+        title: "Un bonus de bienvenue vous attend",
+        body: "Vous recevrez {{bonus}} après avoir {{action}}.",
+      },
+      referral_completed: {
+        title: "Parrainage validé",
+        body: "Félicitations ! Votre parrainage vous a rapporté {{amount}}.",
+      },
+      referral_bonus_earned: {
+        title: "Bonus de parrainage obtenu",
+        body: "Vous avez gagné {{amount}} grâce à votre parrainage.",
+      },
+      referral_reward_earned: {
+        title: "Vous avez gagné une récompense de parrainage",
+        body: "Bonne nouvelle ! Vous avez gagné {{amount}} pour votre parrainage réussi.",
+      },
+      welcome_bonus_held: {
+        title: "Votre bonus de bienvenue arrive",
+        body: "Bienvenue ! Votre bonus de bienvenue de {{amount}} sera crédité sur votre compte le {{held_until}}.",
+      },
+      welcome_bonus_credited: {
+        title: "Bonus de bienvenue crédité",
+        body: "Bienvenue ! Votre bonus de bienvenue de {{amount}} a été crédité sur votre compte.",
+      },
+      reward_released: {
+        title: "Votre récompense est disponible",
+        body: "Votre récompense de {{amount}} peut maintenant être réclamée.",
+      },
+      reward_credited: {
+        title: "Récompense créditée",
+        body: "{{amount}} a été crédité sur votre compte.",
+      },
+      milestone_achieved: {
+        title: "Palier atteint",
+        body: "Félicitations ! Vous avez atteint {{milestone}} parrainages et gagné {{amount}}.",
+      },
+      reward_reversed: {
+        title: "Récompense annulée",
+        body: "Votre récompense de {{amount}} a été annulée : {{reason}}",
+      },
+      reward_expired: {
+        title: "Récompense expirée",
+        body: "Votre récompense de {{amount}} a expiré.",
+      },
+      referral_expiring: {
+        title: "Votre bonus de parrainage expire bientôt",
+        body: "Votre bonus de parrainage de {{bonus}} expire le {{expiry_date}}. Il vous sera versé après avoir {{action}} d'ici là.",
+      },
+      reward_expiring: {
+        title: "Votre récompense expire bientôt",
+        body: "Votre récompense de {{amount}} expire le {{expiry_date}}. Réclamez-la avant qu'il ne soit trop tard.",
+      },
+    },
+  },
+
+  es: {
+    phrases: {
+      actions: {
+        first_order: "hagas tu primer pedido",
+        first_delivery: "completes tu primera entrega",
+        registration: "verifiques tu cuenta",
+      },
+      referee_actions: {
+        first_order: "haga su primer pedido",
+        first_delivery: "complete su primera entrega",
+        registration: "verifique su cuenta",
+      },
+      percentage: {
+        first_order: "el {{rate}} % de tu primer pedido",
+        first_delivery: "el {{rate}} % de tu primera entrega",
+        registration: "un bono del {{rate}} %",
+      },
+    },
+    templates: {
+      referral_created: {
+        title: "Alguien usó tu código de referido",
+        body: "Alguien se acaba de registrar con tu código de referido. Recibirás tu recompensa cuando tu referido {{referee_action}}.",
+      },
+      referral_received: {
+        title: "Tienes un bono de bienvenida",
+        body: "Ganarás {{bonus}} cuando {{action}}.",
+      },
+      referral_completed: {
+        title: "Referido completado",
+        body: "¡Enhorabuena! Tu referido te ha hecho ganar {{amount}}.",
+      },
+      referral_bonus_earned: {
+        title: "Bono de referido obtenido",
+        body: "Has ganado {{amount}} gracias a tu referido.",
+      },
+      referral_reward_earned: {
+        title: "Has ganado una recompensa por referido",
+        body: "¡Buenas noticias! Has ganado {{amount}} por tu referido.",
+      },
+      welcome_bonus_held: {
+        title: "Tu bono de bienvenida está en camino",
+        body: "¡Bienvenido! Tu bono de bienvenida de {{amount}} se abonará en tu cuenta el {{held_until}}.",
+      },
+      welcome_bonus_credited: {
+        title: "Bono de bienvenida abonado",
+        body: "¡Bienvenido! Tu bono de bienvenida de {{amount}} se ha abonado en tu cuenta.",
+      },
+      reward_released: {
+        title: "Tu recompensa está lista",
+        body: "Ya puedes reclamar tu recompensa de {{amount}}.",
+      },
+      reward_credited: {
+        title: "Recompensa abonada",
+        body: "Se han abonado {{amount}} en tu cuenta.",
+      },
+      milestone_achieved: {
+        title: "Meta alcanzada",
+        body: "¡Enhorabuena! Has llegado a {{milestone}} referidos y has ganado {{amount}}.",
+      },
+      reward_reversed: {
+        title: "Recompensa anulada",
+        body: "Tu recompensa de {{amount}} ha sido anulada: {{reason}}",
+      },
+      reward_expired: {
+        title: "Recompensa caducada",
+        body: "Tu recompensa de {{amount}} ha caducado.",
+      },
+      referral_expiring: {
+        title: "Tu bono de referido caduca pronto",
+        body: "Tu bono de referido de {{bonus}} caduca el {{expiry_date}}. Lo recibirás cuando {{action}} antes de esa fecha.",
+      },
+      reward_expiring: {
+        title: "Tu recompensa caduca pronto",
+        body: "Tu recompensa de {{amount}} caduca el {{expiry_date}}. Reclámala antes de que sea tarde.",
+      },
+    },
+  },
+
+  de: {
+    phrases: {
+      actions: {
+        first_order: "deine erste Bestellung aufgibst",
+        first_delivery: "deine erste Lieferung abschließt",
+        registration: "dein Konto verifizierst",
+      },
+      referee_actions: {
+        first_order: "ihre erste Bestellung aufgibt",
+        first_delivery: "ihre erste Lieferung abschließt",
+        registration: "ihr Konto verifiziert",
+      },
+      percentage: {
+        first_order: "{{rate}} % deiner ersten Bestellung",
+        first_delivery: "{{rate}} % deiner ersten Lieferung",
+        registration: "einen Bonus von {{rate}} %",
+      },
+    },
+    templates: {
+      referral_created: {
+        title: "Dein Empfehlungscode wurde verwendet",
+        body: "Jemand hat sich gerade mit deinem Empfehlungscode registriert. Du erhältst deine Prämie, sobald die geworbene Person {{referee_action}}.",
+      },
+      referral_received: {
+        title: "Ein Willkommensbonus wartet auf dich",
+        body: "Du erhältst {{bonus}}, sobald du {{action}}.",
+      },
+      referral_completed: {
+        title: "Empfehlung abgeschlossen",
+        body: "Glückwunsch! Deine Empfehlung hat dir {{amount}} eingebracht.",
+      },
+      referral_bonus_earned: {
+        title: "Empfehlungsbonus erhalten",
+        body: "Du hast {{amount}} durch deine Empfehlung verdient.",
+      },
+      referral_reward_earned: {
+        title: "Du hast eine Empfehlungsprämie verdient",
+        body: "Gute Nachrichten! Du hast {{amount}} für deine erfolgreiche Empfehlung verdient.",
+      },
+      welcome_bonus_held: {
+        title: "Dein Willkommensbonus ist unterwegs",
+        body: "Willkommen! Dein Willkommensbonus von {{amount}} wird deinem Konto am {{held_until}} gutgeschrieben.",
+      },
+      welcome_bonus_credited: {
+        title: "Willkommensbonus gutgeschrieben",
+        body: "Willkommen! Dein Willkommensbonus von {{amount}} wurde deinem Konto gutgeschrieben.",
+      },
+      reward_released: {
+        title: "Deine Prämie ist bereit",
+        body: "Deine Prämie von {{amount}} kann jetzt eingelöst werden.",
+      },
+      reward_credited: {
+        title: "Prämie gutgeschrieben",
+        body: "{{amount}} wurde deinem Konto gutgeschrieben.",
+      },
+      milestone_achieved: {
+        title: "Meilenstein erreicht",
+        body: "Glückwunsch! Du hast {{milestone}} Empfehlungen erreicht und {{amount}} verdient.",
+      },
+      reward_reversed: {
+        title: "Prämie storniert",
+        body: "Deine Prämie von {{amount}} wurde storniert: {{reason}}",
+      },
+      reward_expired: {
+        title: "Prämie abgelaufen",
+        body: "Deine Prämie von {{amount}} ist abgelaufen.",
+      },
+      referral_expiring: {
+        title: "Dein Empfehlungsbonus läuft bald ab",
+        body: "Dein Empfehlungsbonus von {{bonus}} läuft am {{expiry_date}} ab. Du erhältst ihn, wenn du bis dahin {{action}}.",
+      },
+      reward_expiring: {
+        title: "Deine Prämie läuft bald ab",
+        body: "Deine Prämie von {{amount}} läuft am {{expiry_date}} ab. Löse sie ein, bevor es zu spät ist.",
+      },
+    },
+  },
+};
@@ -0,0 +1,35 @@
+const logger = require("../utils/logger");
+
+// Channels a user receives notifications on until they set a preference.
+// Override with NOTIFICATION_DEFAULT_CHANNELS as JSON, e.g. {"sms": true}.
+const defaults = {
+  push: true,
+  email: true,
+  sms: false,
+};
+
+const parseOverrides = (raw) => {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error("Invalid NOTIFICATION_DEFAULT_CHANNELS configuration:", error.message);
+    return {};
+  }
+};
+
+module.exports = {
+  channels: Object.keys(defaults),
+  defaultChannels: {
+    ...defaults,
+    ...parseOverrides(process.env.NOTIFICATION_DEFAULT_CHANNELS),
+  },
+  defaultLocale: process.env.NOTIFICATION_DEFAULT_LOCALE || "en-US",
+  // "service" delivers through the notification service; "console" and
+  // "file" are local sinks for development
+  sink: process.env.NOTIFICATION_SINK || "service",
+  sinkFile: process.env.NOTIFICATION_SINK_FILE || "notifications.log",
+};
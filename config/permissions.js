@@ -0,0 +1,62 @@
+// Permissions granted to each user role. Routes declare the permissions they
+// need with `authorize(...)`. Only the role grants permissions; scope claims
+// in the token are ignored.
+const rolePermissions = {
+  admin: [
+    "campaign:write",
+    "campaign:stats:read",
+    "campaign:read",
+    "reward:stats:read",
+    "reward_program:read",
+    "reward_program:write",
+    "referral:stats:read:any",
+    "referral:read:any",
+    "referral:review",
+    "referral_code:write:any",
+    "job:read",
+    "job:run",
+    "report:read",
+    "report:write",
+    "event:read",
+    "event:replay",
+    "webhook:manage:any",
+  ],
+  sales: [
+    "campaign:write",
+    "campaign:stats:read",
+    "campaign:read",
+    "reward:stats:read",
+    "reward_program:read",
+    "reward_program:write",
+    "referral:stats:read:any",
+    "referral:read:any",
+    "referral:review",
+    "referral_code:write:any",
+  ],
+  analyst: [
+    "campaign:stats:read",
+    "campaign:read",
+    "reward:stats:read",
+    "reward_program:read",
+    "referral:stats:read:any",
+    "referral:read:any",
+    "report:read",
+  ],
+};
+
+const getPermissions = (user) => {
+  if (!user) {
+    return [];
+  }
+
+  return rolePermissions[user.role] || [];
+};
+
+const hasPermission = (user, permission) =>
+  getPermissions(user).includes(permission);
+
+module.exports = {
+  rolePermissions,
+  getPermissions,
+  hasPermission,
+};
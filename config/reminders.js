@@ -0,0 +1,34 @@
+const logger = require("../utils/logger");
+
+// Days before expiry at which a reminder goes out, per reminder type.
+// Override with REMINDER_WINDOWS as JSON, e.g. {"reward_expiring": [14, 3]}.
+const defaults = {
+  referral_expiring: [7, 1],
+  reward_expiring: [7, 1],
+};
+
+const parseOverrides = (raw) => {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error("Invalid REMINDER_WINDOWS configuration:", error.message);
+    return {};
+  }
+};
+
+const windows = { ...defaults, ...parseOverrides(process.env.REMINDER_WINDOWS) };
+
+module.exports = {
+  // Smallest window first, see ReminderService.sendDueReminders
+  windows: Object.keys(windows).reduce((result, type) => {
+    result[type] = [...windows[type]].sort((a, b) => a - b);
+    return result;
+  }, {}),
+  types: Object.keys(windows),
+  batchSize: parseInt(process.env.REMINDER_BATCH_SIZE) || 500,
+  deepLinkBase: process.env.APP_DEEP_LINK_BASE || "app://",
+};
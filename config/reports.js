@@ -0,0 +1,23 @@
+const logger = require("../utils/logger");
+
+// Where generated reports are sent, as JSON in REPORT_DELIVERY, e.g.
+// {"type": "webhook", "url": "https://reports.example.com/ingest", "format": "csv"}
+// or {"type": "email", "recipients": ["ops@example.com"]}. Unset keeps
+// reports in the reports table only.
+const parseDelivery = (raw) => {
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error("Invalid REPORT_DELIVERY configuration:", error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  delivery: parseDelivery(process.env.REPORT_DELIVERY),
+  maxRangeDays: parseInt(process.env.REPORT_MAX_RANGE_DAYS) || 366,
+};
@@ -0,0 +1,28 @@
+const logger = require("../utils/logger");
+
+// Days a referral reward is held after the qualifying order before it can be
+// claimed or credited, by the rewarded user's type. A reward program's
+// `hold_days` takes precedence. Override with REWARD_HOLD_DAYS as JSON, e.g.
+// {"customer": 7, "restaurant": 30}; 0 disables the hold.
+const defaults = {
+  customer: 14,
+  driver: 14,
+  restaurant: 14,
+};
+
+const parseOverrides = (raw) => {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error("Invalid REWARD_HOLD_DAYS configuration:", error.message);
+    return {};
+  }
+};
+
+module.exports = {
+  holdDays: { ...defaults, ...parseOverrides(process.env.REWARD_HOLD_DAYS) },
+};
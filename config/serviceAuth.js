@@ -0,0 +1,40 @@
+const logger = require("../utils/logger");
+
+// Internal callers are configured through INTERNAL_SERVICES as JSON, e.g.
+// {
+//   "order-service": {
+//     "keys": ["current-key", "previous-key"],
+//     "trigger_types": ["order_completed", "order_refunded", "order_cancelled"],
+//     "event_types": []
+//   },
+//   "user-service": { "keys": ["..."], "event_types": ["user_updated"] }
+// }
+// Every key listed is accepted, so a key is rotated by adding the new one,
+// redeploying callers, then removing the old one.
+const parseServices = (raw) => {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.entries(parsed).reduce((services, [name, service]) => {
+      services[name] = {
+        name,
+        keys: (service.keys || []).filter(Boolean),
+        trigger_types: service.trigger_types || [],
+        event_types: service.event_types || [],
+      };
+      return services;
+    }, {});
+  } catch (error) {
+    logger.error("Invalid INTERNAL_SERVICES configuration:", error.message);
+    return {};
+  }
+};
+
+module.exports = {
+  services: parseServices(process.env.INTERNAL_SERVICES),
+  signatureToleranceSeconds:
+    parseInt(process.env.SERVICE_SIGNATURE_TOLERANCE_SECONDS) || 300,
+};
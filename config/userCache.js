@@ -0,0 +1,19 @@
+// User profile cache. Unknown users are cached for the shorter negative TTL.
+// Each replica keeps its own cache; a user_updated event is logged in
+// user_cache_invalidations and every replica polls the log, so a change is
+// dropped everywhere within `invalidationPollSeconds` (1-59). Log rows are
+// kept for `invalidationRetentionMinutes`, which must outlast the TTL.
+// With USER_BULK_LOOKUP=false, batch lookups fan out to single-user calls
+// instead of the user service's bulk endpoint.
+module.exports = {
+  ttlSeconds: parseInt(process.env.USER_CACHE_TTL_SECONDS) || 300,
+  negativeTtlSeconds: parseInt(process.env.USER_CACHE_NEGATIVE_TTL_SECONDS) || 60,
+  maxEntries: parseInt(process.env.USER_CACHE_MAX_ENTRIES) || 10000,
+  invalidationPollSeconds:
+    parseInt(process.env.USER_CACHE_INVALIDATION_POLL_SECONDS) || 5,
+  invalidationRetentionMinutes:
+    parseInt(process.env.USER_CACHE_INVALIDATION_RETENTION_MINUTES) || 60,
+  bulkLookup: process.env.USER_BULK_LOOKUP !== "false",
+  bulkBatchSize: parseInt(process.env.USER_BULK_BATCH_SIZE) || 100,
+  fanOutConcurrency: parseInt(process.env.USER_LOOKUP_CONCURRENCY) || 5,
+};
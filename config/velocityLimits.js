@@ -0,0 +1,62 @@
+const logger = require("../utils/logger");
+
+// Maximum referrals per window, by referral code owner type and scope:
+//   code     - referrals created with a single code
+//   owner    - referrals credited to one referrer across all their codes
+//   campaign - referrals attached to one campaign
+// Override any part with VELOCITY_LIMITS (same shape, as JSON). Individual
+// codes can override the code-scope limits through `velocity_limits`.
+const defaults = {
+  customer: {
+    code: { hour: 5, day: 20 },
+    owner: { hour: 10, day: 40 },
+    campaign: { hour: 500, day: 5000 },
+  },
+  driver: {
+    code: { hour: 5, day: 15 },
+    owner: { hour: 5, day: 15 },
+    campaign: { hour: 200, day: 2000 },
+  },
+  restaurant: {
+    code: { hour: 10, day: 50 },
+    owner: { hour: 20, day: 100 },
+    campaign: { hour: 200, day: 2000 },
+  },
+};
+
+const windows = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+};
+
+const parseOverrides = (raw) => {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error("Invalid VELOCITY_LIMITS configuration:", error.message);
+    return {};
+  }
+};
+
+const overrides = parseOverrides(process.env.VELOCITY_LIMITS);
+
+const limits = Object.keys(defaults).reduce((result, ownerType) => {
+  result[ownerType] = {};
+  for (const scope of Object.keys(defaults[ownerType])) {
+    result[ownerType][scope] = {
+      ...defaults[ownerType][scope],
+      ...((overrides[ownerType] || {})[scope] || {}),
+    };
+  }
+  return result;
+}, {});
+
+module.exports = {
+  limits,
+  windows,
+  store: process.env.VELOCITY_STORE || "sql",
+};
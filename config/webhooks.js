@@ -0,0 +1,13 @@
+module.exports = {
+  // Delivery attempts before a webhook delivery is marked failed; retries
+  // back off exponentially (OUTBOX_RETRY_BASE_SECONDS doubling up to
+  // OUTBOX_RETRY_MAX_SECONDS)
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  maxSubscriptionsPerOwner:
+    parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS_PER_OWNER) || 10,
+  // Plain http and private or loopback hosts are only accepted outside
+  // production, for local receivers
+  allowInsecureUrls: process.env.NODE_ENV !== "production",
+  // Characters of each response body kept in the delivery log
+  responseBodyLimit: parseInt(process.env.WEBHOOK_RESPONSE_BODY_LIMIT) || 1000,
+};
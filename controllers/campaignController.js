@@ -1,18 +1,15 @@
 const Campaign = require("../models/Campaign");
 const logger = require("../utils/logger");
-const { validateCampaign } = require("../validators/referralValidator");
+const {
+  validateCampaign,
+  validateCampaignUpdate,
+  validateCampaignQuery,
+} = require("../validators/referralValidator");
 
 class CampaignController {
-  // Create campaign (admin only)
+  // Create campaign
   static async createCampaign(req, res) {
     try {
-      if (!["admin", "sales"].includes(req.user.role)) {
-        return res.status(403).json({
-          success: false,
-          message: "Access denied",
-        });
-      }
-
       const { error, value } = validateCampaign(req.body);
       if (error) {
         return res.status(400).json({
@@ -45,6 +42,60 @@ class CampaignController {
     }
   }
 
+  // List campaigns with filters; archived ones only when asked for by status
+  static async getCampaigns(req, res) {
+    try {
+      const { error, value } = validateCampaignQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const { page, limit, ...filters } = value;
+      const campaigns = await Campaign.findAll(filters, limit, (page - 1) * limit);
+      const total = await Campaign.countAll(filters);
+
+      res.json({
+        success: true,
+        data: campaigns,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get campaigns error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Dashboard totals across campaigns
+  static async getCampaignSummary(req, res) {
+    try {
+      const days = parseInt(req.query.days) || 7;
+      const summary = await Campaign.getCampaignSummary(days);
+
+      res.json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      logger.error("Get campaign summary error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
   // Get active campaigns
   static async getActiveCampaigns(req, res) {
     try {
@@ -93,13 +144,6 @@ class CampaignController {
   // Get campaign statistics
   static async getCampaignStats(req, res) {
     try {
-      if (!["admin", "sales"].includes(req.user.role)) {
-        return res.status(403).json({
-          success: false,
-          message: "Access denied",
-        });
-      }
-
       const { id } = req.params;
       const stats = await Campaign.getCampaignStats(id);
 
@@ -123,16 +167,85 @@ class CampaignController {
     }
   }
 
-  // Update campaign status
-  static async updateCampaignStatus(req, res) {
+  // Update campaign details. Bonus terms and the start date are locked once
+  // the campaign has launched; new dates move it to the status they call for.
+  static async updateCampaign(req, res) {
     try {
-      if (!["admin", "sales"].includes(req.user.role)) {
-        return res.status(403).json({
+      const { id } = req.params;
+      const campaign = await Campaign.findById(id);
+      if (!campaign) {
+        return res.status(404).json({
           success: false,
-          message: "Access denied",
+          message: "Campaign not found",
         });
       }
 
+      if (campaign.status === "archived") {
+        return res.status(409).json({
+          success: false,
+          message: "Archived campaigns cannot be edited",
+        });
+      }
+
+      const { error, value } = validateCampaignUpdate(req.body, campaign);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const updatedCampaign = await Campaign.update(id, value);
+
+      logger.info(`Campaign updated: ${id} by user: ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: "Campaign updated successfully",
+        data: updatedCampaign,
+      });
+    } catch (error) {
+      logger.error("Update campaign error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Archive (soft-delete) a campaign. Its referrals and rewards keep
+  // pointing at it.
+  static async archiveCampaign(req, res) {
+    try {
+      const { id } = req.params;
+      const campaign = await Campaign.archive(id);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: "Campaign not found",
+        });
+      }
+
+      logger.info(`Campaign archived: ${id} by user: ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: "Campaign archived successfully",
+        data: campaign,
+      });
+    } catch (error) {
+      logger.error("Archive campaign error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Update campaign status
+  static async updateCampaignStatus(req, res) {
+    try {
       const { id } = req.params;
       const { is_active } = req.body;
 
@@ -144,6 +257,19 @@ class CampaignController {
         });
       }
 
+      if (
+        campaign.status === "archived" ||
+        (is_active && campaign.status === "ended")
+      ) {
+        return res.status(409).json({
+          success: false,
+          message:
+            campaign.status === "archived"
+              ? "Archived campaigns cannot change status"
+              : "Campaign has ended; extend its end_date to reactivate it",
+        });
+      }
+
       const updatedCampaign = await Campaign.updateStatus(id, is_active);
 
       res.json({
@@ -0,0 +1,187 @@
+const DeadLetterEvent = require("../models/DeadLetterEvent");
+const logger = require("../utils/logger");
+const InboundEventService = require("../services/inboundEventService");
+const { catalog, common } = require("../schemas/events");
+const { validateInboundEvent } = require("../validators/referralValidator");
+
+class EventController {
+  // Receive an event from another service (internal call)
+  static async receiveEvent(req, res) {
+    try {
+      const { error, value } = validateInboundEvent(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      if (!InboundEventService.isSupported(value.event_type)) {
+        return res.status(422).json({
+          success: false,
+          message: `Unsupported event type: ${value.event_type}`,
+        });
+      }
+
+      const result = await InboundEventService.handle(value);
+
+      res.json({
+        success: true,
+        message: result.duplicate ? "Event already processed" : "Event processed",
+      });
+    } catch (error) {
+      if (error.permanent) {
+        return res.status(422).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      logger.error("Receive event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Dead-lettered inbound events, oldest first (admin)
+  static async getDeadLetters(req, res) {
+    try {
+      const { page = 1, limit = 50, status = "pending", event_type } = req.query;
+      const offset = (page - 1) * limit;
+
+      const deadLetters = await DeadLetterEvent.findAll(
+        { status, event_type },
+        parseInt(limit),
+        offset
+      );
+
+      res.json({
+        success: true,
+        data: deadLetters,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get dead letters error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Replay pending dead letters, optionally only one event type (admin)
+  static async replayDeadLetters(req, res) {
+    try {
+      const { event_type, limit = 100 } = req.body || {};
+      const result = await InboundEventService.replayDeadLetters(
+        { event_type },
+        Math.min(parseInt(limit) || 100, 1000)
+      );
+
+      logger.info(
+        `Dead letters replayed by user ${req.user.id}: ${result.replayed} of ${result.attempted}`
+      );
+      res.json({
+        success: true,
+        message: `Replayed ${result.replayed} of ${result.attempted} events`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Replay dead letters error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Replay one dead letter (admin)
+  static async replayDeadLetter(req, res) {
+    try {
+      const deadLetter = await InboundEventService.replayDeadLetter(req.params.id);
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          message: "Pending dead letter not found",
+        });
+      }
+
+      const replayed = deadLetter.status === "replayed";
+      res.status(replayed ? 200 : 422).json({
+        success: replayed,
+        message: replayed ? "Event replayed" : `Replay failed: ${deadLetter.error}`,
+        data: deadLetter,
+      });
+    } catch (error) {
+      logger.error("Replay dead letter error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Give up on a dead letter that should never be replayed (admin)
+  static async discardDeadLetter(req, res) {
+    try {
+      const discarded = await DeadLetterEvent.discard(req.params.id);
+      if (!discarded) {
+        return res.status(404).json({
+          success: false,
+          message: "Pending dead letter not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Dead letter discarded",
+      });
+    } catch (error) {
+      logger.error("Discard dead letter error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // List the domain events we publish, with their current versions
+  static async getSchemas(req, res) {
+    res.json({
+      success: true,
+      message: "Event schemas retrieved successfully",
+      data: Object.entries(catalog).map(([eventType, entry]) => ({
+        event_type: eventType,
+        version: entry.version,
+        schema: `${req.baseUrl}/schemas/${eventType}.v${entry.version}.json`,
+      })),
+    });
+  }
+
+  // Serve one JSON Schema by file name, e.g. reward.credited.v1.json, so
+  // their relative $refs to common.v1.json resolve
+  static async getSchema(req, res) {
+    const schemas = { "common.v1.json": common };
+    for (const [eventType, entry] of Object.entries(catalog)) {
+      schemas[`${eventType}.v${entry.version}.json`] = entry.schema;
+    }
+
+    const schema = schemas[req.params.name];
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        message: "Event schema not found",
+      });
+    }
+
+    res.type("application/schema+json").send(JSON.stringify(schema, null, 2));
+  }
+}
+
+module.exports = EventController;
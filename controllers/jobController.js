@@ -0,0 +1,98 @@
+const ScheduledJob = require("../models/ScheduledJob");
+const JobRun = require("../models/JobRun");
+const logger = require("../utils/logger");
+const JobScheduler = require("../services/jobScheduler");
+
+class JobController {
+  // List scheduled jobs with their next run and last outcome
+  static async getJobs(req, res) {
+    try {
+      const jobs = await ScheduledJob.findAll();
+
+      res.json({
+        success: true,
+        data: jobs,
+      });
+    } catch (error) {
+      logger.error("Get jobs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Run history for one job, most recent first
+  static async getJobRuns(req, res) {
+    try {
+      const { name } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const job = await ScheduledJob.findByName(name);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
+
+      const runs = await JobRun.findByJob(name, parseInt(limit), offset);
+
+      res.json({
+        success: true,
+        data: runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get job runs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Run a job now; responds with the recorded run once it finishes
+  static async runJob(req, res) {
+    try {
+      const { name } = req.params;
+
+      const job = await ScheduledJob.findByName(name);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
+
+      const run = await JobScheduler.runNow(name, req.user.id);
+      if (!run) {
+        return res.status(409).json({
+          success: false,
+          message: "Job is already running or disabled",
+        });
+      }
+
+      logger.info(`Job ${name} run manually by user: ${req.user.id}`);
+
+      res.json({
+        success: run.status === "succeeded",
+        message:
+          run.status === "succeeded" ? "Job run completed" : "Job run failed",
+        data: run,
+      });
+    } catch (error) {
+      logger.error("Run job error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = JobController;
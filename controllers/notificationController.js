@@ -0,0 +1,55 @@
+const logger = require("../utils/logger");
+const NotificationService = require("../services/notificationService");
+const { validateNotificationPreferences } = require("../validators/referralValidator");
+
+class NotificationController {
+  // Current user's notification channels
+  static async getPreferences(req, res) {
+    try {
+      const preferences = await NotificationService.getPreferences(req.user.id);
+
+      res.json({
+        success: true,
+        data: preferences,
+      });
+    } catch (error) {
+      logger.error("Get notification preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  static async updatePreferences(req, res) {
+    try {
+      const { error, value } = validateNotificationPreferences(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const preferences = await NotificationService.updatePreferences(
+        req.user.id,
+        value.channels
+      );
+
+      res.json({
+        success: true,
+        message: "Notification preferences updated",
+        data: preferences,
+      });
+    } catch (error) {
+      logger.error("Update notification preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = NotificationController;
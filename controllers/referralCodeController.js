@@ -1,6 +1,12 @@
 const ReferralCode = require("../models/ReferralCode");
+const UserDevice = require("../models/UserDevice");
 const logger = require("../utils/logger");
-const { validateReferralCode } = require("../validators/referralValidator");
+const RewardProgramService = require("../services/rewardProgramService");
+const { hasPermission } = require("../config/permissions");
+const {
+  validateReferralCode,
+  validateVelocityLimits,
+} = require("../validators/referralValidator");
 
 class ReferralCodeController {
   // Create referral code
@@ -38,6 +44,13 @@ class ReferralCodeController {
 
       const referralCode = await ReferralCode.create(codeData);
 
+      // Remember the owner's device so referees on the same one can be flagged
+      await UserDevice.record(
+        req.user.id,
+        req.ip,
+        req.header("X-Device-Fingerprint")
+      );
+
       logger.info(
         `Referral code created: ${referralCode.code} for user: ${req.user.id}`
       );
@@ -87,13 +100,20 @@ class ReferralCodeController {
         });
       }
 
+      const program =
+        validCode.bonus_amount === null
+          ? await RewardProgramService.resolve(validCode.owner_type)
+          : null;
+
       res.json({
         success: true,
         data: {
           valid: true,
           code: validCode.code,
-          bonus_amount: validCode.bonus_amount,
-          bonus_type: validCode.bonus_type,
+          bonus_amount: program
+            ? program.referrer_bonus
+            : validCode.bonus_amount,
+          bonus_type: program ? program.referrer_bonus_type : validCode.bonus_type,
           minimum_order_amount: validCode.minimum_order_amount,
           usage_count: validCode.usage_count,
           max_usage: validCode.max_usage,
@@ -108,6 +128,50 @@ class ReferralCodeController {
     }
   }
 
+  // Override velocity limits for a single code
+  static async updateVelocityLimits(req, res) {
+    try {
+      const { error, value } = validateVelocityLimits(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const { id } = req.params;
+      const code = await ReferralCode.findById(id);
+      if (!code) {
+        return res.status(404).json({
+          success: false,
+          message: "Referral code not found",
+        });
+      }
+
+      const updatedCode = await ReferralCode.updateVelocityLimits(
+        id,
+        value.velocity_limits
+      );
+
+      logger.info(
+        `Velocity limits updated for referral code ${code.code} by user: ${req.user.id}`
+      );
+
+      res.json({
+        success: true,
+        message: "Velocity limits updated successfully",
+        data: updatedCode,
+      });
+    } catch (error) {
+      logger.error("Update velocity limits error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
   // Deactivate referral code
   static async deactivateReferralCode(req, res) {
     try {
@@ -123,7 +187,7 @@ class ReferralCodeController {
 
       if (
         code.owner_id !== req.user.id &&
-        !["admin", "sales"].includes(req.user.role)
+        !hasPermission(req.user, "referral_code:write:any")
       ) {
         return res.status(403).json({
           success: false,
@@ -1,14 +1,23 @@
 const Referral = require("../models/Referral");
 const ReferralCode = require("../models/ReferralCode");
-const Reward = require("../models/Reward");
 const Campaign = require("../models/Campaign");
 const logger = require("../utils/logger");
+const { hasPermission } = require("../config/permissions");
 const {
   validateReferral,
   validateReferralCode,
+  validateReferralQuery,
 } = require("../validators/referralValidator");
-const externalServices = require("../services/externalServices");
-const rewardService = require("../services/externalService");
+const UserProfileService = require("../services/userProfileService");
+const ReferralService = require("../services/referralService");
+const RewardProgramService = require("../services/rewardProgramService");
+const MarketService = require("../services/marketService");
+const {
+  amountForCurrency,
+  convertAmount,
+  resolveInCurrency,
+  baseCurrency,
+} = require("../utils/currency");
 
 class ReferralController {
   // Create referral
@@ -61,6 +70,69 @@ class ReferralController {
       );
       const campaign = activeCampaigns.length > 0 ? activeCampaigns[0] : null;
 
+      // Bonus terms from the reward program active right now; a campaign or a
+      // code-specific bonus still takes precedence for the referrer
+      const program = await RewardProgramService.resolve(
+        referralCode.owner_type,
+        value.referee_type
+      );
+      const referrerTerms = campaign
+        ? {
+            amount: campaign.bonus_amount,
+            type: campaign.bonus_type,
+            amounts: campaign.bonus_amounts,
+            max: campaign.max_bonus_amount,
+            min: campaign.min_bonus_amount,
+          }
+        : referralCode.bonus_amount !== null
+        ? {
+            amount: referralCode.bonus_amount,
+            type: referralCode.bonus_type,
+            amounts: referralCode.bonus_amounts,
+            max: referralCode.max_bonus_amount,
+            min: referralCode.min_bonus_amount,
+          }
+        : {
+            amount: program.referrer_bonus,
+            type: program.referrer_bonus_type,
+            max: program.referrer_max_bonus_amount,
+            min: program.referrer_min_bonus_amount,
+          };
+
+      // Each side is paid in the currency of their own market, with the
+      // bonus, cap and floor all resolved in that currency; a side whose
+      // currency has no configured amount or rate is paid in the base one
+      const [referrerMarket, refereeMarket] = await Promise.all([
+        MarketService.resolveUserMarket(
+          referralCode.owner_id,
+          referralCode.owner_type
+        ),
+        MarketService.resolveUserMarket(value.referee_id, value.referee_type),
+      ]);
+      const referrer = ReferralController.resolveBonusTerms(
+        referrerTerms,
+        referrerMarket.currency
+      );
+      const referee = ReferralController.resolveBonusTerms(
+        {
+          amount: program.referee_bonus,
+          type: program.referee_bonus_type,
+          max: program.referee_max_bonus_amount,
+          min: program.referee_min_bonus_amount,
+        },
+        refereeMarket.currency
+      );
+      for (const [side, terms, market] of [
+        ["referrer", referrer, referrerMarket],
+        ["referee", referee, refereeMarket],
+      ]) {
+        if (terms.currency !== market.currency) {
+          logger.warn(
+            `No ${market.currency} amount or exchange rate for the ${side} bonus; paying in ${terms.currency}`
+          );
+        }
+      }
+
       // Create referral
       const referralData = {
         referrer_id: referralCode.owner_id,
@@ -69,35 +141,72 @@ class ReferralController {
         referee_type: value.referee_type,
         referral_code: value.referral_code,
         completion_condition: this.getCompletionCondition(value.referee_type),
-        referrer_bonus: campaign
-          ? campaign.bonus_amount
-          : referralCode.bonus_amount,
-        referee_bonus: this.getRefereeBonus(value.referee_type),
+        referrer_bonus: referrer.amount,
+        referrer_bonus_type: referrerTerms.type,
+        referrer_max_bonus_amount: referrer.max,
+        referrer_min_bonus_amount: referrer.min,
+        referee_bonus: referee.amount,
+        referee_bonus_type: program.referee_bonus_type,
+        referee_max_bonus_amount: referee.max,
+        referee_min_bonus_amount: referee.min,
+        referrer_currency: referrer.currency,
+        referee_currency: referee.currency,
         minimum_order_amount: referralCode.minimum_order_amount,
         campaign_id: campaign ? campaign.id : null,
+        metadata: {
+          reward_program_id: program.program_id,
+          hold_days: {
+            referrer: program.referrer_hold_days,
+            referee: program.referee_hold_days,
+          },
+          markets: {
+            referrer: {
+              market: referrerMarket.market,
+              currency: referrerMarket.currency,
+              locale: referrerMarket.locale,
+            },
+            referee: {
+              market: refereeMarket.market,
+              currency: refereeMarket.currency,
+              locale: refereeMarket.locale,
+            },
+          },
+        },
       };
 
-      const referral = await Referral.create(referralData);
-
-      // Increment code usage
-      await ReferralCode.incrementUsage(referralCode.id);
-
-      // Increment campaign participants if applicable
-      if (campaign) {
-        await Campaign.incrementParticipants(campaign.id);
-      }
-
-      // Send notifications
-      await this.sendReferralNotifications(referral);
-
-      logger.info(`Referral created: ${referral.id}`);
+      const referral = await ReferralService.createReferral(
+        referralData,
+        referralCode,
+        campaign,
+        {
+          ip: req.ip,
+          device_fingerprint:
+            req.header("X-Device-Fingerprint") || value.device_fingerprint,
+        }
+      );
 
       res.status(201).json({
         success: true,
-        message: "Referral created successfully",
+        message:
+          referral.status === "under_review"
+            ? "Referral created and pending review"
+            : "Referral created successfully",
         data: referral,
       });
     } catch (error) {
+      // Per-code, per-referrer and per-campaign velocity limits, enforced
+      // when the referral is written
+      if (error.code === "VELOCITY_LIMIT") {
+        const { velocity } = error;
+        res.set("Retry-After", String(velocity.retry_after_seconds));
+        return res.status(429).json({
+          success: false,
+          message: `${error.message}. Try again after ${velocity.retry_at}`,
+          retry_after_seconds: velocity.retry_after_seconds,
+          retry_at: velocity.retry_at,
+        });
+      }
+
       logger.error("Create referral error:", error);
       res.status(500).json({
         success: false,
@@ -106,6 +215,35 @@ class ReferralController {
     }
   }
 
+  // Bonus terms ({ amount, type, amounts, max, min }, configured in the base
+  // currency) resolved in `currency`, or in the base currency when any part
+  // of them has no mapping there. Percentage rates carry no currency; only
+  // their cap and floor are converted.
+  static resolveBonusTerms(terms, currency) {
+    const resolved = resolveInCurrency(currency, (target) => {
+      const amount =
+        terms.type === "percentage"
+          ? terms.amount
+          : amountForCurrency(terms.amount, terms.amounts, target);
+      const max =
+        terms.max === null || terms.max === undefined
+          ? null
+          : convertAmount(terms.max, baseCurrency, target);
+      const min =
+        terms.min === null || terms.min === undefined
+          ? null
+          : convertAmount(terms.min, baseCurrency, target);
+
+      const unmapped =
+        amount === null ||
+        (terms.max !== null && terms.max !== undefined && max === null) ||
+        (terms.min !== null && terms.min !== undefined && min === null);
+      return unmapped ? null : { amount, max, min };
+    });
+
+    return { currency: resolved.currency, ...resolved.value };
+  }
+
   // Complete referral (triggered by external events)
   static async completeReferral(req, res) {
     try {
@@ -133,25 +271,23 @@ class ReferralController {
         });
       }
 
-      // Complete the referral
-      const completedReferral = await Referral.completeReferral(referral_id, {
+      // Complete the referral and issue rewards in one transaction
+      const completion = await ReferralService.completeReferral(referral_id, {
         order_id,
         delivery_id,
       });
 
-      if (completedReferral) {
-        // Process rewards
-        await rewardService.processReferralRewards(completedReferral);
-
-        // Send completion notifications
-        await this.sendCompletionNotifications(completedReferral);
-
-        logger.info(`Referral completed: ${referral_id}`);
-
+      if (completion && completion.under_review) {
+        res.status(202).json({
+          success: true,
+          message: "Referral completion is pending review",
+          data: completion.referral,
+        });
+      } else if (completion) {
         res.json({
           success: true,
           message: "Referral completed successfully",
-          data: completedReferral,
+          data: completion.referral,
         });
       } else {
         res.status(400).json({
@@ -183,18 +319,27 @@ class ReferralController {
       }
 
       // Get owner details (this would typically call user service)
-      const ownerDetails = await externalServices.getUserDetails(
+      const ownerDetails = await UserProfileService.getUserDetails(
         referralCode.owner_id,
         referralCode.owner_type
       );
 
+      const program =
+        referralCode.bonus_amount === null
+          ? await RewardProgramService.resolve(referralCode.owner_type)
+          : null;
+
       res.json({
         success: true,
         data: {
           code: referralCode.code,
           owner_type: referralCode.owner_type,
-          bonus_amount: referralCode.bonus_amount,
-          bonus_type: referralCode.bonus_type,
+          bonus_amount: program
+            ? program.referrer_bonus
+            : referralCode.bonus_amount,
+          bonus_type: program
+            ? program.referrer_bonus_type
+            : referralCode.bonus_type,
           minimum_order_amount: referralCode.minimum_order_amount,
           owner_name: ownerDetails ? ownerDetails.name : "Anonymous",
           usage_count: referralCode.usage_count,
@@ -213,28 +358,23 @@ class ReferralController {
   // Get user referrals
   static async getUserReferrals(req, res) {
     try {
-      const { page = 1, limit = 20, type = "sent" } = req.query;
-      const offset = (page - 1) * limit;
-
-      let referrals;
-      if (type === "sent") {
-        referrals = await Referral.findByReferrer(
-          req.user.id,
-          parseInt(limit),
-          offset
-        );
-      } else {
-        referrals = await Referral.findByReferee(req.user.id);
+      const { error, value } = validateReferralQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
       }
 
-      res.json({
-        success: true,
-        data: referrals,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: referrals.length,
-        },
+      const side = {
+        sent: "referrer_id",
+        received: "referee_id",
+        all: "participant_id",
+      }[value.type];
+
+      return ReferralController.sendReferralPage(res, value, {
+        [side]: req.user.id,
       });
     } catch (error) {
       logger.error("Get user referrals error:", error);
@@ -245,6 +385,74 @@ class ReferralController {
     }
   }
 
+  // Referrals across all users (?referrer_id, ?referee_id or ?user_id to
+  // narrow to one)
+  static async getReferrals(req, res) {
+    try {
+      const { error, value } = validateReferralQuery(req.query, true);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      return ReferralController.sendReferralPage(res, value, {
+        referrer_id: value.referrer_id,
+        referee_id: value.referee_id,
+        participant_id: value.user_id,
+      });
+    } catch (error) {
+      logger.error("Get referrals error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // One page of a validated referral query. `next_cursor` fetches the page
+  // after this one; without a cursor, `page` pages by offset.
+  static async sendReferralPage(res, query, filters) {
+    if (query.cursor && !Referral.decodeCursor(query.cursor, query.sort)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid cursor",
+      });
+    }
+
+    const { referrals, total, next_cursor } = await Referral.findReferrals(
+      {
+        ...filters,
+        status: query.status,
+        campaign_id: query.campaign_id,
+        referral_code: query.referral_code,
+        created_from: query.created_from,
+        created_to: query.created_to,
+      },
+      {
+        sort: query.sort,
+        order: query.order,
+        limit: query.limit,
+        offset: (query.page - 1) * query.limit,
+        cursor: query.cursor,
+      }
+    );
+
+    res.json({
+      success: true,
+      data: referrals,
+      pagination: {
+        page: query.cursor ? null : query.page,
+        limit: query.limit,
+        total,
+        pages: Math.ceil(total / query.limit),
+        next_cursor,
+      },
+    });
+  }
+
   // Get referral statistics
   static async getReferralStats(req, res) {
     try {
@@ -254,7 +462,7 @@ class ReferralController {
       // Check authorization
       if (
         referrerId !== req.user.id &&
-        !["admin", "sales"].includes(req.user.role)
+        !hasPermission(req.user, "referral:stats:read:any")
       ) {
         return res.status(403).json({
           success: false,
@@ -284,43 +492,47 @@ class ReferralController {
   // Process referral by external trigger
   static async processReferralTrigger(req, res) {
     try {
-      const { referee_id, referee_type, trigger_type, trigger_data } = req.body;
-
-      // Find pending referrals for this referee
-      const refereeReferrals = await Referral.findByReferee(referee_id);
-      const pendingReferrals = refereeReferrals.filter(
-        (r) => r.status === "pending"
-      );
-
-      const completedReferrals = [];
+      const { referee_id, trigger_type, trigger_data } = req.body;
+
+      if (ReferralService.isReversalTrigger(trigger_type)) {
+        if (!trigger_data || !trigger_data.order_id) {
+          return res.status(400).json({
+            success: false,
+            message: "trigger_data.order_id is required for " + trigger_type,
+          });
+        }
 
-      for (const referral of pendingReferrals) {
-        // Check if trigger matches completion condition
-        const shouldComplete = this.shouldCompleteReferral(
-          referral,
+        const { reversed, cancelled } = await ReferralService.processTrigger(
+          referee_id,
           trigger_type,
           trigger_data
         );
-
-        if (shouldComplete) {
-          const completed = await Referral.completeReferral(
-            referral.id,
-            trigger_data
-          );
-          if (completed) {
-            await rewardService.processReferralRewards(completed);
-            await this.sendCompletionNotifications(completed);
-            completedReferrals.push(completed);
-          }
-        }
+        return res.json({
+          success: true,
+          message: `Reversed ${reversed.length} referrals, cancelled ${cancelled.length} held for review`,
+          data: {
+            reversed_count: reversed.length,
+            reversed_referrals: reversed,
+            cancelled_count: cancelled.length,
+            cancelled_referrals: cancelled,
+          },
+        });
       }
 
+      const result = await ReferralService.processTrigger(
+        referee_id,
+        trigger_type,
+        trigger_data
+      );
+
       res.json({
         success: true,
-        message: `Processed ${completedReferrals.length} referrals`,
+        message: `Processed ${result.completed.length} referrals`,
         data: {
-          completed_count: completedReferrals.length,
-          completed_referrals: completedReferrals,
+          completed_count: result.completed.length,
+          completed_referrals: result.completed,
+          under_review_count: result.under_review.length,
+          under_review_referrals: result.under_review,
         },
       });
     } catch (error) {
@@ -345,86 +557,6 @@ class ReferralController {
         return "first_order";
     }
   }
-
-  static getRefereeBonus(refereeType) {
-    switch (refereeType) {
-      case "customer":
-        return parseFloat(process.env.CUSTOMER_REFERRAL_BONUS) || 10.0;
-      case "driver":
-        return parseFloat(process.env.DRIVER_REFERRAL_BONUS) || 25.0;
-      case "restaurant":
-        return parseFloat(process.env.RESTAURANT_REFERRAL_BONUS) || 50.0;
-      default:
-        return 10.0;
-    }
-  }
-
-  static shouldCompleteReferral(referral, triggerType, triggerData) {
-    switch (referral.completion_condition) {
-      case "first_order":
-        return (
-          triggerType === "order_completed" &&
-          triggerData.customer_id === referral.referee_id &&
-          (!referral.minimum_order_amount ||
-            triggerData.amount >= referral.minimum_order_amount)
-        );
-
-      case "first_delivery":
-        return (
-          triggerType === "delivery_completed" &&
-          triggerData.driver_id === referral.referee_id
-        );
-
-      case "registration":
-        return (
-          triggerType === "user_verified" &&
-          triggerData.user_id === referral.referee_id
-        );
-
-      default:
-        return false;
-    }
-  }
-
-  static async sendReferralNotifications(referral) {
-    try {
-      // Notify referrer
-      await externalServices.sendNotification(referral.referrer_id, {
-        type: "referral_created",
-        message: "Someone used your referral code!",
-        referral_id: referral.id,
-      });
-
-      // Notify referee
-      await externalServices.sendNotification(referral.referee_id, {
-        type: "referral_received",
-        message: `You'll earn ${referral.referee_bonus} when you complete your first order!`,
-        referral_id: referral.id,
-      });
-    } catch (error) {
-      logger.error("Failed to send referral notifications:", error);
-    }
-  }
-
-  static async sendCompletionNotifications(referral) {
-    try {
-      // Notify referrer about completion
-      await externalServices.sendNotification(referral.referrer_id, {
-        type: "referral_completed",
-        message: `Congratulations! Your referral earned you ${referral.referrer_bonus}`,
-        referral_id: referral.id,
-      });
-
-      // Notify referee about their bonus
-      await externalServices.sendNotification(referral.referee_id, {
-        type: "referral_bonus_earned",
-        message: `You've earned ${referral.referee_bonus} from your referral!`,
-        referral_id: referral.id,
-      });
-    } catch (error) {
-      logger.error("Failed to send completion notifications:", error);
-    }
-  }
 }
 
 module.exports = ReferralController;
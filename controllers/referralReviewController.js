@@ -0,0 +1,124 @@
+const Referral = require("../models/Referral");
+const FraudAssessment = require("../models/FraudAssessment");
+const logger = require("../utils/logger");
+const ReferralService = require("../services/referralService");
+
+class ReferralReviewController {
+  // List referrals waiting for manual fraud review
+  static async getReviewQueue(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const [referrals, total] = await Promise.all([
+        Referral.findUnderReview(parseInt(limit), offset),
+        Referral.countUnderReview(),
+      ]);
+
+      res.json({
+        success: true,
+        data: referrals,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+        },
+      });
+    } catch (error) {
+      logger.error("Get review queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Get a referral with its fraud assessments
+  static async getReview(req, res) {
+    try {
+      const { id } = req.params;
+
+      const referral = await Referral.findById(id);
+      if (!referral) {
+        return res.status(404).json({
+          success: false,
+          message: "Referral not found",
+        });
+      }
+
+      const assessments = await FraudAssessment.findByReferral(id);
+
+      res.json({
+        success: true,
+        data: {
+          referral,
+          assessments,
+        },
+      });
+    } catch (error) {
+      logger.error("Get review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Approve a referral under review and release its rewards
+  static async approveReview(req, res) {
+    try {
+      const { id } = req.params;
+      const { notes } = req.body;
+
+      const result = await ReferralService.approveReview(id, req.user.id, notes);
+      if (!result) {
+        return res.status(409).json({
+          success: false,
+          message: "Referral is not awaiting review",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Referral approved",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Approve review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Reject a referral under review; no rewards are issued
+  static async rejectReview(req, res) {
+    try {
+      const { id } = req.params;
+      const { notes } = req.body;
+
+      const referral = await ReferralService.rejectReview(id, req.user.id, notes);
+      if (!referral) {
+        return res.status(409).json({
+          success: false,
+          message: "Referral is not awaiting review",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Referral rejected",
+        data: referral,
+      });
+    } catch (error) {
+      logger.error("Reject review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = ReferralReviewController;
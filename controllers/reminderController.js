@@ -0,0 +1,55 @@
+const logger = require("../utils/logger");
+const ReminderService = require("../services/reminderService");
+const { validateReminderPreferences } = require("../validators/referralValidator");
+
+class ReminderController {
+  // Current user's expiry reminder opt-outs
+  static async getPreferences(req, res) {
+    try {
+      const preferences = await ReminderService.getPreferences(req.user.id);
+
+      res.json({
+        success: true,
+        data: preferences,
+      });
+    } catch (error) {
+      logger.error("Get reminder preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  static async updatePreferences(req, res) {
+    try {
+      const { error, value } = validateReminderPreferences(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const preferences = await ReminderService.updatePreferences(
+        req.user.id,
+        value.opted_out
+      );
+
+      res.json({
+        success: true,
+        message: "Reminder preferences updated",
+        data: preferences,
+      });
+    } catch (error) {
+      logger.error("Update reminder preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = ReminderController;
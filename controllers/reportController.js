@@ -0,0 +1,111 @@
+const Report = require("../models/Report");
+const logger = require("../utils/logger");
+const ReportService = require("../services/reportService");
+const reportConfig = require("../config/reports");
+const { validateReportRequest } = require("../validators/referralValidator");
+
+class ReportController {
+  // Generated reports, most recent first
+  static async getReports(req, res) {
+    try {
+      const { page = 1, limit = 20, report_type } = req.query;
+      const offset = (page - 1) * limit;
+
+      const reports = await Report.findAll(
+        { report_type },
+        parseInt(limit),
+        offset
+      );
+
+      res.json({
+        success: true,
+        data: reports,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get reports error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Download a report as CSV (default) or JSON with ?format=json
+  static async downloadReport(req, res) {
+    try {
+      const format = req.query.format || "csv";
+      if (!["csv", "json"].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: "Format must be csv or json",
+        });
+      }
+
+      const artifact = await ReportService.getArtifact(req.params.id, format);
+      if (!artifact) {
+        return res.status(404).json({
+          success: false,
+          message: "Report not found",
+        });
+      }
+
+      res.setHeader("Content-Type", artifact.content_type);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${artifact.filename}"`
+      );
+      res.send(artifact.content);
+    } catch (error) {
+      logger.error("Download report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Generate an ad-hoc report for a date range
+  static async createReport(req, res) {
+    try {
+      const { error, value } = validateReportRequest(
+        req.body,
+        reportConfig.maxRangeDays
+      );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const report = await ReportService.generate({
+        report_type: "ad_hoc",
+        start_date: value.start_date,
+        end_date: value.end_date,
+        requested_by: req.user.id,
+        deliver: value.deliver,
+      });
+
+      logger.info(`Ad-hoc report ${report.id} generated by user: ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Report generated successfully",
+        data: report,
+      });
+    } catch (error) {
+      logger.error("Create report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = ReportController;
@@ -1,6 +1,6 @@
 const Reward = require("../models/Reward");
 const logger = require("../utils/logger");
-const externalServices = require("../services/externalServices");
+const RewardService = require("../services/rewardsService");
 
 class RewardController {
   // Get user rewards
@@ -72,6 +72,19 @@ class RewardController {
         });
       }
 
+      if (reward.status === "held") {
+        return res.status(409).json({
+          success: false,
+          message: `Reward is on hold until ${new Date(
+            reward.held_until
+          ).toISOString()}`,
+          data: {
+            status: reward.status,
+            held_until: reward.held_until,
+          },
+        });
+      }
+
       if (reward.status !== "pending") {
         return res.status(400).json({
           success: false,
@@ -79,41 +92,41 @@ class RewardController {
         });
       }
 
-      // Credit the reward
-      const creditedReward = await Reward.creditReward(id);
-
-      if (creditedReward) {
-        // Process the actual credit (this would integrate with payment service)
-        await externalServices.creditUserAccount(
-          reward.user_id,
-          reward.amount,
-          {
-            type: "referral_reward",
-            source_id: reward.id,
-            description: reward.description,
-          }
-        );
-
-        // Send notification
-        await externalServices.sendNotification(reward.user_id, {
-          type: "reward_credited",
-          message: `${reward.amount} has been credited to your account`,
-          amount: reward.amount,
+      // Pays through the payment service first; the reward stays pending
+      // if the credit fails, so the claim can simply be retried
+      let result;
+      try {
+        result = await RewardService.creditReward(id);
+      } catch (error) {
+        logger.error(`Claim reward ${id} payment error:`, error.message);
+        return res.status(503).json({
+          success: false,
+          message: "Payment service unavailable, please try again later",
         });
+      }
 
-        logger.info(`Reward claimed: ${id} by user: ${reward.user_id}`);
-
-        res.json({
-          success: true,
-          message: "Reward claimed successfully",
-          data: creditedReward,
+      if (result.status === "rejected") {
+        return res.status(422).json({
+          success: false,
+          message: "Payment service rejected the credit",
+          errors: [result.reason],
         });
-      } else {
-        res.status(400).json({
+      }
+
+      if (result.status !== "credited") {
+        return res.status(400).json({
           success: false,
-          message: "Failed to claim reward",
+          message: "Reward cannot be claimed",
         });
       }
+
+      logger.info(`Reward claimed: ${id} by user: ${reward.user_id}`);
+
+      res.json({
+        success: true,
+        message: "Reward claimed successfully",
+        data: result.reward,
+      });
     } catch (error) {
       logger.error("Claim reward error:", error);
       res.status(500).json({
@@ -123,16 +136,9 @@ class RewardController {
     }
   }
 
-  // Get reward statistics (admin only)
+  // Get reward statistics
   static async getRewardStats(req, res) {
     try {
-      if (!["admin", "sales"].includes(req.user.role)) {
-        return res.status(403).json({
-          success: false,
-          message: "Access denied",
-        });
-      }
-
       const { start_date, end_date } = req.query;
       const stats = await Reward.getRewardStats(start_date, end_date);
 
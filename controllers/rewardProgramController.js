@@ -0,0 +1,210 @@
+const RewardProgram = require("../models/RewardProgram");
+const logger = require("../utils/logger");
+const RewardProgramService = require("../services/rewardProgramService");
+const { validateRewardProgram } = require("../validators/referralValidator");
+
+class RewardProgramController {
+  // Create reward program
+  static async createProgram(req, res) {
+    try {
+      const { error, value } = validateRewardProgram(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const program = await RewardProgram.create({
+        ...value,
+        created_by: req.user.id,
+      });
+
+      logger.info(`Reward program created: ${program.id} by user: ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Reward program created successfully",
+        data: program,
+      });
+    } catch (error) {
+      logger.error("Create reward program error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // List reward programs
+  static async getPrograms(req, res) {
+    try {
+      const { page = 1, limit = 20, referrer_type, referee_type, is_active } =
+        req.query;
+      const offset = (page - 1) * limit;
+
+      const programs = await RewardProgram.findAll(
+        {
+          referrer_type,
+          referee_type,
+          is_active: is_active === undefined ? undefined : is_active === "true",
+        },
+        parseInt(limit),
+        offset
+      );
+
+      res.json({
+        success: true,
+        data: programs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get reward programs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Resolve the terms in force for a referrer/referee pair (optionally at a date)
+  static async getActiveProgram(req, res) {
+    try {
+      const { referrer_type, referee_type, at } = req.query;
+
+      if (!referrer_type) {
+        return res.status(400).json({
+          success: false,
+          message: "referrer_type is required",
+        });
+      }
+
+      const terms = await RewardProgramService.resolve(
+        referrer_type,
+        referee_type,
+        at ? new Date(at) : new Date()
+      );
+
+      res.json({
+        success: true,
+        data: terms,
+      });
+    } catch (error) {
+      logger.error("Get active reward program error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Get reward program details
+  static async getProgram(req, res) {
+    try {
+      const program = await RewardProgram.findById(req.params.id);
+
+      if (!program) {
+        return res.status(404).json({
+          success: false,
+          message: "Reward program not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: program,
+      });
+    } catch (error) {
+      logger.error("Get reward program error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Update reward program
+  static async updateProgram(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = validateRewardProgram(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const program = await RewardProgram.findById(id);
+      if (!program) {
+        return res.status(404).json({
+          success: false,
+          message: "Reward program not found",
+        });
+      }
+
+      if (
+        value.referrer_type !== program.referrer_type ||
+        value.referee_type !== program.referee_type
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Referrer and referee types cannot be changed; create a new program instead",
+        });
+      }
+
+      const updatedProgram = await RewardProgram.update(id, value);
+
+      logger.info(`Reward program updated: ${id} by user: ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: "Reward program updated successfully",
+        data: updatedProgram,
+      });
+    } catch (error) {
+      logger.error("Update reward program error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Deactivate reward program
+  static async deactivateProgram(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deactivated = await RewardProgram.deactivate(id);
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: "Reward program not found",
+        });
+      }
+
+      logger.info(`Reward program deactivated: ${id} by user: ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: "Reward program deactivated successfully",
+      });
+    } catch (error) {
+      logger.error("Deactivate reward program error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = RewardProgramController;
@@ -0,0 +1,274 @@
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const ReferralCode = require("../models/ReferralCode");
+const logger = require("../utils/logger");
+const webhookConfig = require("../config/webhooks");
+const { hasPermission } = require("../config/permissions");
+const WebhookService = require("../services/webhookService");
+const { validateWebhookSubscription } = require("../validators/referralValidator");
+
+class WebhookController {
+  // Subscription `id` if the caller may manage it: its owner, or an admin
+  static async findSubscription(req) {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (
+      !subscription ||
+      (subscription.owner_id !== req.user.id &&
+        !hasPermission(req.user, "webhook:manage:any"))
+    ) {
+      return null;
+    }
+    return subscription;
+  }
+
+  // Subscribe a URL to event types. Referral code owners subscribe to events
+  // about their own referrals and rewards; admins may subscribe on behalf of
+  // an owner, or to every event by leaving the owner out.
+  static async createWebhook(req, res) {
+    try {
+      const { error, value } = validateWebhookSubscription(
+        req.body,
+        webhookConfig.allowInsecureUrls
+      );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const isAdmin = hasPermission(req.user, "webhook:manage:any");
+      let owner = { owner_id: req.user.id, owner_type: req.user.role };
+
+      if (isAdmin) {
+        owner = { owner_id: value.owner_id || null, owner_type: value.owner_type || null };
+      } else if (value.owner_id && value.owner_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Insufficient permissions",
+        });
+      } else {
+        const codes = await ReferralCode.findByOwner(req.user.id, req.user.role);
+        if (codes.length === 0) {
+          return res.status(403).json({
+            success: false,
+            message: "Only referral code owners can subscribe to webhooks",
+          });
+        }
+      }
+
+      if (
+        owner.owner_id &&
+        (await WebhookSubscription.countByOwner(owner.owner_id)) >=
+          webhookConfig.maxSubscriptionsPerOwner
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: `At most ${webhookConfig.maxSubscriptionsPerOwner} webhook subscriptions are allowed`,
+        });
+      }
+
+      const subscription = await WebhookService.createSubscription({
+        url: value.url,
+        event_types: value.event_types,
+        description: value.description,
+        ...owner,
+        created_by: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Webhook subscription created. Store the secret now: it is not shown again",
+        data: subscription,
+      });
+    } catch (error) {
+      logger.error("Create webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // The caller's subscriptions; admins see all, or one owner's with ?owner_id
+  static async getWebhooks(req, res) {
+    try {
+      const { owner_id } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const offset = (page - 1) * limit;
+
+      const filters = hasPermission(req.user, "webhook:manage:any")
+        ? { owner_id }
+        : { owner_id: req.user.id };
+      const subscriptions = await WebhookService.listSubscriptions(
+        filters,
+        limit,
+        offset
+      );
+
+      res.json({
+        success: true,
+        data: subscriptions,
+        pagination: {
+          page,
+          limit,
+        },
+      });
+    } catch (error) {
+      logger.error("Get webhooks error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  static async getWebhook(req, res) {
+    try {
+      const subscription = await WebhookController.findSubscription(req);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook subscription not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await WebhookService.getSubscription(subscription.id),
+      });
+    } catch (error) {
+      logger.error("Get webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Stops deliveries; queued retries are dropped
+  static async deleteWebhook(req, res) {
+    try {
+      const subscription = await WebhookController.findSubscription(req);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook subscription not found",
+        });
+      }
+
+      await WebhookService.deleteSubscription(subscription.id);
+      logger.info(`Webhook subscription ${subscription.id} deleted by user: ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: "Webhook subscription deleted",
+      });
+    } catch (error) {
+      logger.error("Delete webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Delivery log of a subscription, most recent first (?status to filter)
+  static async getDeliveries(req, res) {
+    try {
+      const subscription = await WebhookController.findSubscription(req);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook subscription not found",
+        });
+      }
+
+      const { page = 1, limit = 50, status } = req.query;
+      const offset = (page - 1) * limit;
+      const deliveries = await WebhookDelivery.findBySubscription(
+        subscription.id,
+        { status },
+        parseInt(limit),
+        offset
+      );
+
+      res.json({
+        success: true,
+        data: deliveries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get webhook deliveries error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // One delivery with its payload and every attempt's response code
+  static async getDelivery(req, res) {
+    try {
+      const subscription = await WebhookController.findSubscription(req);
+      const delivery = subscription && (await WebhookDelivery.findById(req.params.deliveryId));
+      if (!delivery || delivery.subscription_id !== subscription.id) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook delivery not found",
+        });
+      }
+
+      const attempts = await WebhookDelivery.findAttempts(delivery.id);
+
+      res.json({
+        success: true,
+        data: { ...delivery, attempt_log: attempts },
+      });
+    } catch (error) {
+      logger.error("Get webhook delivery error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  // Send a delivery again now, signed afresh
+  static async redeliverWebhook(req, res) {
+    try {
+      const subscription = await WebhookController.findSubscription(req);
+      const delivery = subscription && (await WebhookDelivery.findById(req.params.deliveryId));
+      if (!delivery || delivery.subscription_id !== subscription.id) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook delivery not found",
+        });
+      }
+
+      const updated = await WebhookService.redeliver(delivery, subscription);
+      const delivered = updated.status === "delivered";
+
+      res.status(delivered ? 200 : 502).json({
+        success: delivered,
+        message: delivered
+          ? "Webhook redelivered"
+          : `Redelivery failed: ${updated.last_error}`,
+        data: updated,
+      });
+    } catch (error) {
+      logger.error("Redeliver webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = WebhookController;
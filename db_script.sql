@@ -13,13 +13,19 @@
  referrer_type ENUM('customer', 'driver', 'restaurant') NOT NULL,
  referee_type ENUM('customer', 'driver', 'restaurant') NOT NULL,
  referral_code VARCHAR(20) NOT NULL,
- status ENUM('pending', 'completed', 'expired', 'cancelled') DEFAULT 'pending',
+ status ENUM('pending', 'under_review', 'completed', 'expired', 'cancelled', 'reversed') DEFAULT 'pending',
  completion_condition ENUM('first_order', 'first_delivery', 'registration') NOT NULL,
  completion_date DATETIME,
  referrer_bonus DECIMAL(8,2) DEFAULT 0.00,
  referee_bonus DECIMAL(8,2) DEFAULT 0.00,
  referrer_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
  referee_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+ referrer_max_bonus_amount DECIMAL(8,2),
+ referrer_min_bonus_amount DECIMAL(8,2),
+ referee_max_bonus_amount DECIMAL(8,2),
+ referee_min_bonus_amount DECIMAL(8,2),
+ referrer_currency VARCHAR(3) DEFAULT 'USD',
+ referee_currency VARCHAR(3) DEFAULT 'USD',
  minimum_order_amount DECIMAL(8,2),
  expiry_date DATETIME,
  campaign_id VARCHAR(36),
@@ -30,10 +36,14 @@
  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
  INDEX idx_referrer (referrer_id),
  INDEX idx_referee (referee_id),
+ INDEX idx_referrer_created (referrer_id, created_at),
+ INDEX idx_referee_created (referee_id, created_at),
  INDEX idx_code (referral_code),
  INDEX idx_status (status),
  INDEX idx_expiry (expiry_date),
+ INDEX idx_status_expiry (status, expiry_date),
  INDEX idx_campaign (campaign_id),
+ INDEX idx_completion_order (completion_order_id),
  UNIQUE KEY unique_referral (referrer_id, referee_id, referrer_type, referee_type)
  );
  
@@ -46,11 +56,15 @@
  usage_count INT DEFAULT 0,
  max_usage INT DEFAULT 50,
  is_active BOOLEAN DEFAULT TRUE,
- bonus_amount DECIMAL(8,2) DEFAULT 0.00,
+ bonus_amount DECIMAL(8,2) DEFAULT NULL,
  bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+ bonus_amounts JSON,
+ max_bonus_amount DECIMAL(8,2),
+ min_bonus_amount DECIMAL(8,2),
  minimum_order_amount DECIMAL(8,2) DEFAULT 0.00,
  expiry_date DATETIME,
  campaign_id VARCHAR(36),
+ velocity_limits JSON,
  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
  INDEX idx_owner (owner_id, owner_type),
@@ -67,8 +81,10 @@
  reward_type ENUM('referral_bonus', 'milestone_bonus', 'campaign_bonus', 'loyalty_bonus') NOT NULL,
  amount DECIMAL(8,2) NOT NULL,
  currency VARCHAR(3) DEFAULT 'USD',
- status ENUM('pending', 'credited', 'expired', 'cancelled') DEFAULT 'pending',
+ status ENUM('held', 'pending', 'credited', 'expired', 'cancelled') DEFAULT 'pending',
+ held_until DATETIME,
  credited_date DATETIME,
+ payment_transaction_id VARCHAR(100),
  expiry_date DATETIME,
  source_id VARCHAR(36),
  source_type ENUM('referral', 'campaign', 'milestone', 'manual') NOT NULL,
@@ -80,6 +96,9 @@
  INDEX idx_status (status),
  INDEX idx_source (source_id, source_type),
  INDEX idx_expiry (expiry_date),
+ INDEX idx_status_expiry (status, expiry_date),
+ INDEX idx_held_until (status, held_until),
+ INDEX idx_credited_date (status, credited_date),
  INDEX idx_created_at (created_at)
  );
  
@@ -92,12 +111,17 @@
  target_audience ENUM('customer', 'driver', 'restaurant', 'all') DEFAULT 'all',
  bonus_amount DECIMAL(8,2) NOT NULL,
  bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+ bonus_amounts JSON,
+ max_bonus_amount DECIMAL(8,2),
+ min_bonus_amount DECIMAL(8,2),
  minimum_requirement DECIMAL(8,2) DEFAULT 0.00,
  max_participants INT,
  current_participants INT DEFAULT 0,
  start_date DATETIME NOT NULL,
  end_date DATETIME NOT NULL,
  is_active BOOLEAN DEFAULT TRUE,
+ status ENUM('scheduled', 'active', 'paused', 'ended', 'archived') DEFAULT 'scheduled',
+ archived_at DATETIME,
  terms_conditions TEXT,
  created_by VARCHAR(36),
  metadata JSON,
@@ -107,6 +131,473 @@
  INDEX idx_audience (target_audience),
  INDEX idx_active (is_active),
  INDEX idx_dates (start_date, end_date),
+ INDEX idx_status_dates (status, start_date, end_date),
  INDEX idx_created_by (created_by)
  );
- 
\ No newline at end of file
+ 
+ -- Outbox for side effects committed with referral/reward transactions
+ CREATE TABLE IF NOT EXISTS outbox_messages (
+ id VARCHAR(36) PRIMARY KEY,
+ message_type VARCHAR(50) NOT NULL,
+ aggregate_id VARCHAR(36),
+ payload JSON NOT NULL,
+ status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+ attempts INT DEFAULT 0,
+ max_attempts INT DEFAULT 10,
+ next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+ locked_until DATETIME,
+ claim_id VARCHAR(36),
+ last_error TEXT,
+ processed_at DATETIME,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ INDEX idx_status_next (status, next_attempt_at),
+ INDEX idx_claim (claim_id),
+ INDEX idx_aggregate (aggregate_id)
+ );
+ 
+ -- Stored responses for requests sent with an Idempotency-Key header
+ CREATE TABLE IF NOT EXISTS idempotency_keys (
+ id VARCHAR(36) PRIMARY KEY,
+ idempotency_key VARCHAR(255) NOT NULL,
+ scope VARCHAR(255) NOT NULL,
+ request_hash VARCHAR(64) NOT NULL,
+ status ENUM('processing', 'completed') DEFAULT 'processing',
+ response_status INT,
+ response_body JSON,
+ response_headers JSON,
+ locked_until DATETIME,
+ expires_at DATETIME NOT NULL,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ UNIQUE KEY unique_key_scope (idempotency_key, scope),
+ INDEX idx_expires (expires_at)
+ );
+ 
+ -- Devices and IPs seen per user, used by the fraud rules
+ CREATE TABLE IF NOT EXISTS user_devices (
+ id VARCHAR(36) PRIMARY KEY,
+ user_id VARCHAR(36) NOT NULL,
+ ip_address VARCHAR(45) NOT NULL DEFAULT '',
+ device_fingerprint VARCHAR(255) NOT NULL DEFAULT '',
+ seen_count INT DEFAULT 1,
+ first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ UNIQUE KEY unique_user_device (user_id, ip_address, device_fingerprint),
+ INDEX idx_ip (ip_address),
+ INDEX idx_fingerprint (device_fingerprint)
+ );
+ 
+ -- Fraud risk assessments and review decisions per referral
+ CREATE TABLE IF NOT EXISTS fraud_assessments (
+ id VARCHAR(36) PRIMARY KEY,
+ referral_id VARCHAR(36) NOT NULL,
+ stage ENUM('creation', 'completion') NOT NULL,
+ score INT NOT NULL DEFAULT 0,
+ threshold INT NOT NULL,
+ decision ENUM('allow', 'review') NOT NULL,
+ triggered_rules JSON,
+ signals JSON,
+ review_decision ENUM('approved', 'rejected'),
+ reviewed_by VARCHAR(36),
+ review_notes TEXT,
+ reviewed_at DATETIME,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_referral (referral_id),
+ INDEX idx_decision (decision, review_decision)
+ );
+ 
+ -- Fixed-window counters for referral velocity limits
+ CREATE TABLE IF NOT EXISTS velocity_counters (
+ counter_key VARCHAR(191) PRIMARY KEY,
+ count INT NOT NULL DEFAULT 0,
+ expires_at DATETIME NOT NULL,
+ INDEX idx_expires (expires_at)
+ );
+ 
+ -- Reward programs: bonus tiers and milestone ladders with effective dates
+ CREATE TABLE IF NOT EXISTS reward_programs (
+ id VARCHAR(36) PRIMARY KEY,
+ name VARCHAR(100) NOT NULL,
+ description TEXT,
+ referrer_type ENUM('customer', 'driver', 'restaurant') NOT NULL,
+ referee_type ENUM('customer', 'driver', 'restaurant', 'all') DEFAULT 'all',
+ referrer_bonus DECIMAL(8,2) NOT NULL,
+ referrer_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+ referrer_max_bonus_amount DECIMAL(8,2),
+ referrer_min_bonus_amount DECIMAL(8,2),
+ referee_bonus DECIMAL(8,2) NOT NULL,
+ referee_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+ referee_max_bonus_amount DECIMAL(8,2),
+ referee_min_bonus_amount DECIMAL(8,2),
+ milestones JSON,
+ hold_days INT,
+ effective_from DATETIME NOT NULL,
+ effective_to DATETIME,
+ is_active BOOLEAN DEFAULT TRUE,
+ created_by VARCHAR(36),
+ metadata JSON,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ INDEX idx_types (referrer_type, referee_type),
+ INDEX idx_effective (effective_from, effective_to),
+ INDEX idx_active (is_active)
+ );
+ 
+ -- Reward ledger: append-only double-entry journals behind every reward event
+ CREATE TABLE IF NOT EXISTS reward_ledger (
+ id VARCHAR(36) PRIMARY KEY,
+ journal_id VARCHAR(36) NOT NULL,
+ entry_type ENUM('accrual', 'credit', 'expiry', 'reversal', 'clawback') NOT NULL,
+ reward_id VARCHAR(36) NOT NULL,
+ user_id VARCHAR(36) NOT NULL,
+ account ENUM('reward_expense', 'rewards_pending', 'rewards_credited') NOT NULL,
+ debit DECIMAL(10,2) NOT NULL DEFAULT 0,
+ credit DECIMAL(10,2) NOT NULL DEFAULT 0,
+ currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+ description VARCHAR(255),
+ metadata JSON,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_journal (journal_id),
+ INDEX idx_reward (reward_id),
+ INDEX idx_user_account (user_id, account, currency),
+ INDEX idx_created_at (created_at)
+ );
+ 
+ -- Backfill accrual journals for rewards issued before the ledger existed
+ INSERT INTO reward_ledger (id, journal_id, entry_type, reward_id, user_id, account, debit, credit, currency, description)
+ SELECT UUID(), LEFT(SHA1(CONCAT(r.id, ':accrual')), 36), 'accrual', r.id, r.user_id,
+ l.account, l.debit * r.amount, l.credit * r.amount, r.currency, 'Opening balance'
+ FROM rewards r
+ JOIN (
+ SELECT 'reward_expense' AS account, 1 AS debit, 0 AS credit
+ UNION ALL SELECT 'rewards_pending', 0, 1
+ ) l
+ WHERE NOT EXISTS (
+ SELECT 1 FROM reward_ledger x WHERE x.reward_id = r.id AND x.entry_type = 'accrual'
+ );
+ 
+ -- Backfill the journal matching each existing reward's current status
+ INSERT INTO reward_ledger (id, journal_id, entry_type, reward_id, user_id, account, debit, credit, currency, description)
+ SELECT UUID(), LEFT(SHA1(CONCAT(r.id, ':', l.entry_type)), 36), l.entry_type, r.id, r.user_id,
+ l.account, l.debit * r.amount, l.credit * r.amount, r.currency, 'Opening balance'
+ FROM rewards r
+ JOIN (
+ SELECT 'credited' AS status, 'credit' AS entry_type, 'rewards_pending' AS account, 1 AS debit, 0 AS credit
+ UNION ALL SELECT 'credited', 'credit', 'rewards_credited', 0, 1
+ UNION ALL SELECT 'expired', 'expiry', 'rewards_pending', 1, 0
+ UNION ALL SELECT 'expired', 'expiry', 'reward_expense', 0, 1
+ UNION ALL SELECT 'cancelled', 'reversal', 'rewards_pending', 1, 0
+ UNION ALL SELECT 'cancelled', 'reversal', 'reward_expense', 0, 1
+ ) l ON l.status = r.status
+ WHERE NOT EXISTS (
+ SELECT 1 FROM reward_ledger x WHERE x.reward_id = r.id AND x.entry_type = l.entry_type
+ );
+ 
+ -- Scheduled jobs: one row per job; the lock columns let one replica run each due job
+ CREATE TABLE IF NOT EXISTS scheduled_jobs (
+ name VARCHAR(100) PRIMARY KEY,
+ schedule VARCHAR(100) NOT NULL,
+ is_enabled BOOLEAN DEFAULT TRUE,
+ next_run_at DATETIME NOT NULL,
+ last_run_at DATETIME,
+ last_status ENUM('succeeded', 'failed'),
+ locked_by VARCHAR(100),
+ locked_until DATETIME,
+ checkpoint JSON,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ INDEX idx_next_run (is_enabled, next_run_at)
+ );
+ 
+ -- Job runs: history of every scheduled, catch-up and manual job run
+ CREATE TABLE IF NOT EXISTS job_runs (
+ id VARCHAR(36) PRIMARY KEY,
+ job_name VARCHAR(100) NOT NULL,
+ trigger_type ENUM('schedule', 'catch_up', 'manual') NOT NULL,
+ scheduled_for DATETIME,
+ status ENUM('running', 'succeeded', 'failed') DEFAULT 'running',
+ started_at DATETIME NOT NULL,
+ finished_at DATETIME,
+ duration_ms INT,
+ rows_affected INT DEFAULT 0,
+ error TEXT,
+ instance_id VARCHAR(100),
+ triggered_by VARCHAR(36),
+ metadata JSON,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_job_started (job_name, started_at),
+ INDEX idx_status (status)
+ );
+ 
+ -- Expiry reminders: one row per (entity, window) reminder sent
+ CREATE TABLE IF NOT EXISTS expiry_reminders (
+ id VARCHAR(36) PRIMARY KEY,
+ reminder_type ENUM('referral_expiring', 'reward_expiring') NOT NULL,
+ entity_id VARCHAR(36) NOT NULL,
+ window_days INT NOT NULL,
+ user_id VARCHAR(36) NOT NULL,
+ sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ UNIQUE KEY unique_reminder (reminder_type, entity_id, window_days),
+ INDEX idx_user (user_id)
+ );
+ 
+ -- Reminder preferences: per-user opt-out by reminder type
+ CREATE TABLE IF NOT EXISTS reminder_preferences (
+ user_id VARCHAR(36) NOT NULL,
+ reminder_type ENUM('referral_expiring', 'reward_expiring') NOT NULL,
+ opted_out BOOLEAN NOT NULL DEFAULT FALSE,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ PRIMARY KEY (user_id, reminder_type)
+ );
+ 
+ -- Reports: generated weekly and ad-hoc reports with their CSV and JSON artifacts
+ CREATE TABLE IF NOT EXISTS reports (
+ id VARCHAR(36) PRIMARY KEY,
+ report_type ENUM('weekly', 'ad_hoc') NOT NULL,
+ period_start DATETIME NOT NULL,
+ period_end DATETIME NOT NULL,
+ status ENUM('generated', 'delivered', 'delivery_failed') DEFAULT 'generated',
+ json_content LONGTEXT NOT NULL,
+ csv_content LONGTEXT NOT NULL,
+ requested_by VARCHAR(36),
+ delivery_target VARCHAR(255),
+ delivered_at DATETIME,
+ delivery_error TEXT,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_type_created (report_type, created_at)
+ );
+ 
+ -- Reconciliation issues: mismatches between credited rewards and the payment service ledger
+ CREATE TABLE IF NOT EXISTS reconciliation_issues (
+ id VARCHAR(36) PRIMARY KEY,
+ reward_id VARCHAR(36) NOT NULL,
+ issue_type ENUM('missing_payment', 'unrecorded_payment', 'amount_mismatch', 'currency_mismatch', 'user_mismatch', 'transaction_mismatch', 'missing_clawback', 'clawback_mismatch') NOT NULL,
+ status ENUM('open', 'resolved') DEFAULT 'open',
+ details JSON,
+ first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ resolved_at DATETIME,
+ UNIQUE KEY unique_issue (reward_id, issue_type),
+ INDEX idx_status (status, last_seen_at)
+ );
+ 
+ -- Notification preferences: per-user channel choices (push, email, SMS)
+ CREATE TABLE IF NOT EXISTS notification_preferences (
+ user_id VARCHAR(36) NOT NULL,
+ channel ENUM('push', 'email', 'sms') NOT NULL,
+ enabled BOOLEAN NOT NULL,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ PRIMARY KEY (user_id, channel)
+ );
+ 
+ -- Processed events: ids of inbound events already handled, for deduplication
+ CREATE TABLE IF NOT EXISTS processed_events (
+ event_id VARCHAR(100) PRIMARY KEY,
+ event_type VARCHAR(100) NOT NULL,
+ source VARCHAR(100),
+ processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_processed_at (processed_at)
+ );
+ 
+ -- Dead-letter events: inbound events the consumer gave up on, kept for replay
+ CREATE TABLE IF NOT EXISTS dead_letter_events (
+ id VARCHAR(36) PRIMARY KEY,
+ event_id VARCHAR(100),
+ event_type VARCHAR(100),
+ topic VARCHAR(255),
+ payload JSON NOT NULL,
+ error TEXT,
+ attempts INT DEFAULT 0,
+ status ENUM('pending', 'replayed', 'discarded') DEFAULT 'pending',
+ replay_count INT DEFAULT 0,
+ last_replayed_at DATETIME,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ INDEX idx_status_created (status, created_at),
+ INDEX idx_event (event_id),
+ INDEX idx_event_type (event_type)
+ );
+ 
+ -- Webhook subscriptions: partner endpoints and the event types they receive
+ CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+ id VARCHAR(36) PRIMARY KEY,
+ owner_id VARCHAR(36),
+ owner_type VARCHAR(20),
+ url VARCHAR(2048) NOT NULL,
+ event_types JSON NOT NULL,
+ secret VARCHAR(64) NOT NULL,
+ description VARCHAR(255),
+ is_active BOOLEAN DEFAULT TRUE,
+ created_by VARCHAR(36),
+ deleted_at DATETIME,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ INDEX idx_owner (owner_id),
+ INDEX idx_active (is_active)
+ );
+ 
+ -- Webhook deliveries: one event sent to one subscription
+ CREATE TABLE IF NOT EXISTS webhook_deliveries (
+ id VARCHAR(36) PRIMARY KEY,
+ subscription_id VARCHAR(36) NOT NULL,
+ event_id VARCHAR(36) NOT NULL,
+ event_type VARCHAR(100) NOT NULL,
+ payload JSON NOT NULL,
+ status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+ attempts INT DEFAULT 0,
+ last_response_code INT,
+ last_error TEXT,
+ delivered_at DATETIME,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ UNIQUE KEY unique_subscription_event (subscription_id, event_id),
+ INDEX idx_subscription_created (subscription_id, created_at)
+ );
+ 
+ -- Webhook delivery attempts: response code, body excerpt and timing of every attempt
+ CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+ id VARCHAR(36) PRIMARY KEY,
+ delivery_id VARCHAR(36) NOT NULL,
+ attempt INT NOT NULL,
+ response_code INT,
+ response_body TEXT,
+ error TEXT,
+ duration_ms INT,
+ manual BOOLEAN DEFAULT FALSE,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_delivery (delivery_id, attempt)
+ );
+ 
+ -- User cache invalidations: profile changes every replica drops from its cache
+ CREATE TABLE IF NOT EXISTS user_cache_invalidations (
+ id BIGINT AUTO_INCREMENT PRIMARY KEY,
+ user_id VARCHAR(36) NOT NULL,
+ user_type VARCHAR(20),
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_created_at (created_at)
+ );
+ 
+ -- Migrations for databases created before the columns, indexes and enum
+ -- values above were added to existing tables. Every step checks the schema
+ -- first, so the whole script can be re-run.
+ DROP PROCEDURE IF EXISTS add_column_if_missing;
+ DROP PROCEDURE IF EXISTS add_index_if_missing;
+ DELIMITER //
+ -- Add `column_in` with `definition`, then run `backfill` (if any) on the rows
+ -- that existed before it
+ CREATE PROCEDURE add_column_if_missing(IN table_in VARCHAR(64), IN column_in VARCHAR(64), IN definition TEXT, IN backfill TEXT)
+ BEGIN
+ IF NOT EXISTS (
+ SELECT 1 FROM information_schema.COLUMNS
+ WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = table_in AND COLUMN_NAME = column_in
+ ) THEN
+ SET @migration = CONCAT('ALTER TABLE ', table_in, ' ADD COLUMN ', column_in, ' ', definition);
+ PREPARE migration FROM @migration;
+ EXECUTE migration;
+ DEALLOCATE PREPARE migration;
+ IF backfill IS NOT NULL THEN
+ SET @migration = backfill;
+ PREPARE migration FROM @migration;
+ EXECUTE migration;
+ DEALLOCATE PREPARE migration;
+ END IF;
+ END IF;
+ END //
+ CREATE PROCEDURE add_index_if_missing(IN table_in VARCHAR(64), IN index_in VARCHAR(64), IN columns_in TEXT)
+ BEGIN
+ IF NOT EXISTS (
+ SELECT 1 FROM information_schema.STATISTICS
+ WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = table_in AND INDEX_NAME = index_in
+ ) THEN
+ SET @migration = CONCAT('ALTER TABLE ', table_in, ' ADD INDEX ', index_in, ' (', columns_in, ')');
+ PREPARE migration FROM @migration;
+ EXECUTE migration;
+ DEALLOCATE PREPARE migration;
+ END IF;
+ END //
+ DELIMITER ;
+ 
+ -- Migration: referrals held for fraud review, and reversed on refund
+ ALTER TABLE referrals MODIFY status ENUM('pending', 'under_review', 'completed', 'expired', 'cancelled', 'reversed') DEFAULT 'pending';
+ 
+ -- Migration: per-code velocity limit overrides
+ CALL add_column_if_missing('referral_codes', 'velocity_limits', 'JSON AFTER campaign_id', NULL);
+ 
+ -- Migration: codes follow the active reward program unless they carry their
+ -- own bonus. Codes created before reward programs stored the default bonus
+ -- of their owner type; clear those. Runs once, while bonus_amount still
+ -- defaults to 0.00. The defaults below are the CUSTOMER_, DRIVER_ and
+ -- RESTAURANT_REFERRAL_BONUS fallbacks; use the configured values if those
+ -- variables were set.
+ SET @customer_default_bonus = 10.00, @driver_default_bonus = 25.00, @restaurant_default_bonus = 50.00;
+ DROP PROCEDURE IF EXISTS clear_default_code_bonuses;
+ DELIMITER //
+ CREATE PROCEDURE clear_default_code_bonuses()
+ BEGIN
+ IF EXISTS (
+ SELECT 1 FROM information_schema.COLUMNS
+ WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'referral_codes'
+ AND COLUMN_NAME = 'bonus_amount' AND COLUMN_DEFAULT IS NOT NULL
+ ) THEN
+ ALTER TABLE referral_codes MODIFY bonus_amount DECIMAL(8,2) DEFAULT NULL;
+ UPDATE referral_codes
+ SET bonus_amount = NULL
+ WHERE bonus_type = 'credit'
+ AND bonus_amount = CASE owner_type
+ WHEN 'customer' THEN @customer_default_bonus
+ WHEN 'driver' THEN @driver_default_bonus
+ WHEN 'restaurant' THEN @restaurant_default_bonus
+ END;
+ END IF;
+ END //
+ DELIMITER ;
+ CALL clear_default_code_bonuses();
+ DROP PROCEDURE clear_default_code_bonuses;
+ 
+ -- Migration: caps and floors for percentage bonuses
+ CALL add_column_if_missing('referrals', 'referrer_max_bonus_amount', 'DECIMAL(8,2) AFTER referee_bonus_type', NULL);
+ CALL add_column_if_missing('referrals', 'referrer_min_bonus_amount', 'DECIMAL(8,2) AFTER referrer_max_bonus_amount', NULL);
+ CALL add_column_if_missing('referrals', 'referee_max_bonus_amount', 'DECIMAL(8,2) AFTER referrer_min_bonus_amount', NULL);
+ CALL add_column_if_missing('referrals', 'referee_min_bonus_amount', 'DECIMAL(8,2) AFTER referee_max_bonus_amount', NULL);
+ CALL add_column_if_missing('referral_codes', 'max_bonus_amount', 'DECIMAL(8,2) AFTER bonus_type', NULL);
+ CALL add_column_if_missing('referral_codes', 'min_bonus_amount', 'DECIMAL(8,2) AFTER max_bonus_amount', NULL);
+ CALL add_column_if_missing('campaigns', 'max_bonus_amount', 'DECIMAL(8,2) AFTER bonus_type', NULL);
+ CALL add_column_if_missing('campaigns', 'min_bonus_amount', 'DECIMAL(8,2) AFTER max_bonus_amount', NULL);
+ 
+ -- Migration: per-market currencies and per-currency bonus amounts. Existing
+ -- referrals were all paid in USD.
+ CALL add_column_if_missing('referrals', 'referrer_currency', "VARCHAR(3) DEFAULT 'USD' AFTER referee_min_bonus_amount", NULL);
+ CALL add_column_if_missing('referrals', 'referee_currency', "VARCHAR(3) DEFAULT 'USD' AFTER referrer_currency", NULL);
+ CALL add_column_if_missing('referral_codes', 'bonus_amounts', 'JSON AFTER bonus_type', NULL);
+ CALL add_column_if_missing('campaigns', 'bonus_amounts', 'JSON AFTER bonus_type', NULL);
+ 
+ -- Migration: look up referrals by the order that completed them
+ CALL add_index_if_missing('referrals', 'idx_completion_order', 'completion_order_id');
+ 
+ -- Migration: reward holds. Existing rewards were never held.
+ ALTER TABLE rewards MODIFY status ENUM('held', 'pending', 'credited', 'expired', 'cancelled') DEFAULT 'pending';
+ CALL add_column_if_missing('rewards', 'held_until', 'DATETIME AFTER status', NULL);
+ CALL add_index_if_missing('rewards', 'idx_held_until', 'status, held_until');
+ 
+ -- Migration: indexes for batched expiry
+ CALL add_index_if_missing('referrals', 'idx_status_expiry', 'status, expiry_date');
+ CALL add_index_if_missing('rewards', 'idx_status_expiry', 'status, expiry_date');
+ 
+ -- Migration: payment transaction of each credit, for reconciliation
+ CALL add_column_if_missing('rewards', 'payment_transaction_id', 'VARCHAR(100) AFTER credited_date', NULL);
+ CALL add_index_if_missing('rewards', 'idx_credited_date', 'status, credited_date');
+ ALTER TABLE reconciliation_issues MODIFY issue_type ENUM('missing_payment', 'unrecorded_payment', 'amount_mismatch', 'currency_mismatch', 'user_mismatch', 'transaction_mismatch', 'missing_clawback', 'clawback_mismatch') NOT NULL;
+ 
+ -- Migration: indexes for per-user referral listings
+ CALL add_index_if_missing('referrals', 'idx_referrer_created', 'referrer_id, created_at');
+ CALL add_index_if_missing('referrals', 'idx_referee_created', 'referee_id, created_at');
+ 
+ -- Migration: campaign lifecycle status. Existing campaigns get the status
+ -- their dates and is_active flag call for; is_active then follows status.
+ CALL add_column_if_missing('campaigns', 'status', "ENUM('scheduled', 'active', 'paused', 'ended', 'archived') DEFAULT 'scheduled' AFTER is_active", "UPDATE campaigns SET status = CASE WHEN end_date <= NOW() THEN 'ended' WHEN is_active = FALSE THEN 'paused' WHEN start_date > NOW() THEN 'scheduled' ELSE 'active' END, is_active = (is_active = TRUE AND start_date <= NOW() AND end_date > NOW())");
+ CALL add_column_if_missing('campaigns', 'archived_at', 'DATETIME AFTER status', NULL);
+ CALL add_index_if_missing('campaigns', 'idx_status_dates', 'status, start_date, end_date');
+ 
+ -- Migration: headers replayed with stored idempotent responses
+ CALL add_column_if_missing('idempotency_keys', 'response_headers', 'JSON AFTER response_body', NULL);
\ No newline at end of file
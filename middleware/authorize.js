@@ -0,0 +1,33 @@
+const { hasPermission } = require("../config/permissions");
+const logger = require("../utils/logger");
+
+// Route-level permission check; mount after `auth` so req.user is set.
+// All listed permissions are required.
+const authorize =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Access denied. No token provided",
+      });
+    }
+
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user, permission)
+    );
+
+    if (missing.length > 0) {
+      logger.warn(
+        `Access denied for user ${req.user.id} (${req.user.role}) on ${req.method} ${req.originalUrl}: missing ${missing.join(", ")}`
+      );
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    next();
+  };
+
+module.exports = authorize;
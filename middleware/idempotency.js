@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const logger = require("../utils/logger");
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method}\n${req.originalUrl}\n${stableStringify(req.body)}`)
+    .digest("hex");
+
+// Answers that may change if the same request is sent again later (a
+// conflict that clears, a rate limit or hold that lapses, a timeout). These
+// release the key instead of being stored, like server errors.
+const retryableStatuses = [408, 409, 423, 425, 429];
+
+const isRetryable = (status) =>
+  status >= 500 || retryableStatuses.includes(status);
+
+// Response headers stored with a response and sent again on replay
+const replayedHeaders = ["Location", "Retry-After", "Content-Location"];
+
+// Keys are scoped per route and caller so two users (or services) can never
+// collide on, or replay, each other's keys.
+const getScope = (req) => {
+  const caller = req.user ? req.user.id : req.service ? req.service.name : "anonymous";
+  return `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path} ${caller}`;
+};
+
+const idempotency = (options = {}) => {
+  const ttlSeconds =
+    options.ttlSeconds ||
+    (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 3600;
+  const lockSeconds =
+    options.lockSeconds ||
+    parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) ||
+    60;
+
+  return async (req, res, next) => {
+    const key = req.header("Idempotency-Key");
+
+    if (!key) {
+      if (options.required) {
+        return res.status(400).json({
+          success: false,
+          message: "Idempotency-Key header is required",
+        });
+      }
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: "Idempotency-Key must be at most 255 characters",
+      });
+    }
+
+    try {
+      const scope = getScope(req);
+      const requestHash = hashRequest(req);
+
+      let reserved = await IdempotencyKey.reserve(
+        key,
+        scope,
+        requestHash,
+        ttlSeconds,
+        lockSeconds
+      );
+      let record = await IdempotencyKey.find(key, scope);
+
+      // An expired key, or one whose owner died mid-request, can be taken over
+      if (!reserved && record && (record.is_expired || record.is_stale)) {
+        await IdempotencyKey.release(record.id);
+        reserved = await IdempotencyKey.reserve(
+          key,
+          scope,
+          requestHash,
+          ttlSeconds,
+          lockSeconds
+        );
+        record = await IdempotencyKey.find(key, scope);
+      }
+
+      if (!reserved) {
+        if (!record || record.request_hash !== requestHash) {
+          return res.status(409).json({
+            success: false,
+            message: "Idempotency-Key was already used with a different request",
+          });
+        }
+
+        if (record.status === "processing") {
+          return res.status(409).json({
+            success: false,
+            message: "A request with this Idempotency-Key is still being processed",
+          });
+        }
+
+        res.set(record.response_headers || {});
+        res.set("Idempotent-Replayed", "true");
+        return res.status(record.response_status).json(record.response_body);
+      }
+
+      // Capture the response so a replay returns exactly what this run sent.
+      // Only successes and deterministic client errors are stored; server
+      // errors and retryable answers release the key so the caller can retry.
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        const headers = {};
+        for (const name of replayedHeaders) {
+          const value = res.get(name);
+          if (value !== undefined) {
+            headers[name] = value;
+          }
+        }
+
+        const persist = isRetryable(res.statusCode)
+          ? IdempotencyKey.release(record.id)
+          : IdempotencyKey.complete(record.id, res.statusCode, body, headers);
+
+        persist
+          .catch((error) =>
+            logger.error(`Failed to store idempotent response for key ${key}:`, error)
+          )
+          .then(() => originalJson(body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      logger.error("Idempotency middleware error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  };
+};
+
+module.exports = idempotency;
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const serviceAuthConfig = require("../config/serviceAuth");
+const logger = require("../utils/logger");
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return (
+    bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+const sign = (key, timestamp, body) =>
+  crypto.createHmac("sha256", key).update(`${timestamp}.${body}`).digest("hex");
+
+const findServiceByKey = (services, key) =>
+  services.find((service) => service.keys.some((k) => safeEqual(k, key)));
+
+// Authenticates internal service-to-service calls. Callers either send their
+// shared key as X-Service-Key (what ExternalServices.makeRequest does), or
+// sign the raw body: X-Service-Name, X-Signature-Timestamp (unix seconds) and
+// X-Signature = hex HMAC-SHA256 of "<timestamp>.<body>" with one of their keys.
+const serviceAuth = (req, res, next) => {
+  try {
+    const { services, signatureToleranceSeconds } = serviceAuthConfig;
+    const serviceName = req.header("X-Service-Name");
+    const signature = req.header("X-Signature");
+    const serviceKey = req.header("X-Service-Key");
+
+    const candidates = serviceName
+      ? [services[serviceName]].filter(Boolean)
+      : Object.values(services);
+
+    let service = null;
+
+    if (signature) {
+      const timestamp = parseInt(req.header("X-Signature-Timestamp"));
+      if (!serviceName || !timestamp) {
+        return res.status(401).json({
+          success: false,
+          message: "Signed requests require X-Service-Name and X-Signature-Timestamp",
+        });
+      }
+
+      const age = Math.abs(Date.now() / 1000 - timestamp);
+      if (age > signatureToleranceSeconds) {
+        return res.status(401).json({
+          success: false,
+          message: "Request signature has expired",
+        });
+      }
+
+      const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+      service = candidates.find((candidate) =>
+        candidate.keys.some((key) =>
+          safeEqual(sign(key, timestamp, body), signature)
+        )
+      );
+    } else if (serviceKey) {
+      service = findServiceByKey(candidates, serviceKey);
+    } else {
+      return res.status(401).json({
+        success: false,
+        message: "Access denied. No service credentials provided",
+      });
+    }
+
+    if (!service) {
+      logger.warn(
+        `Rejected internal call to ${req.originalUrl} from ${serviceName || "unknown service"} (${req.ip})`
+      );
+      return res.status(401).json({
+        success: false,
+        message: "Invalid service credentials",
+      });
+    }
+
+    req.service = {
+      name: service.name,
+      trigger_types: service.trigger_types,
+      event_types: service.event_types,
+    };
+    next();
+  } catch (error) {
+    logger.error("Service authentication error:", error);
+    res.status(401).json({
+      success: false,
+      message: "Invalid service credentials",
+    });
+  }
+};
+
+// Restricts a service to the trigger types it is configured for, so e.g. the
+// delivery service can only send delivery_completed.
+const requireTriggerScope = (req, res, next) => {
+  const triggerType = req.body && req.body.trigger_type;
+
+  if (!req.service || !req.service.trigger_types.includes(triggerType)) {
+    return res.status(403).json({
+      success: false,
+      message: `Service is not allowed to send trigger type: ${triggerType}`,
+    });
+  }
+
+  next();
+};
+
+// Same for inbound events: a service may only publish its own event types
+const requireEventScope = (req, res, next) => {
+  const eventType = req.body && req.body.event_type;
+
+  if (!req.service || !req.service.event_types.includes(eventType)) {
+    return res.status(403).json({
+      success: false,
+      message: `Service is not allowed to send event type: ${eventType}`,
+    });
+  }
+
+  next();
+};
+
+module.exports = { serviceAuth, requireTriggerScope, requireEventScope };
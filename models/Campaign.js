@@ -1,5 +1,74 @@
 const database = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../utils/transaction');
+const DomainEvent = require('./DomainEvent');
+
+const statusOf = (campaign) => (campaign.is_active ? 'active' : 'inactive');
+
+// Status the start and end dates put a campaign in at `now`. Paused campaigns
+// stay paused until they end; archived ones never change.
+const scheduledStatus = (campaign, now = new Date()) => {
+  if (campaign.status === 'archived') {
+    return 'archived';
+  }
+  if (new Date(campaign.end_date) <= now) {
+    return 'ended';
+  }
+  if (campaign.status === 'paused') {
+    return 'paused';
+  }
+  return new Date(campaign.start_date) > now ? 'scheduled' : 'active';
+};
+
+// Fields `update` may change, and the JSON ones among them
+const UPDATABLE_FIELDS = [
+  'name', 'description', 'campaign_type', 'target_audience', 'bonus_amount',
+  'bonus_type', 'bonus_amounts', 'max_bonus_amount', 'min_bonus_amount',
+  'minimum_requirement', 'max_participants', 'start_date', 'end_date',
+  'terms_conditions', 'metadata'
+];
+const JSON_FIELDS = ['bonus_amounts', 'metadata'];
+
+// WHERE clause of findAll and countAll. Archived campaigns are left out
+// unless asked for by status.
+const filterConditions = (filters) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.status && filters.status.length > 0) {
+    const statuses = [].concat(filters.status);
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  } else {
+    conditions.push("status <> 'archived'");
+  }
+  if (filters.campaign_type) {
+    conditions.push('campaign_type = ?');
+    params.push(filters.campaign_type);
+  }
+  if (filters.target_audience) {
+    conditions.push('target_audience = ?');
+    params.push(filters.target_audience);
+  }
+  if (filters.bonus_type) {
+    conditions.push('bonus_type = ?');
+    params.push(filters.bonus_type);
+  }
+  if (filters.starts_before) {
+    conditions.push('start_date < ?');
+    params.push(filters.starts_before);
+  }
+  if (filters.ends_after) {
+    conditions.push('end_date > ?');
+    params.push(filters.ends_after);
+  }
+  if (filters.search) {
+    conditions.push('name LIKE ?');
+    params.push(`%${filters.search}%`);
+  }
+
+  return { conditions, params };
+};
 
 class Campaign {
   static async createTable() {
@@ -12,12 +81,17 @@ class Campaign {
         target_audience ENUM('customer', 'driver', 'restaurant', 'all') DEFAULT 'all',
         bonus_amount DECIMAL(8,2) NOT NULL,
         bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+        bonus_amounts JSON,
+        max_bonus_amount DECIMAL(8,2),
+        min_bonus_amount DECIMAL(8,2),
         minimum_requirement DECIMAL(8,2) DEFAULT 0.00,
         max_participants INT,
         current_participants INT DEFAULT 0,
         start_date DATETIME NOT NULL,
         end_date DATETIME NOT NULL,
         is_active BOOLEAN DEFAULT TRUE,
+        status ENUM('scheduled', 'active', 'paused', 'ended', 'archived') DEFAULT 'scheduled',
+        archived_at DATETIME,
         terms_conditions TEXT,
         created_by VARCHAR(36),
         metadata JSON,
@@ -27,21 +101,25 @@ class Campaign {
         INDEX idx_audience (target_audience),
         INDEX idx_active (is_active),
         INDEX idx_dates (start_date, end_date),
+        INDEX idx_status_dates (status, start_date, end_date),
         INDEX idx_created_by (created_by)
       )
     `;
     await database.query(sql);
   }
 
+  // Starts `scheduled`, or `active` when the start date has already passed
   static async create(campaignData) {
     const id = uuidv4();
+    const status = scheduledStatus({ ...campaignData, status: 'scheduled' });
     
     const sql = `
       INSERT INTO campaigns (
         id, name, description, campaign_type, target_audience,
-        bonus_amount, bonus_type, minimum_requirement, max_participants,
-        start_date, end_date, terms_conditions, created_by, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        bonus_amount, bonus_type, bonus_amounts, max_bonus_amount,
+        min_bonus_amount, minimum_requirement, max_participants, start_date,
+        end_date, terms_conditions, created_by, metadata, status, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const params = [
@@ -52,71 +130,99 @@ class Campaign {
       campaignData.target_audience || 'all',
       campaignData.bonus_amount,
       campaignData.bonus_type || 'credit',
+      campaignData.bonus_amounts ? JSON.stringify(campaignData.bonus_amounts) : null,
+      campaignData.max_bonus_amount || null,
+      campaignData.min_bonus_amount || null,
       campaignData.minimum_requirement || 0,
       campaignData.max_participants || null,
       campaignData.start_date,
       campaignData.end_date,
       campaignData.terms_conditions || null,
       campaignData.created_by || null,
-      JSON.stringify(campaignData.metadata || {})
+      JSON.stringify(campaignData.metadata || {}),
+      status,
+      status === 'active'
     ];
 
     await database.query(sql, params);
     return this.findById(id);
   }
 
-  static async findById(id) {
+  static async findById(id, connection = database) {
     const sql = 'SELECT * FROM campaigns WHERE id = ?';
-        const results = await database.query(sql, [id]);
+        const results = await connection.query(sql, [id]);
         return results[0] || null;
     }
-    static async findAll() {
-        const sql = 'SELECT * FROM campaigns WHERE is_active = TRUE';
-        const results = await database.query(sql);
+    // Filtered page of campaigns, newest first
+    static async findAll(filters = {}, limit = 20, offset = 0) {
+        const { conditions, params } = filterConditions(filters);
+        const sql = `
+            SELECT * FROM campaigns
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `;
+        const results = await database.query(sql, [...params, limit, offset]);
         return results.map(campaign => {
             if (campaign.metadata) {
                 campaign.metadata = JSON.parse(campaign.metadata);
             }
             return campaign;
         });
-    }   
-    static async update(id, campaignData) {
-        const sql = `
-            UPDATE campaigns SET
-                name = ?,
-                description = ?,
-                campaign_type = ?,
-                target_audience = ?,
-                bonus_amount = ?,
-                bonus_type = ?,
-                minimum_requirement = ?,
-                max_participants = ?,
-                start_date = ?,
-                end_date = ?,
-                terms_conditions = ?,
-                metadata = ?,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
+    }
+    static async countAll(filters = {}) {
+        const { conditions, params } = filterConditions(filters);
+        const sql = `SELECT COUNT(*) AS total FROM campaigns WHERE ${conditions.join(' AND ')}`;
+        const results = await database.query(sql, params);
+        return results[0].total;
+    }
+    // Live campaigns for an audience (campaigns for `all` included) that still
+    // have room for participants, most recently started first
+    static async findActive(audience = null) {
+        let sql = `
+            SELECT * FROM campaigns 
+            WHERE status = 'active'
+            AND start_date <= NOW() 
+            AND end_date > NOW()
+            AND (max_participants IS NULL OR current_participants < max_participants)
         `;
+        const params = [];
 
-        const params = [
-            campaignData.name,
-            campaignData.description || null,
-            campaignData.campaign_type,
-            campaignData.target_audience || 'all',
-            campaignData.bonus_amount,
-            campaignData.bonus_type || 'credit',
-            campaignData.minimum_requirement || 0,
-            campaignData.max_participants || null,
-            campaignData.start_date,
-            campaignData.end_date,
-            campaignData.terms_conditions || null,
-            JSON.stringify(campaignData.metadata || {}),
-            id
-        ];
-
-        await database.query(sql, params);
-        return this.findById(id);
+        if (audience) {
+            sql += " AND target_audience IN (?, 'all')";
+            params.push(audience);
+        }
+        sql += ' ORDER BY start_date DESC';
+
+        const results = await database.query(sql, params);
+        return results.map(campaign => {
+            if (campaign.metadata) {
+                campaign.metadata = JSON.parse(campaign.metadata);
+            }
+            return campaign;
+        });
+    }
+    // Change the given fields, then move the campaign to the status its
+    // (possibly new) dates call for. Returns null when the campaign does not
+    // exist.
+    static async update(id, campaignData) {
+        const fields = UPDATABLE_FIELDS.filter(field => campaignData[field] !== undefined);
+        if (fields.length > 0) {
+            const sql = `
+                UPDATE campaigns SET
+                    ${fields.map(field => `${field} = ?`).join(', ')},
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+            const params = fields.map(field =>
+                JSON_FIELDS.includes(field) && campaignData[field] !== null
+                    ? JSON.stringify(campaignData[field])
+                    : campaignData[field]
+            );
+            await database.query(sql, [...params, id]);
+        }
+
+        return this.transition(id, scheduledStatus);
     }
     static async delete(id) {
         const sql = 'DELETE FROM campaigns WHERE id = ?';
@@ -158,14 +264,14 @@ class Campaign {
             return campaign;
         });
     }
-    static async incrementParticipants(id) {
+    static async incrementParticipants(id, connection = database) {
         const sql = `
             UPDATE campaigns 
             SET current_participants = current_participants + 1, updated_at = CURRENT_TIMESTAMP 
             WHERE id = ?
         `;
-        await database.query(sql, [id]);
-        return this.findById(id);
+        await connection.query(sql, [id]);
+        return this.findById(id, connection);
     }
     static async decrementParticipants(id) {
             const sql = `
@@ -176,35 +282,131 @@ class Campaign {
             await database.query(sql, [id]);
             return this.findById(id);
     }
-    static async activateCampaign(id) {
+    // Move a campaign to the status `decide(campaign)` returns, under a row
+    // lock, and queue campaign.status_changed in the same transaction.
+    // `is_active` follows the status. Returns null when the campaign does
+    // not exist.
+    static async transition(id, decide) {
+        return withTransaction(async (trx) => {
+            const campaigns = await trx.query('SELECT * FROM campaigns WHERE id = ? FOR UPDATE', [id]);
+            const campaign = campaigns[0];
+            if (!campaign) {
+                return null;
+            }
+            const status = decide(campaign);
+            if (status === campaign.status) {
+                return campaign;
+            }
+
             const sql = `
                 UPDATE campaigns 
-                SET is_active = TRUE, updated_at = CURRENT_TIMESTAMP 
+                SET status = ?,
+                    is_active = ?,
+                    archived_at = IF(? = 'archived', CURRENT_TIMESTAMP, NULL),
+                    updated_at = CURRENT_TIMESTAMP 
                 WHERE id = ?
             `;
-            await database.query(sql, [id]);
-            return this.findById(id);
+            await trx.query(sql, [status, status === 'active', status, id]);
+            const updated = await this.findById(id, trx);
+
+            await DomainEvent.record('campaign.status_changed', id, {
+                campaign_id: id,
+                name: updated.name,
+                campaign_type: updated.campaign_type,
+                previous_status: statusOf(campaign),
+                status: statusOf(updated),
+                previous_lifecycle_status: campaign.status,
+                lifecycle_status: updated.status
+            }, trx);
+            return updated;
+        });
     }
-    static async deactivateCampaign(id) {
+    // Pause a campaign, or resume it into whatever status its dates call for.
+    // Ended and archived campaigns are left as they are.
+    static async updateStatus(id, isActive) {
+        return this.transition(id, (campaign) => {
+            if (['ended', 'archived'].includes(campaign.status)) {
+                return campaign.status;
+            }
+            return isActive
+                ? scheduledStatus({ ...campaign, status: 'scheduled' })
+                : 'paused';
+        });
+    }
+    // Soft delete: hidden from listings and never activated again, but kept
+    // for the referrals and rewards that point at it
+    static async archive(id) {
+        return this.transition(id, () => 'archived');
+    }
+    // Start campaigns whose start date has come and end those whose end date
+    // has passed. Returns the number of campaigns moved.
+    static async applySchedule() {
         const sql = `
-            UPDATE campaigns 
-            SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP 
-            WHERE id = ?
+            SELECT id, status FROM campaigns 
+            WHERE (status = 'scheduled' AND start_date <= NOW())
+               OR (status IN ('scheduled', 'active', 'paused') AND end_date <= NOW())
         `;
-        await database.query(sql, [id]);
-        return this.findById(id);
+        const due = await database.query(sql);
+
+        let moved = 0;
+        for (const campaign of due) {
+            const updated = await this.transition(campaign.id, scheduledStatus);
+            if (updated && updated.status !== campaign.status) {
+                moved++;
+            }
+        }
+        return moved;
     }
-    static async getCampaignSummary() {
-            const sql = `
-                SELECT 
-                    COUNT(*) AS total_campaigns,
-                    SUM(CASE WHEN is_active = TRUE THEN 1 ELSE 0 END) AS active_campaigns,
-                    SUM(CASE WHEN is_active = FALSE THEN 1 ELSE 0 END) AS inactive_campaigns,
-                    SUM(current_participants) AS total_participants
-                FROM campaigns
-            `;
-            const results = await database.query(sql);
-            return results[0];
+    static async activateCampaign(id) {
+        return this.updateStatus(id, true);
+    }
+    static async deactivateCampaign(id) {
+        return this.updateStatus(id, false);
+    }
+    // Dashboard totals: campaigns per status and type, participants, and the
+    // campaigns starting or ending within `days`
+    static async getCampaignSummary(days = 7) {
+        const totalsSql = `
+            SELECT 
+                COUNT(*) AS total_campaigns,
+                SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) AS scheduled_campaigns,
+                SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) AS active_campaigns,
+                SUM(CASE WHEN status = 'paused' THEN 1 ELSE 0 END) AS paused_campaigns,
+                SUM(CASE WHEN status = 'ended' THEN 1 ELSE 0 END) AS ended_campaigns,
+                SUM(CASE WHEN status = 'archived' THEN 1 ELSE 0 END) AS archived_campaigns,
+                COALESCE(SUM(current_participants), 0) AS total_participants,
+                COALESCE(SUM(CASE WHEN status = 'active' THEN current_participants ELSE 0 END), 0) AS active_participants
+            FROM campaigns
+        `;
+        const byTypeSql = `
+            SELECT campaign_type, COUNT(*) AS campaigns,
+                   COALESCE(SUM(current_participants), 0) AS participants
+            FROM campaigns
+            WHERE status <> 'archived'
+            GROUP BY campaign_type
+        `;
+        const startingSql = `
+            SELECT id, name, campaign_type, start_date, end_date FROM campaigns 
+            WHERE status = 'scheduled' AND start_date <= DATE_ADD(NOW(), INTERVAL ? DAY)
+            ORDER BY start_date
+        `;
+        const endingSql = `
+            SELECT id, name, campaign_type, start_date, end_date, current_participants FROM campaigns 
+            WHERE status IN ('active', 'paused') AND end_date <= DATE_ADD(NOW(), INTERVAL ? DAY)
+            ORDER BY end_date
+        `;
+
+        const totals = await database.query(totalsSql);
+        const byType = await database.query(byTypeSql);
+        const startingSoon = await database.query(startingSql, [days]);
+        const endingSoon = await database.query(endingSql, [days]);
+
+        return {
+            ...totals[0],
+            by_type: byType,
+            starting_soon: startingSoon,
+            ending_soon: endingSoon
+        };
     }
     
     static async getCampaignStats(campaignId) {
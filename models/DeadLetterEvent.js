@@ -0,0 +1,109 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+const parse = (deadLetter) => {
+  if (deadLetter && typeof deadLetter.payload === "string") {
+    deadLetter.payload = JSON.parse(deadLetter.payload);
+  }
+  return deadLetter;
+};
+
+// Inbound events the consumer gave up on, kept whole so they can be replayed
+// once the cause is fixed
+class DeadLetterEvent {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS dead_letter_events (
+        id VARCHAR(36) PRIMARY KEY,
+        event_id VARCHAR(100),
+        event_type VARCHAR(100),
+        topic VARCHAR(255),
+        payload JSON NOT NULL,
+        error TEXT,
+        attempts INT DEFAULT 0,
+        status ENUM('pending', 'replayed', 'discarded') DEFAULT 'pending',
+        replay_count INT DEFAULT 0,
+        last_replayed_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status_created (status, created_at),
+        INDEX idx_event (event_id),
+        INDEX idx_event_type (event_type)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async create(event, topic, error, attempts) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO dead_letter_events (
+        id, event_id, event_type, topic, payload, error, attempts
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await database.query(sql, [
+      id,
+      (event && event.event_id) || null,
+      (event && event.event_type) || null,
+      topic,
+      JSON.stringify(event || {}),
+      error,
+      attempts,
+    ]);
+    return id;
+  }
+
+  static async findById(id) {
+    const sql = "SELECT * FROM dead_letter_events WHERE id = ?";
+    const results = await database.query(sql, [id]);
+    return parse(results[0]) || null;
+  }
+
+  static async findAll(filters = {}, limit = 50, offset = 0) {
+    let sql = "SELECT * FROM dead_letter_events WHERE 1=1";
+    const params = [];
+
+    if (filters.status) {
+      sql += " AND status = ?";
+      params.push(filters.status);
+    }
+    if (filters.event_type) {
+      sql += " AND event_type = ?";
+      params.push(filters.event_type);
+    }
+
+    sql += " ORDER BY created_at LIMIT ? OFFSET ?";
+    params.push(limit, offset);
+
+    const results = await database.query(sql, params);
+    return results.map(parse);
+  }
+
+  // Record a replay attempt: `error` is null when the event went through
+  static async recordReplay(id, error = null) {
+    const sql = `
+      UPDATE dead_letter_events
+      SET status = IF(? IS NULL, 'replayed', status),
+          error = COALESCE(?, error),
+          replay_count = replay_count + 1,
+          last_replayed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    await database.query(sql, [error, error, id]);
+    return this.findById(id);
+  }
+
+  static async discard(id) {
+    const sql = `
+      UPDATE dead_letter_events
+      SET status = 'discarded'
+      WHERE id = ? AND status = 'pending'
+    `;
+    const result = await database.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = DeadLetterEvent;
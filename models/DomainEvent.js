@@ -0,0 +1,54 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+const Outbox = require("./Outbox");
+const { catalog } = require("../schemas/events");
+const { source } = require("../config/domainEvents");
+
+// Versioned domain events, written to the outbox in the transaction of the
+// state change they describe and published by the outbox worker. Event types
+// and their schemas live in schemas/events.
+class DomainEvent {
+  static build(eventType, aggregateId, data, occurredAt = new Date()) {
+    const entry = catalog[eventType];
+    if (!entry) {
+      throw new Error(`Unknown domain event type: ${eventType}`);
+    }
+
+    return {
+      event_id: uuidv4(),
+      event_type: eventType,
+      version: entry.version,
+      occurred_at: occurredAt.toISOString(),
+      source,
+      aggregate_type: eventType.split(".")[0],
+      aggregate_id: aggregateId,
+      data,
+    };
+  }
+
+  static async record(eventType, aggregateId, data, connection = database) {
+    return this.recordMany([{ event_type: eventType, aggregate_id: aggregateId, data }], connection);
+  }
+
+  // Queue several events in one insert; entries are
+  // { event_type, aggregate_id, data }
+  static async recordMany(events, connection = database) {
+    const occurredAt = new Date();
+
+    return Outbox.enqueueMany(
+      events.map((event) => ({
+        message_type: "event",
+        aggregate_id: event.aggregate_id,
+        payload: this.build(
+          event.event_type,
+          event.aggregate_id,
+          event.data,
+          occurredAt
+        ),
+      })),
+      connection
+    );
+  }
+}
+
+module.exports = DomainEvent;
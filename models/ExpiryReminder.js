@@ -0,0 +1,103 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+class ExpiryReminder {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS expiry_reminders (
+        id VARCHAR(36) PRIMARY KEY,
+        reminder_type ENUM('referral_expiring', 'reward_expiring') NOT NULL,
+        entity_id VARCHAR(36) NOT NULL,
+        window_days INT NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_reminder (reminder_type, entity_id, window_days),
+        INDEX idx_user (user_id)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  // Claim the (entity, window) reminder. Returns false if it was already
+  // recorded, so a reminder is sent at most once even across replicas.
+  static async record(reminderType, entityId, windowDays, userId) {
+    const sql = `
+      INSERT IGNORE INTO expiry_reminders (
+        id, reminder_type, entity_id, window_days, user_id
+      ) VALUES (?, ?, ?, ?, ?)
+    `;
+    const result = await database.query(sql, [
+      uuidv4(),
+      reminderType,
+      entityId,
+      windowDays,
+      userId,
+    ]);
+    return result.affectedRows > 0;
+  }
+
+  // Referrals still pending that expire within `windowDays` and have had no
+  // reminder for this or a smaller window. The referee is reminded.
+  static async findDueReferrals(windowDays, limit = 500) {
+    const sql = `
+      SELECT r.* FROM referrals r
+      WHERE r.status = 'pending'
+        AND r.expiry_date > CURRENT_TIMESTAMP
+        AND r.expiry_date <= DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+        AND NOT EXISTS (
+          SELECT 1 FROM expiry_reminders er
+          WHERE er.reminder_type = 'referral_expiring'
+            AND er.entity_id = r.id
+            AND er.window_days <= ?
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM reminder_preferences rp
+          WHERE rp.user_id = r.referee_id
+            AND rp.reminder_type = 'referral_expiring'
+            AND rp.opted_out = TRUE
+        )
+      ORDER BY r.expiry_date
+      LIMIT ?
+    `;
+    const results = await database.query(sql, [windowDays, windowDays, limit]);
+    return results.map((referral) => {
+      if (referral.metadata) {
+        referral.metadata = JSON.parse(referral.metadata);
+      }
+      return referral;
+    });
+  }
+
+  // Unclaimed rewards that expire within `windowDays`, as above
+  static async findDueRewards(windowDays, limit = 500) {
+    const sql = `
+      SELECT rw.* FROM rewards rw
+      WHERE rw.status = 'pending'
+        AND rw.expiry_date > CURRENT_TIMESTAMP
+        AND rw.expiry_date <= DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+        AND NOT EXISTS (
+          SELECT 1 FROM expiry_reminders er
+          WHERE er.reminder_type = 'reward_expiring'
+            AND er.entity_id = rw.id
+            AND er.window_days <= ?
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM reminder_preferences rp
+          WHERE rp.user_id = rw.user_id
+            AND rp.reminder_type = 'reward_expiring'
+            AND rp.opted_out = TRUE
+        )
+      ORDER BY rw.expiry_date
+      LIMIT ?
+    `;
+    const results = await database.query(sql, [windowDays, windowDays, limit]);
+    return results.map((reward) => {
+      if (reward.metadata) {
+        reward.metadata = JSON.parse(reward.metadata);
+      }
+      return reward;
+    });
+  }
+}
+
+module.exports = ExpiryReminder;
@@ -0,0 +1,99 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+class FraudAssessment {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS fraud_assessments (
+        id VARCHAR(36) PRIMARY KEY,
+        referral_id VARCHAR(36) NOT NULL,
+        stage ENUM('creation', 'completion') NOT NULL,
+        score INT NOT NULL DEFAULT 0,
+        threshold INT NOT NULL,
+        decision ENUM('allow', 'review') NOT NULL,
+        triggered_rules JSON,
+        signals JSON,
+        review_decision ENUM('approved', 'rejected'),
+        reviewed_by VARCHAR(36),
+        review_notes TEXT,
+        reviewed_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_referral (referral_id),
+        INDEX idx_decision (decision, review_decision)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async create(assessmentData, connection = database) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO fraud_assessments (
+        id, referral_id, stage, score, threshold, decision,
+        triggered_rules, signals
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id,
+      assessmentData.referral_id,
+      assessmentData.stage,
+      assessmentData.score,
+      assessmentData.threshold,
+      assessmentData.decision,
+      JSON.stringify(assessmentData.triggered_rules || []),
+      JSON.stringify(assessmentData.signals || {}),
+    ];
+
+    await connection.query(sql, params);
+    return id;
+  }
+
+  static async findByReferral(referralId) {
+    const sql = `
+      SELECT * FROM fraud_assessments
+      WHERE referral_id = ?
+      ORDER BY created_at DESC
+    `;
+    const results = await database.query(sql, [referralId]);
+    return results.map((assessment) => {
+      if (assessment.triggered_rules) {
+        assessment.triggered_rules = JSON.parse(assessment.triggered_rules);
+      }
+      if (assessment.signals) {
+        assessment.signals = JSON.parse(assessment.signals);
+      }
+      return assessment;
+    });
+  }
+
+  // The assessment that sent a referral to review and is still awaiting a decision
+  static async findOpenReview(referralId, connection = database) {
+    const sql = `
+      SELECT * FROM fraud_assessments
+      WHERE referral_id = ? AND decision = 'review' AND review_decision IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const results = await connection.query(sql, [referralId]);
+    return results[0] || null;
+  }
+
+  static async recordReview(id, decision, reviewerId, notes, connection = database) {
+    const sql = `
+      UPDATE fraud_assessments
+      SET review_decision = ?, reviewed_by = ?, review_notes = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND review_decision IS NULL
+    `;
+    const result = await connection.query(sql, [
+      decision,
+      reviewerId,
+      notes || null,
+      id,
+    ]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = FraudAssessment;
@@ -0,0 +1,101 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+class IdempotencyKey {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id VARCHAR(36) PRIMARY KEY,
+        idempotency_key VARCHAR(255) NOT NULL,
+        scope VARCHAR(255) NOT NULL,
+        request_hash VARCHAR(64) NOT NULL,
+        status ENUM('processing', 'completed') DEFAULT 'processing',
+        response_status INT,
+        response_body JSON,
+        response_headers JSON,
+        locked_until DATETIME,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_key_scope (idempotency_key, scope),
+        INDEX idx_expires (expires_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  // Reserve a key for the current request. Returns true when this request owns
+  // the key and should run; false when a record already exists.
+  static async reserve(key, scope, requestHash, ttlSeconds, lockSeconds) {
+    const sql = `
+      INSERT IGNORE INTO idempotency_keys (
+        id, idempotency_key, scope, request_hash, locked_until, expires_at
+      ) VALUES (
+        ?, ?, ?, ?,
+        DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND),
+        DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      )
+    `;
+    const result = await database.query(sql, [
+      uuidv4(),
+      key,
+      scope,
+      requestHash,
+      lockSeconds,
+      ttlSeconds,
+    ]);
+    return result.affectedRows > 0;
+  }
+
+  static async find(key, scope) {
+    const sql = `
+      SELECT *,
+        expires_at < CURRENT_TIMESTAMP as is_expired,
+        (status = 'processing' AND locked_until < CURRENT_TIMESTAMP) as is_stale
+      FROM idempotency_keys
+      WHERE idempotency_key = ? AND scope = ?
+    `;
+    const results = await database.query(sql, [key, scope]);
+    const record = results[0];
+    if (record && typeof record.response_body === "string") {
+      record.response_body = JSON.parse(record.response_body);
+    }
+    if (record && typeof record.response_headers === "string") {
+      record.response_headers = JSON.parse(record.response_headers);
+    }
+    return record || null;
+  }
+
+  static async complete(id, responseStatus, responseBody, responseHeaders = {}) {
+    const sql = `
+      UPDATE idempotency_keys
+      SET status = 'completed',
+          response_status = ?,
+          response_body = ?,
+          response_headers = ?,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    await database.query(sql, [
+      responseStatus,
+      JSON.stringify(responseBody === undefined ? null : responseBody),
+      JSON.stringify(responseHeaders || {}),
+      id,
+    ]);
+  }
+
+  static async release(id) {
+    const sql = "DELETE FROM idempotency_keys WHERE id = ?";
+    await database.query(sql, [id]);
+  }
+
+  static async deleteExpired() {
+    const sql =
+      "DELETE FROM idempotency_keys WHERE expires_at < CURRENT_TIMESTAMP";
+    const result = await database.query(sql);
+    return result.affectedRows;
+  }
+}
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,106 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+const parseRun = (run) => {
+  if (run && typeof run.metadata === "string") {
+    run.metadata = JSON.parse(run.metadata);
+  }
+  return run;
+};
+
+class JobRun {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id VARCHAR(36) PRIMARY KEY,
+        job_name VARCHAR(100) NOT NULL,
+        trigger_type ENUM('schedule', 'catch_up', 'manual') NOT NULL,
+        scheduled_for DATETIME,
+        status ENUM('running', 'succeeded', 'failed') DEFAULT 'running',
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME,
+        duration_ms INT,
+        rows_affected INT DEFAULT 0,
+        error TEXT,
+        instance_id VARCHAR(100),
+        triggered_by VARCHAR(36),
+        metadata JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_job_started (job_name, started_at),
+        INDEX idx_status (status)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async start(runData) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO job_runs (
+        id, job_name, trigger_type, scheduled_for, started_at,
+        instance_id, triggered_by, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await database.query(sql, [
+      id,
+      runData.job_name,
+      runData.trigger_type,
+      runData.scheduled_for || null,
+      runData.started_at || new Date(),
+      runData.instance_id || null,
+      runData.triggered_by || null,
+      JSON.stringify(runData.metadata || {}),
+    ]);
+    return id;
+  }
+
+  static async finish(id, outcome) {
+    const sql = `
+      UPDATE job_runs
+      SET status = ?,
+          finished_at = CURRENT_TIMESTAMP,
+          duration_ms = ?,
+          rows_affected = ?,
+          error = ?
+      WHERE id = ?
+    `;
+    await database.query(sql, [
+      outcome.status,
+      outcome.duration_ms,
+      outcome.rows_affected || 0,
+      outcome.error || null,
+      id,
+    ]);
+    return this.findById(id);
+  }
+
+  static async findById(id) {
+    const sql = "SELECT * FROM job_runs WHERE id = ?";
+    const results = await database.query(sql, [id]);
+    return parseRun(results[0]) || null;
+  }
+
+  static async findByJob(jobName, limit = 50, offset = 0) {
+    const sql = `
+      SELECT * FROM job_runs
+      WHERE job_name = ?
+      ORDER BY started_at DESC
+      LIMIT ? OFFSET ?
+    `;
+    const results = await database.query(sql, [jobName, limit, offset]);
+    return results.map(parseRun);
+  }
+
+  static async deleteOlderThan(days) {
+    const sql = `
+      DELETE FROM job_runs
+      WHERE started_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    `;
+    const result = await database.query(sql, [days]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = JobRun;
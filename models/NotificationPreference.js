@@ -0,0 +1,32 @@
+const database = require("../config/database");
+
+class NotificationPreference {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id VARCHAR(36) NOT NULL,
+        channel ENUM('push', 'email', 'sms') NOT NULL,
+        enabled BOOLEAN NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, channel)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async findByUser(userId) {
+    const sql = "SELECT * FROM notification_preferences WHERE user_id = ?";
+    return database.query(sql, [userId]);
+  }
+
+  static async set(userId, channel, enabled) {
+    const sql = `
+      INSERT INTO notification_preferences (user_id, channel, enabled)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)
+    `;
+    await database.query(sql, [userId, channel, enabled]);
+  }
+}
+
+module.exports = NotificationPreference;
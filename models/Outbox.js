@@ -0,0 +1,226 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+class Outbox {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS outbox_messages (
+        id VARCHAR(36) PRIMARY KEY,
+        message_type VARCHAR(50) NOT NULL,
+        aggregate_id VARCHAR(36),
+        payload JSON NOT NULL,
+        status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+        attempts INT DEFAULT 0,
+        max_attempts INT DEFAULT 10,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        locked_until DATETIME,
+        claim_id VARCHAR(36),
+        last_error TEXT,
+        processed_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status_next (status, next_attempt_at),
+        INDEX idx_claim (claim_id),
+        INDEX idx_aggregate (aggregate_id)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async enqueue(messageType, payload, options = {}, connection = database) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO outbox_messages (
+        id, message_type, aggregate_id, payload, max_attempts
+      ) VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id,
+      messageType,
+      options.aggregate_id || null,
+      JSON.stringify(payload || {}),
+      options.max_attempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10,
+    ];
+
+    await connection.query(sql, params);
+    return id;
+  }
+
+  // Insert several messages in one statement, e.g. one event per row of a
+  // set-based update
+  static async enqueueMany(messages, connection = database) {
+    if (messages.length === 0) {
+      return [];
+    }
+
+    const ids = [];
+    const params = [];
+    const maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+
+    for (const message of messages) {
+      const id = uuidv4();
+      ids.push(id);
+      params.push(
+        id,
+        message.message_type,
+        message.aggregate_id || null,
+        JSON.stringify(message.payload || {}),
+        message.max_attempts || maxAttempts
+      );
+    }
+
+    const sql = `
+      INSERT INTO outbox_messages (
+        id, message_type, aggregate_id, payload, max_attempts
+      ) VALUES ${messages.map(() => "(?, ?, ?, ?, ?)").join(", ")}
+    `;
+
+    await connection.query(sql, params);
+    return ids;
+  }
+
+  static async findById(id) {
+    const sql = "SELECT * FROM outbox_messages WHERE id = ?";
+    const results = await database.query(sql, [id]);
+    const message = results[0];
+    if (message && typeof message.payload === "string") {
+      message.payload = JSON.parse(message.payload);
+    }
+    return message || null;
+  }
+
+  // Atomically claim a batch of due messages so concurrent workers never
+  // process the same row. Stale claims (worker crashed) become due again once
+  // their lock expires. The batch lock only has to last until each message's
+  // turn, when renewClaim extends it for that message alone.
+  static async claimBatch(limit = 50, lockSeconds = 60) {
+    const claimId = uuidv4();
+
+    const sql = `
+      UPDATE outbox_messages
+      SET status = 'processing',
+          claim_id = ?,
+          locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND),
+          attempts = attempts + 1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+         OR (status = 'processing' AND locked_until < CURRENT_TIMESTAMP)
+      ORDER BY created_at ASC
+      LIMIT ?
+    `;
+    await database.query(sql, [claimId, lockSeconds, limit]);
+
+    const results = await database.query(
+      "SELECT * FROM outbox_messages WHERE claim_id = ? ORDER BY created_at ASC",
+      [claimId]
+    );
+    return results.map((message) => {
+      if (typeof message.payload === "string") {
+        message.payload = JSON.parse(message.payload);
+      }
+      return message;
+    });
+  }
+
+  // Extend the lock on one claimed message before handling it. False when the
+  // claim lapsed and another worker has claimed the message since, in which
+  // case this worker must leave it alone.
+  static async renewClaim(id, claimId, lockSeconds) {
+    const sql = `
+      UPDATE outbox_messages
+      SET locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND claim_id = ? AND status = 'processing'
+    `;
+    const result = await database.query(sql, [lockSeconds, id, claimId]);
+    return result.affectedRows > 0;
+  }
+
+  // Record progress on a message that is still being handled, e.g. which
+  // channels of a notification went out, so a retry can skip them
+  static async updatePayload(id, payload) {
+    const sql = `
+      UPDATE outbox_messages
+      SET payload = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    await database.query(sql, [JSON.stringify(payload || {}), id]);
+  }
+
+  // With `claimId`, only the worker holding that claim can settle the message
+  static async markCompleted(id, claimId = null) {
+    const sql = `
+      UPDATE outbox_messages
+      SET status = 'completed',
+          processed_at = CURRENT_TIMESTAMP,
+          locked_until = NULL,
+          last_error = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? ${claimId ? "AND claim_id = ?" : ""}
+    `;
+    await database.query(sql, claimId ? [id, claimId] : [id]);
+  }
+
+  static async markFailed(id, errorMessage, retryInSeconds = null, claimId = null) {
+    const sql =
+      retryInSeconds === null
+        ? `
+      UPDATE outbox_messages
+      SET status = 'failed',
+          last_error = ?,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? ${claimId ? "AND claim_id = ?" : ""}
+    `
+        : `
+      UPDATE outbox_messages
+      SET status = 'pending',
+          last_error = ?,
+          locked_until = NULL,
+          next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? ${claimId ? "AND claim_id = ?" : ""}
+    `;
+
+    const params =
+      retryInSeconds === null
+        ? [errorMessage, id]
+        : [errorMessage, retryInSeconds, id];
+    if (claimId) {
+      params.push(claimId);
+    }
+
+    await database.query(sql, params);
+  }
+
+  static async requeue(id) {
+    const sql = `
+      UPDATE outbox_messages
+      SET status = 'pending',
+          attempts = 0,
+          next_attempt_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'failed'
+    `;
+    const result = await database.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  static async getStats() {
+    const sql = `
+      SELECT
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_messages,
+        COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing_messages,
+        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_messages,
+        MIN(CASE WHEN status = 'pending' THEN created_at END) as oldest_pending_at
+      FROM outbox_messages
+    `;
+    const results = await database.query(sql);
+    return results[0];
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,42 @@
+const database = require("../config/database");
+
+// Ids of inbound events already handled, so a redelivered event is skipped
+class ProcessedEvent {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS processed_events (
+        event_id VARCHAR(100) PRIMARY KEY,
+        event_type VARCHAR(100) NOT NULL,
+        source VARCHAR(100),
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_processed_at (processed_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async exists(eventId) {
+    const sql = "SELECT 1 FROM processed_events WHERE event_id = ?";
+    const results = await database.query(sql, [eventId]);
+    return results.length > 0;
+  }
+
+  static async record(eventId, eventType, source = null) {
+    const sql = `
+      INSERT IGNORE INTO processed_events (event_id, event_type, source)
+      VALUES (?, ?, ?)
+    `;
+    await database.query(sql, [eventId, eventType, source]);
+  }
+
+  static async deleteOlderThan(days) {
+    const sql = `
+      DELETE FROM processed_events
+      WHERE processed_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    `;
+    const result = await database.query(sql, [days]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = ProcessedEvent;
@@ -0,0 +1,60 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+class ReconciliationIssue {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS reconciliation_issues (
+        id VARCHAR(36) PRIMARY KEY,
+        reward_id VARCHAR(36) NOT NULL,
+        issue_type ENUM('missing_payment', 'unrecorded_payment', 'amount_mismatch', 'currency_mismatch', 'user_mismatch', 'transaction_mismatch', 'missing_clawback', 'clawback_mismatch') NOT NULL,
+        status ENUM('open', 'resolved') DEFAULT 'open',
+        details JSON,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        UNIQUE KEY unique_issue (reward_id, issue_type),
+        INDEX idx_status (status, last_seen_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  // Flag a mismatch. Seeing the same one again refreshes it, and reopens it
+  // if it had been resolved.
+  static async flag(rewardId, issueType, details = {}) {
+    const sql = `
+      INSERT INTO reconciliation_issues (id, reward_id, issue_type, details)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        status = 'open',
+        details = VALUES(details),
+        last_seen_at = CURRENT_TIMESTAMP,
+        resolved_at = NULL
+    `;
+    await database.query(sql, [
+      uuidv4(),
+      rewardId,
+      issueType,
+      JSON.stringify(details),
+    ]);
+  }
+
+  static async findOpen(limit = 100, offset = 0) {
+    const sql = `
+      SELECT * FROM reconciliation_issues
+      WHERE status = 'open'
+      ORDER BY last_seen_at DESC
+      LIMIT ? OFFSET ?
+    `;
+    const results = await database.query(sql, [limit, offset]);
+    return results.map((issue) => {
+      if (typeof issue.details === "string") {
+        issue.details = JSON.parse(issue.details);
+      }
+      return issue;
+    });
+  }
+}
+
+module.exports = ReconciliationIssue;
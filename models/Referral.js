@@ -1,5 +1,87 @@
 const database = require("../config/database");
 const { v4: uuidv4 } = require("uuid");
+const { withTransaction } = require("../utils/transaction");
+const DomainEvent = require("./DomainEvent");
+
+// Domain event published when a referral enters each status. Moves in and
+// out of `under_review` are internal to fraud review and publish nothing.
+const STATUS_EVENTS = {
+  completed: "referral.completed",
+  expired: "referral.expired",
+  cancelled: "referral.cancelled",
+  reversed: "referral.reversed",
+};
+
+// Fields every referral event carries; see schemas/events/common.v1.json
+const eventData = (referral, extra = {}) => ({
+  referral_id: referral.id,
+  referrer_id: referral.referrer_id,
+  referee_id: referral.referee_id,
+  referrer_type: referral.referrer_type,
+  referee_type: referral.referee_type,
+  referral_code: referral.referral_code,
+  campaign_id: referral.campaign_id || null,
+  status: referral.status,
+  expiry_date: referral.expiry_date,
+  ...extra,
+});
+
+// A status change and its event must commit together; use the caller's
+// transaction when there is one
+const inTransaction = (connection, work) =>
+  connection === database ? withTransaction(work) : work(connection);
+
+// Sortable columns of findReferrals. Nullable dates sort as the earliest
+// date so that cursors can compare them.
+const NULL_DATE = "1000-01-01 00:00:00";
+const SORT_COLUMNS = {
+  created_at: "created_at",
+  updated_at: "updated_at",
+  expiry_date: `COALESCE(expiry_date, '${NULL_DATE}')`,
+  completion_date: `COALESCE(completion_date, '${NULL_DATE}')`,
+};
+
+// WHERE clause of findReferrals. `participant_id` matches either side.
+const filterConditions = (filters) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.referrer_id) {
+    conditions.push("referrer_id = ?");
+    params.push(filters.referrer_id);
+  }
+  if (filters.referee_id) {
+    conditions.push("referee_id = ?");
+    params.push(filters.referee_id);
+  }
+  if (filters.participant_id) {
+    conditions.push("(referrer_id = ? OR referee_id = ?)");
+    params.push(filters.participant_id, filters.participant_id);
+  }
+  if (filters.status && filters.status.length > 0) {
+    const statuses = [].concat(filters.status);
+    conditions.push(`status IN (${statuses.map(() => "?").join(", ")})`);
+    params.push(...statuses);
+  }
+  if (filters.campaign_id) {
+    conditions.push("campaign_id = ?");
+    params.push(filters.campaign_id);
+  }
+  if (filters.referral_code) {
+    conditions.push("referral_code = ?");
+    params.push(filters.referral_code);
+  }
+  if (filters.created_from) {
+    conditions.push("created_at >= ?");
+    params.push(filters.created_from);
+  }
+  if (filters.created_to) {
+    conditions.push("created_at < ?");
+    params.push(filters.created_to);
+  }
+
+  return { conditions, params };
+};
 
 class Referral {
   static async createTable() {
@@ -11,13 +93,19 @@ class Referral {
         referrer_type ENUM('customer', 'driver', 'restaurant') NOT NULL,
         referee_type ENUM('customer', 'driver', 'restaurant') NOT NULL,
         referral_code VARCHAR(20) NOT NULL,
-        status ENUM('pending', 'completed', 'expired', 'cancelled') DEFAULT 'pending',
+        status ENUM('pending', 'under_review', 'completed', 'expired', 'cancelled', 'reversed') DEFAULT 'pending',
         completion_condition ENUM('first_order', 'first_delivery', 'registration') NOT NULL,
         completion_date DATETIME,
         referrer_bonus DECIMAL(8,2) DEFAULT 0.00,
         referee_bonus DECIMAL(8,2) DEFAULT 0.00,
         referrer_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
         referee_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+        referrer_max_bonus_amount DECIMAL(8,2),
+        referrer_min_bonus_amount DECIMAL(8,2),
+        referee_max_bonus_amount DECIMAL(8,2),
+        referee_min_bonus_amount DECIMAL(8,2),
+        referrer_currency VARCHAR(3) DEFAULT 'USD',
+        referee_currency VARCHAR(3) DEFAULT 'USD',
         minimum_order_amount DECIMAL(8,2),
         expiry_date DATETIME,
         campaign_id VARCHAR(36),
@@ -28,17 +116,26 @@ class Referral {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_referrer (referrer_id),
         INDEX idx_referee (referee_id),
+        INDEX idx_referrer_created (referrer_id, created_at),
+        INDEX idx_referee_created (referee_id, created_at),
         INDEX idx_code (referral_code),
         INDEX idx_status (status),
         INDEX idx_expiry (expiry_date),
+        INDEX idx_status_expiry (status, expiry_date),
         INDEX idx_campaign (campaign_id),
+        INDEX idx_completion_order (completion_order_id),
         UNIQUE KEY unique_referral (referrer_id, referee_id, referrer_type, referee_type)
       )
     `;
     await database.query(sql);
   }
 
-  static async create(referralData) {
+  static async create(referralData, connection = database) {
+    return inTransaction(connection, (trx) => this.insert(referralData, trx));
+  }
+
+  // Insert the referral and queue its referral.created event
+  static async insert(referralData, connection) {
     const id = uuidv4();
 
     // Set expiry date
@@ -51,9 +148,11 @@ class Referral {
       INSERT INTO referrals (
         id, referrer_id, referee_id, referrer_type, referee_type,
         referral_code, completion_condition, referrer_bonus, referee_bonus,
-        referrer_bonus_type, referee_bonus_type, minimum_order_amount,
-        expiry_date, campaign_id, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        referrer_bonus_type, referee_bonus_type, referrer_max_bonus_amount,
+        referrer_min_bonus_amount, referee_max_bonus_amount,
+        referee_min_bonus_amount, referrer_currency, referee_currency,
+        minimum_order_amount, expiry_date, campaign_id, metadata, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -68,19 +167,35 @@ class Referral {
       referralData.referee_bonus || 0,
       referralData.referrer_bonus_type || "credit",
       referralData.referee_bonus_type || "credit",
+      referralData.referrer_max_bonus_amount || null,
+      referralData.referrer_min_bonus_amount || null,
+      referralData.referee_max_bonus_amount || null,
+      referralData.referee_min_bonus_amount || null,
+      referralData.referrer_currency || "USD",
+      referralData.referee_currency || "USD",
       referralData.minimum_order_amount || 0,
       expiryDate,
       referralData.campaign_id || null,
       JSON.stringify(referralData.metadata || {}),
+      referralData.status || "pending",
     ];
 
-    await database.query(sql, params);
-    return this.findById(id);
+    await connection.query(sql, params);
+    const referral = await this.findById(id, connection);
+    await DomainEvent.record(
+      "referral.created",
+      id,
+      eventData(referral, {
+        completion_condition: referral.completion_condition,
+      }),
+      connection
+    );
+    return referral;
   }
 
-  static async findById(id) {
+  static async findById(id, connection = database) {
     const sql = "SELECT * FROM referrals WHERE id = ?";
-    const results = await database.query(sql, [id]);
+    const results = await connection.query(sql, [id]);
     const referral = results[0];
     if (referral && referral.metadata) {
       referral.metadata = JSON.parse(referral.metadata);
@@ -129,7 +244,103 @@ class Referral {
     });
   }
 
-  static async completeReferral(id, completionData) {
+  // Opaque position after `referral` in a listing sorted by `sort`
+  static encodeCursor(referral, sort) {
+    return Buffer.from(
+      JSON.stringify({ s: sort, v: referral[sort], id: referral.id })
+    ).toString("base64url");
+  }
+
+  // Position encoded by encodeCursor, or null if the cursor is malformed or
+  // was issued for another sort column
+  static decodeCursor(cursor, sort) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+      if (position.s !== sort || typeof position.id !== "string") {
+        return null;
+      }
+      return {
+        value: position.v === null ? NULL_DATE : new Date(position.v),
+        id: position.id,
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Filtered, sorted page of referrals with the total number matching.
+  // Pages by `cursor` (from a previous next_cursor) when given, otherwise by
+  // `offset`. Returns { referrals, total, next_cursor }.
+  static async findReferrals(filters = {}, options = {}) {
+    const {
+      sort = "created_at",
+      order = "desc",
+      limit = 20,
+      offset = 0,
+      cursor,
+    } = options;
+    const column = SORT_COLUMNS[sort];
+    if (!column) {
+      throw new Error(`Cannot sort referrals by ${sort}`);
+    }
+
+    const { conditions, params } = filterConditions(filters);
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const counts = await database.query(
+      `SELECT COUNT(*) as total FROM referrals ${where}`,
+      params
+    );
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+      const after = this.decodeCursor(cursor, sort);
+      if (!after) {
+        throw new Error("Invalid cursor");
+      }
+      const op = order === "asc" ? ">" : "<";
+      pageConditions.push(`(${column} ${op} ? OR (${column} = ? AND id ${op} ?))`);
+      pageParams.push(after.value, after.value, after.id);
+    }
+
+    const direction = order === "asc" ? "ASC" : "DESC";
+    let sql = "SELECT * FROM referrals";
+    if (pageConditions.length > 0) {
+      sql += ` WHERE ${pageConditions.join(" AND ")}`;
+    }
+    // One extra row tells whether another page follows
+    sql += ` ORDER BY ${column} ${direction}, id ${direction} LIMIT ?`;
+    pageParams.push(limit + 1);
+    if (!cursor) {
+      sql += " OFFSET ?";
+      pageParams.push(offset);
+    }
+
+    const results = await database.query(sql, pageParams);
+    const referrals = results.slice(0, limit).map((referral) => {
+      if (referral.metadata) {
+        referral.metadata = JSON.parse(referral.metadata);
+      }
+      return referral;
+    });
+
+    return {
+      referrals,
+      total: counts[0].total,
+      next_cursor:
+        results.length > limit
+          ? this.encodeCursor(referrals[referrals.length - 1], sort)
+          : null,
+    };
+  }
+
+  static async completeReferral(
+    id,
+    completionData,
+    connection = database,
+    expectedStatus = "pending"
+  ) {
     const sql = `
       UPDATE referrals 
       SET status = 'completed', 
@@ -137,43 +348,239 @@ class Referral {
           completion_order_id = ?,
           completion_delivery_id = ?,
           updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND status = 'pending'
+      WHERE id = ? AND status = ?
     `;
 
-    const result = await database.query(sql, [
-      completionData.order_id || null,
-      completionData.delivery_id || null,
+    return inTransaction(connection, async (trx) => {
+      const result = await trx.query(sql, [
+        completionData.order_id || null,
+        completionData.delivery_id || null,
+        id,
+        expectedStatus,
+      ]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const referral = await this.findById(id, trx);
+      await DomainEvent.record(
+        STATUS_EVENTS.completed,
+        id,
+        eventData(referral, {
+          completion_date: referral.completion_date,
+          completion_order_id: referral.completion_order_id,
+          completion_delivery_id: referral.completion_delivery_id,
+        }),
+        trx
+      );
+      return referral;
+    });
+  }
+
+  static async updateStatus(id, status) {
+    const sql = `
+      UPDATE referrals 
+      SET status = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = ? AND status <> ?
+    `;
+    return withTransaction(async (trx) => {
+      const result = await trx.query(sql, [status, id, status]);
+      const referral = await this.findById(id, trx);
+      if (result.affectedRows > 0 && STATUS_EVENTS[status]) {
+        await DomainEvent.record(STATUS_EVENTS[status], id, eventData(referral), trx);
+      }
+      return referral;
+    });
+  }
+
+  // Park a referral for manual review. The completion payload is kept so an
+  // approval can finish the completion exactly as the trigger requested it.
+  static async holdForReview(id, completionData = null, connection = database) {
+    const sql = `
+      UPDATE referrals 
+      SET status = 'under_review',
+          metadata = JSON_SET(COALESCE(metadata, JSON_OBJECT()), '$.pending_completion', CAST(? AS JSON)),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `;
+    const result = await connection.query(sql, [
+      JSON.stringify(completionData),
       id,
     ]);
+    return result.affectedRows > 0;
+  }
 
-    if (result.affectedRows > 0) {
-      return this.findById(id);
-    }
-    return null;
+  // Undo a completed referral whose qualifying order was refunded or
+  // cancelled. The reversal details are kept in metadata for audit.
+  static async reverse(id, reversalData, connection = database) {
+    const sql = `
+      UPDATE referrals 
+      SET status = 'reversed',
+          metadata = JSON_SET(COALESCE(metadata, JSON_OBJECT()), '$.reversal', CAST(? AS JSON)),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'completed'
+    `;
+    return inTransaction(connection, async (trx) => {
+      const result = await trx.query(sql, [JSON.stringify(reversalData), id]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const referral = await this.findById(id, trx);
+      await DomainEvent.record(
+        STATUS_EVENTS.reversed,
+        id,
+        eventData(referral, { reversal: referral.metadata.reversal }),
+        trx
+      );
+      return referral;
+    });
   }
 
-  static async updateStatus(id, status) {
+  // Move a referral between statuses only if it is still in `fromStatus`
+  static async transitionStatus(id, fromStatus, toStatus, connection = database) {
     const sql = `
       UPDATE referrals 
       SET status = ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
+      WHERE id = ? AND status = ?
     `;
-    await database.query(sql, [status, id]);
-    return this.findById(id);
+    return inTransaction(connection, async (trx) => {
+      const result = await trx.query(sql, [toStatus, id, fromStatus]);
+      if (result.affectedRows === 0) {
+        return false;
+      }
+
+      if (STATUS_EVENTS[toStatus]) {
+        const referral = await this.findById(id, trx);
+        await DomainEvent.record(STATUS_EVENTS[toStatus], id, eventData(referral), trx);
+      }
+      return true;
+    });
   }
 
-  static async getExpiredReferrals() {
+  static async findUnderReview(limit = 50, offset = 0) {
     const sql = `
       SELECT * FROM referrals 
+      WHERE status = 'under_review' 
+      ORDER BY updated_at ASC 
+      LIMIT ? OFFSET ?
+    `;
+    const results = await database.query(sql, [limit, offset]);
+    return results.map((referral) => {
+      if (referral.metadata) {
+        referral.metadata = JSON.parse(referral.metadata);
+      }
+      return referral;
+    });
+  }
+
+  static async countUnderReview() {
+    const sql =
+      "SELECT COUNT(*) as total FROM referrals WHERE status = 'under_review'";
+    const results = await database.query(sql);
+    return results[0].total;
+  }
+
+  static async countRecentByCode(referralCode, minutes) {
+    const sql = `
+      SELECT COUNT(*) as total FROM referrals 
+      WHERE referral_code = ? 
+        AND created_at >= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+    `;
+    const results = await database.query(sql, [referralCode, minutes]);
+    return results[0].total;
+  }
+
+  // Completed referrals of a referrer whose referee converted within
+  // `minutes` of signing up, over the last `days` days
+  static async countFastCompletions(referrerId, minutes, days = 30) {
+    const sql = `
+      SELECT COUNT(*) as total FROM referrals 
+      WHERE referrer_id = ? 
+        AND status = 'completed'
+        AND completion_date <= DATE_ADD(created_at, INTERVAL ? MINUTE)
+        AND created_at >= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    `;
+    const results = await database.query(sql, [referrerId, minutes, days]);
+    return results[0].total;
+  }
+
+  // Referrals of a referrer reversed over the last `days` days: the referee
+  // completed and then had the qualifying order refunded or cancelled
+  static async countReversed(referrerId, days = 90) {
+    const sql = `
+      SELECT COUNT(*) as total FROM referrals 
+      WHERE referrer_id = ? 
+        AND status = 'reversed'
+        AND updated_at >= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    `;
+    const results = await database.query(sql, [referrerId, days]);
+    return results[0].total;
+  }
+
+  // Next batch of expired pending referrals after the (expiry_date, id)
+  // checkpoint, locked for the caller's transaction
+  static async findExpiredBatch(after = null, limit = 1000, connection = database) {
+    let sql = `
+      SELECT id, referrer_id, referee_id, referrer_type, referee_type,
+             referral_code, campaign_id, expiry_date
+      FROM referrals 
       WHERE status = 'pending' AND expiry_date < CURRENT_TIMESTAMP
     `;
-    return await database.query(sql);
+    const params = [];
+
+    // A checkpoint read back from JSON holds an ISO string; bound as a Date
+    // it is written in the connection's time zone, like the column itself
+    if (after) {
+      const expiryDate = new Date(after.expiry_date);
+      sql += " AND (expiry_date > ? OR (expiry_date = ? AND id > ?))";
+      params.push(expiryDate, expiryDate, after.id);
+    }
+
+    sql += " ORDER BY expiry_date, id LIMIT ? FOR UPDATE SKIP LOCKED";
+    params.push(limit);
+
+    return connection.query(sql, params);
+  }
+
+  // Expire a locked batch of pending referrals and queue one referral.expired
+  // event each. Callers pass rows from findExpiredBatch on the same transaction.
+  static async expireBatch(referrals, connection) {
+    if (referrals.length === 0) {
+      return 0;
+    }
+
+    const sql = `
+      UPDATE referrals 
+      SET status = 'expired', updated_at = CURRENT_TIMESTAMP 
+      WHERE id IN (${referrals.map(() => "?").join(", ")}) AND status = 'pending'
+    `;
+    const result = await connection.query(
+      sql,
+      referrals.map((r) => r.id)
+    );
+    if (result.affectedRows !== referrals.length) {
+      throw new Error(
+        `Expected to expire ${referrals.length} referrals, expired ${result.affectedRows}`
+      );
+    }
+
+    await DomainEvent.recordMany(
+      referrals.map((referral) => ({
+        event_type: STATUS_EVENTS.expired,
+        aggregate_id: referral.id,
+        data: eventData({ ...referral, status: "expired" }),
+      })),
+      connection
+    );
+    return result.affectedRows;
   }
 
   static async getReferralStats(
     referrerId = null,
     startDate = null,
-    endDate = null
+    endDate = null,
+    connection = database
   ) {
     let sql = `
       SELECT 
@@ -181,6 +588,8 @@ class Referral {
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_referrals,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_referrals,
         COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_referrals,
+        COUNT(CASE WHEN status = 'under_review' THEN 1 END) as under_review_referrals,
+        COUNT(CASE WHEN status = 'reversed' THEN 1 END) as reversed_referrals,
         SUM(referrer_bonus) as total_referrer_bonus,
         SUM(referee_bonus) as total_referee_bonus,
         AVG(DATEDIFF(completion_date, created_at)) as avg_completion_days
@@ -204,7 +613,7 @@ class Referral {
       params.push(endDate);
     }
 
-    const results = await database.query(sql, params);
+    const results = await connection.query(sql, params);
     return results[0];
   }
 
@@ -234,6 +643,25 @@ class Referral {
 
     return await database.query(sql, [limit]);
   }
+
+  // Same ranking over an explicit date range, for reports
+  static async getTopReferrersBetween(startDate, endDate, limit = 10) {
+    const sql = `
+      SELECT 
+        referrer_id,
+        referrer_type,
+        COUNT(*) as total_referrals,
+        COUNT(CASE WHEN status = 'completed' THEN 1 END) as successful_referrals,
+        SUM(referrer_bonus) as total_bonus_earned
+      FROM referrals 
+      WHERE created_at >= ? AND created_at <= ?
+      GROUP BY referrer_id, referrer_type
+      ORDER BY successful_referrals DESC, total_referrals DESC
+      LIMIT ?
+    `;
+
+    return await database.query(sql, [startDate, endDate, limit]);
+  }
 }
 
 module.exports = Referral;
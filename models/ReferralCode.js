@@ -12,11 +12,15 @@ class ReferralCode {
         usage_count INT DEFAULT 0,
         max_usage INT DEFAULT 50,
         is_active BOOLEAN DEFAULT TRUE,
-        bonus_amount DECIMAL(8,2) DEFAULT 0.00,
+        bonus_amount DECIMAL(8,2) DEFAULT NULL,
         bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+        bonus_amounts JSON,
+        max_bonus_amount DECIMAL(8,2),
+        min_bonus_amount DECIMAL(8,2),
         minimum_order_amount DECIMAL(8,2) DEFAULT 0.00,
         expiry_date DATETIME,
         campaign_id VARCHAR(36),
+        velocity_limits JSON,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_owner (owner_id, owner_type),
@@ -35,30 +39,36 @@ class ReferralCode {
     const sql = `
       INSERT INTO referral_codes (
         id, owner_id, owner_type, code, max_usage, bonus_amount,
-        bonus_type, minimum_order_amount, expiry_date, campaign_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        bonus_type, bonus_amounts, max_bonus_amount, min_bonus_amount,
+        minimum_order_amount, expiry_date, campaign_id, velocity_limits
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
+    // A code without its own bonus_amount follows the active reward program
     const params = [
       id,
       codeData.owner_id,
       codeData.owner_type,
       code,
       codeData.max_usage || 50,
-      codeData.bonus_amount || this.getDefaultBonus(codeData.owner_type),
+      codeData.bonus_amount || null,
       codeData.bonus_type || "credit",
+      codeData.bonus_amounts ? JSON.stringify(codeData.bonus_amounts) : null,
+      codeData.max_bonus_amount || null,
+      codeData.min_bonus_amount || null,
       codeData.minimum_order_amount || 0,
       codeData.expiry_date || null,
       codeData.campaign_id || null,
+      codeData.velocity_limits ? JSON.stringify(codeData.velocity_limits) : null,
     ];
 
     await database.query(sql, params);
     return this.findById(id);
   }
 
-  static async findById(id) {
+  static async findById(id, connection = database) {
     const sql = "SELECT * FROM referral_codes WHERE id = ?";
-    const results = await database.query(sql, [id]);
+    const results = await connection.query(sql, [id]);
     return results[0] || null;
   }
 
@@ -77,14 +87,14 @@ class ReferralCode {
     return await database.query(sql, [ownerId, ownerType]);
   }
 
-  static async incrementUsage(codeId) {
+  static async incrementUsage(codeId, connection = database) {
     const sql = `
       UPDATE referral_codes 
       SET usage_count = usage_count + 1, updated_at = CURRENT_TIMESTAMP 
       WHERE id = ?
     `;
-    await database.query(sql, [codeId]);
-    return this.findById(codeId);
+    await connection.query(sql, [codeId]);
+    return this.findById(codeId, connection);
   }
 
   static async validateCode(code) {
@@ -99,6 +109,21 @@ class ReferralCode {
     return results[0] || null;
   }
 
+  // Per-code override of the code-scope velocity limits, e.g. { hour: 2, day: 10 };
+  // null falls back to the owner-type defaults
+  static async updateVelocityLimits(codeId, velocityLimits) {
+    const sql = `
+      UPDATE referral_codes 
+      SET velocity_limits = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = ?
+    `;
+    await database.query(sql, [
+      velocityLimits ? JSON.stringify(velocityLimits) : null,
+      codeId,
+    ]);
+    return this.findById(codeId);
+  }
+
   static async deactivateCode(codeId) {
     const sql = `
       UPDATE referral_codes 
@@ -122,19 +147,6 @@ class ReferralCode {
     const suffix = Math.random().toString(36).substring(2, 8).toUpperCase();
     return `${prefix}${suffix}`;
   }
-
-  static getDefaultBonus(ownerType) {
-    switch (ownerType) {
-      case "customer":
-        return parseFloat(process.env.CUSTOMER_REFERRAL_BONUS) || 10.0;
-      case "driver":
-        return parseFloat(process.env.DRIVER_REFERRAL_BONUS) || 25.0;
-      case "restaurant":
-        return parseFloat(process.env.RESTAURANT_REFERRAL_BONUS) || 50.0;
-      default:
-        return 10.0;
-    }
-  }
 }
 
 module.exports = ReferralCode;
@@ -0,0 +1,32 @@
+const database = require("../config/database");
+
+class ReminderPreference {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS reminder_preferences (
+        user_id VARCHAR(36) NOT NULL,
+        reminder_type ENUM('referral_expiring', 'reward_expiring') NOT NULL,
+        opted_out BOOLEAN NOT NULL DEFAULT FALSE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, reminder_type)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async findByUser(userId) {
+    const sql = "SELECT * FROM reminder_preferences WHERE user_id = ?";
+    return database.query(sql, [userId]);
+  }
+
+  static async set(userId, reminderType, optedOut) {
+    const sql = `
+      INSERT INTO reminder_preferences (user_id, reminder_type, opted_out)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE opted_out = VALUES(opted_out)
+    `;
+    await database.query(sql, [userId, reminderType, optedOut]);
+  }
+}
+
+module.exports = ReminderPreference;
@@ -0,0 +1,103 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+// Columns for listings; the rendered artifacts are only read for a download
+const summaryColumns = `
+  id, report_type, period_start, period_end, status, requested_by,
+  delivery_target, delivered_at, delivery_error, created_at
+`;
+
+class Report {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS reports (
+        id VARCHAR(36) PRIMARY KEY,
+        report_type ENUM('weekly', 'ad_hoc') NOT NULL,
+        period_start DATETIME NOT NULL,
+        period_end DATETIME NOT NULL,
+        status ENUM('generated', 'delivered', 'delivery_failed') DEFAULT 'generated',
+        json_content LONGTEXT NOT NULL,
+        csv_content LONGTEXT NOT NULL,
+        requested_by VARCHAR(36),
+        delivery_target VARCHAR(255),
+        delivered_at DATETIME,
+        delivery_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_type_created (report_type, created_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async create(reportData) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO reports (
+        id, report_type, period_start, period_end, json_content,
+        csv_content, requested_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await database.query(sql, [
+      id,
+      reportData.report_type,
+      reportData.period_start,
+      reportData.period_end,
+      reportData.json_content,
+      reportData.csv_content,
+      reportData.requested_by || null,
+    ]);
+    return this.findById(id);
+  }
+
+  static async findById(id) {
+    const sql = `SELECT ${summaryColumns} FROM reports WHERE id = ?`;
+    const results = await database.query(sql, [id]);
+    return results[0] || null;
+  }
+
+  // The rendered artifact in `format` ('csv' or 'json'), or null
+  static async getContent(id, format) {
+    const column = format === "csv" ? "csv_content" : "json_content";
+    const sql = `SELECT ${column} AS content FROM reports WHERE id = ?`;
+    const results = await database.query(sql, [id]);
+    return results[0] ? results[0].content : null;
+  }
+
+  static async findAll(filters = {}, limit = 20, offset = 0) {
+    let sql = `SELECT ${summaryColumns} FROM reports WHERE 1=1`;
+    const params = [];
+
+    if (filters.report_type) {
+      sql += " AND report_type = ?";
+      params.push(filters.report_type);
+    }
+
+    sql += " ORDER BY created_at DESC LIMIT ? OFFSET ?";
+    params.push(limit, offset);
+
+    return database.query(sql, params);
+  }
+
+  static async markDelivery(id, target, error = null) {
+    const sql = `
+      UPDATE reports
+      SET status = ?,
+          delivery_target = ?,
+          delivered_at = IF(? IS NULL, CURRENT_TIMESTAMP, delivered_at),
+          delivery_error = ?
+      WHERE id = ?
+    `;
+    await database.query(sql, [
+      error ? "delivery_failed" : "delivered",
+      target,
+      error,
+      error,
+      id,
+    ]);
+    return this.findById(id);
+  }
+}
+
+module.exports = Report;
@@ -1,5 +1,65 @@
 const database = require("../config/database");
 const { v4: uuidv4 } = require("uuid");
+const { withTransaction } = require("../utils/transaction");
+const RewardLedger = require("./RewardLedger");
+const DomainEvent = require("./DomainEvent");
+
+// Allowed status changes and the ledger journal each one posts. A held
+// reward is already accrued, so releasing it moves no money.
+const TRANSITIONS = {
+  "held:pending": null,
+  "held:cancelled": "reversal",
+  "pending:credited": "credit",
+  "pending:expired": "expiry",
+  "pending:cancelled": "reversal",
+  "credited:cancelled": "clawback",
+};
+
+// Domain event published when a reward enters each status
+const STATUS_EVENTS = {
+  pending: "reward.released",
+  credited: "reward.credited",
+  expired: "reward.expired",
+  cancelled: "reward.cancelled",
+};
+
+// Fields every reward event carries; see schemas/events/common.v1.json
+const eventData = (reward, extra = {}) => ({
+  reward_id: reward.id,
+  user_id: reward.user_id,
+  user_type: reward.user_type,
+  reward_type: reward.reward_type,
+  amount: Number(reward.amount),
+  currency: reward.currency,
+  status: reward.status,
+  source_id: reward.source_id || null,
+  source_type: reward.source_type,
+  expiry_date: reward.expiry_date,
+  ...extra,
+});
+
+// Event fields specific to the status a reward moved to
+const eventDetails = (before, after, options) => {
+  switch (after.status) {
+    case "credited":
+      return {
+        credited_date: after.credited_date,
+        payment_transaction_id: after.payment_transaction_id,
+      };
+    case "cancelled":
+      return {
+        previous_status: before.status,
+        reason: options.description || null,
+      };
+    default:
+      return {};
+  }
+};
+
+// Status changes, their journal and their event must commit together; use
+// the caller's transaction when there is one
+const inTransaction = (connection, work) =>
+  connection === database ? withTransaction(work) : work(connection);
 
 class Reward {
   static async createTable() {
@@ -11,8 +71,10 @@ class Reward {
         reward_type ENUM('referral_bonus', 'milestone_bonus', 'campaign_bonus', 'loyalty_bonus') NOT NULL,
         amount DECIMAL(8,2) NOT NULL,
         currency VARCHAR(3) DEFAULT 'USD',
-        status ENUM('pending', 'credited', 'expired', 'cancelled') DEFAULT 'pending',
+        status ENUM('held', 'pending', 'credited', 'expired', 'cancelled') DEFAULT 'pending',
+        held_until DATETIME,
         credited_date DATETIME,
+        payment_transaction_id VARCHAR(100),
         expiry_date DATETIME,
         source_id VARCHAR(36),
         source_type ENUM('referral', 'campaign', 'milestone', 'manual') NOT NULL,
@@ -24,13 +86,21 @@ class Reward {
         INDEX idx_status (status),
         INDEX idx_source (source_id, source_type),
         INDEX idx_expiry (expiry_date),
+        INDEX idx_status_expiry (status, expiry_date),
+        INDEX idx_held_until (status, held_until),
+        INDEX idx_credited_date (status, credited_date),
         INDEX idx_created_at (created_at)
       )
     `;
     await database.query(sql);
   }
 
-  static async create(rewardData) {
+  // Insert the reward and post its accrual to the ledger
+  static async create(rewardData, connection = database) {
+    return inTransaction(connection, (trx) => this.insert(rewardData, trx));
+  }
+
+  static async insert(rewardData, connection) {
     const id = uuidv4();
 
     // Set expiry date (30 days from now if not specified)
@@ -39,9 +109,9 @@ class Reward {
 
     const sql = `
       INSERT INTO rewards (
-        id, user_id, user_type, reward_type, amount, currency,
-        expiry_date, source_id, source_type, description, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        id, user_id, user_type, reward_type, amount, currency, status,
+        held_until, expiry_date, source_id, source_type, description, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -51,6 +121,8 @@ class Reward {
       rewardData.reward_type,
       rewardData.amount,
       rewardData.currency || "USD",
+      rewardData.held_until ? "held" : "pending",
+      rewardData.held_until || null,
       expiryDate,
       rewardData.source_id || null,
       rewardData.source_type,
@@ -58,13 +130,26 @@ class Reward {
       JSON.stringify(rewardData.metadata || {}),
     ];
 
-    await database.query(sql, params);
-    return this.findById(id);
+    await connection.query(sql, params);
+    const reward = await this.findById(id, connection);
+    await RewardLedger.record(
+      "accrual",
+      reward,
+      { description: reward.description },
+      connection
+    );
+    await DomainEvent.record(
+      "reward.created",
+      id,
+      eventData(reward, { held_until: reward.held_until }),
+      connection
+    );
+    return reward;
   }
 
-  static async findById(id) {
+  static async findById(id, connection = database) {
     const sql = "SELECT * FROM rewards WHERE id = ?";
-    const results = await database.query(sql, [id]);
+    const results = await connection.query(sql, [id]);
     const reward = results[0];
     if (reward && reward.metadata) {
       reward.metadata = JSON.parse(reward.metadata);
@@ -72,7 +157,61 @@ class Reward {
     return reward || null;
   }
 
-  static async findByUser(userId, status = null, limit = 50, offset = 0) {
+  static async findByIds(ids, connection = database) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const sql = `SELECT * FROM rewards WHERE id IN (${ids.map(() => "?").join(", ")})`;
+    const results = await connection.query(sql, ids);
+    return results.map((reward) => {
+      if (reward.metadata) {
+        reward.metadata = JSON.parse(reward.metadata);
+      }
+      return reward;
+    });
+  }
+
+  // Rewards credited in [startDate, endDate), for reconciliation, including
+  // those clawed back since (cancelled, with their credited_date kept)
+  static async findCreditedBetween(startDate, endDate) {
+    const sql = `
+      SELECT * FROM rewards 
+      WHERE status IN ('credited', 'cancelled')
+        AND credited_date >= ? AND credited_date < ?
+      ORDER BY credited_date
+    `;
+    const results = await database.query(sql, [startDate, endDate]);
+    return results.map((reward) => {
+      if (reward.metadata) {
+        reward.metadata = JSON.parse(reward.metadata);
+      }
+      return reward;
+    });
+  }
+
+  static async findBySource(sourceId, sourceType, connection = database) {
+    const sql = `
+      SELECT * FROM rewards 
+      WHERE source_id = ? AND source_type = ?
+      ORDER BY created_at
+    `;
+    const results = await connection.query(sql, [sourceId, sourceType]);
+    return results.map((reward) => {
+      if (reward.metadata) {
+        reward.metadata = JSON.parse(reward.metadata);
+      }
+      return reward;
+    });
+  }
+
+  static async findByUser(
+    userId,
+    status = null,
+    limit = 50,
+    offset = 0,
+    connection = database
+  ) {
     let sql = `SELECT * FROM rewards WHERE user_id = ?`;
     const params = [userId];
 
@@ -84,7 +223,7 @@ class Reward {
     sql += " ORDER BY created_at DESC LIMIT ? OFFSET ?";
     params.push(limit, offset);
 
-    const results = await database.query(sql, params);
+    const results = await connection.query(sql, params);
     return results.map((reward) => {
       if (reward.metadata) {
         reward.metadata = JSON.parse(reward.metadata);
@@ -93,60 +232,229 @@ class Reward {
     });
   }
 
-  static async creditReward(id) {
-    const sql = `
-      UPDATE rewards 
-      SET status = 'credited', 
-          credited_date = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND status = 'pending'
-    `;
+  // Mark a pending reward credited with the payment service's transaction id.
+  // Returns null if it is no longer pending.
+  static async creditReward(id, transactionId = null, connection = database) {
+    return this.updateStatus(id, "credited", connection, {
+      expectedStatus: "pending",
+      paymentTransactionId: transactionId,
+      metadata: { payment_transaction_id: transactionId },
+    });
+  }
 
-    const result = await database.query(sql, [id]);
-    if (result.affectedRows > 0) {
-      return this.findById(id);
-    }
-    return null;
+  // Move a reward to a new status and post the matching journal. Returns null
+  // when the reward is missing, not in `options.expectedStatus` (if given) or
+  // already moved by someone else; throws when the transition is not allowed.
+  static async updateStatus(id, status, connection = database, options = {}) {
+    return inTransaction(connection, async (trx) => {
+      const reward = await this.findById(id, trx);
+      if (
+        !reward ||
+        (options.expectedStatus && reward.status !== options.expectedStatus)
+      ) {
+        return null;
+      }
+
+      const transition = `${reward.status}:${status}`;
+      if (!(transition in TRANSITIONS)) {
+        throw new Error(
+          `Invalid reward status transition: ${reward.status} -> ${status}`
+        );
+      }
+
+      const sql = `
+        UPDATE rewards 
+        SET status = ?,
+            credited_date = ${status === "credited" ? "CURRENT_TIMESTAMP" : "credited_date"},
+            payment_transaction_id = COALESCE(?, payment_transaction_id),
+            updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ? AND status = ?
+      `;
+      const result = await trx.query(sql, [
+        status,
+        options.paymentTransactionId || null,
+        id,
+        reward.status,
+      ]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      if (TRANSITIONS[transition]) {
+        await RewardLedger.record(
+          TRANSITIONS[transition],
+          reward,
+          { description: options.description, metadata: options.metadata },
+          trx
+        );
+      }
+
+      const updated = await this.findById(id, trx);
+      await DomainEvent.record(
+        STATUS_EVENTS[status],
+        id,
+        eventData(updated, eventDetails(reward, updated, options)),
+        trx
+      );
+      return updated;
+    });
   }
 
-  static async updateStatus(id, status) {
+  // Pending and credited balances of a reward, from the ledger
+  static async getBalance(id, connection = database) {
+    return RewardLedger.getRewardBalance(id, connection);
+  }
+
+  // Held rewards whose hold window has passed and that can be settled now,
+  // with the status of their referral as `referral_status`. Rewards of a
+  // referral still pending or under review, or with an open fraud review,
+  // are left out so they never crowd out the rest; rewards of a referral
+  // that expired, was cancelled or reversed, or no longer exists are
+  // included so the caller can cancel them.
+  static async getReleasableRewards(limit = 500) {
     const sql = `
-      UPDATE rewards 
-      SET status = ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
+      SELECT rw.*, rf.status AS referral_status
+      FROM rewards rw
+      LEFT JOIN referrals rf
+        ON rw.source_type = 'referral' AND rf.id = rw.source_id
+      WHERE rw.status = 'held' AND rw.held_until <= CURRENT_TIMESTAMP
+        AND (
+          rw.source_type <> 'referral'
+          OR rw.source_id IS NULL
+          OR rf.id IS NULL
+          OR rf.status IN ('expired', 'cancelled', 'reversed')
+          OR (
+            rf.status = 'completed'
+            AND NOT EXISTS (
+              SELECT 1 FROM fraud_assessments fa
+              WHERE fa.referral_id = rw.source_id
+                AND fa.decision = 'review'
+                AND fa.review_decision IS NULL
+            )
+          )
+        )
+      ORDER BY rw.held_until, rw.id
+      LIMIT ?
     `;
-    await database.query(sql, [status, id]);
-    return this.findById(id);
+    const results = await database.query(sql, [limit]);
+    return results.map((reward) => {
+      if (reward.metadata) {
+        reward.metadata = JSON.parse(reward.metadata);
+      }
+      return reward;
+    });
   }
 
-  static async getExpiredRewards() {
-    const sql = `
+  // Next batch of expired pending rewards after the (expiry_date, id)
+  // checkpoint, locked for the caller's transaction
+  static async findExpiredBatch(after = null, limit = 1000, connection = database) {
+    let sql = `
       SELECT * FROM rewards 
       WHERE status = 'pending' AND expiry_date < CURRENT_TIMESTAMP
     `;
-    return await database.query(sql);
+    const params = [];
+
+    // A checkpoint read back from JSON holds an ISO string; bound as a Date
+    // it is written in the connection's time zone, like the column itself
+    if (after) {
+      const expiryDate = new Date(after.expiry_date);
+      sql += " AND (expiry_date > ? OR (expiry_date = ? AND id > ?))";
+      params.push(expiryDate, expiryDate, after.id);
+    }
+
+    sql += " ORDER BY expiry_date, id LIMIT ? FOR UPDATE SKIP LOCKED";
+    params.push(limit);
+
+    const results = await connection.query(sql, params);
+    return results.map((reward) => {
+      if (reward.metadata) {
+        reward.metadata = JSON.parse(reward.metadata);
+      }
+      return reward;
+    });
+  }
+
+  // Expire a locked batch of pending rewards and post their expiry journals
+  // in one go. Callers pass rows from findExpiredBatch on the same transaction.
+  static async expireBatch(rewards, connection) {
+    if (rewards.length === 0) {
+      return 0;
+    }
+
+    const sql = `
+      UPDATE rewards 
+      SET status = 'expired', updated_at = CURRENT_TIMESTAMP 
+      WHERE id IN (${rewards.map(() => "?").join(", ")}) AND status = 'pending'
+    `;
+    const result = await connection.query(
+      sql,
+      rewards.map((r) => r.id)
+    );
+    if (result.affectedRows !== rewards.length) {
+      throw new Error(
+        `Expected to expire ${rewards.length} rewards, expired ${result.affectedRows}`
+      );
+    }
+
+    await RewardLedger.recordMany(
+      "expiry",
+      rewards,
+      { description: "Reward expired" },
+      connection
+    );
+    await DomainEvent.recordMany(
+      rewards.map((reward) => ({
+        event_type: STATUS_EVENTS.expired,
+        aggregate_id: reward.id,
+        data: eventData({ ...reward, status: "expired" }),
+      })),
+      connection
+    );
+    return result.affectedRows;
   }
 
+  // Status counts come from the rewards; amounts come from the ledger and
+  // are reported per currency, since mixed currencies cannot be summed
   static async getUserRewardSummary(userId) {
     const sql = `
       SELECT 
+        currency,
         COUNT(*) as total_rewards,
-        SUM(CASE WHEN status = 'credited' THEN amount ELSE 0 END) as total_credited,
-        SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END) as pending_amount,
         COUNT(CASE WHEN status = 'credited' THEN 1 END) as credited_count,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_count,
+        COUNT(CASE WHEN status = 'held' THEN 1 END) as held_count,
         COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_count
       FROM rewards 
       WHERE user_id = ?
+      GROUP BY currency
     `;
 
-    const results = await database.query(sql, [userId]);
-    return results[0];
+    const [counts, balances] = await Promise.all([
+      database.query(sql, [userId]),
+      RewardLedger.getUserBalances(userId),
+    ]);
+
+    const byCurrency = balances.map((balance) => ({
+      ...balance,
+      ...(counts.find((row) => row.currency === balance.currency) || {}),
+    }));
+    const sum = (field) =>
+      counts.reduce((total, row) => total + Number(row[field] || 0), 0);
+
+    return {
+      total_rewards: sum("total_rewards"),
+      credited_count: sum("credited_count"),
+      pending_count: sum("pending_count"),
+      held_count: sum("held_count"),
+      expired_count: sum("expired_count"),
+      by_currency: byCurrency,
+    };
   }
 
   static async getRewardStats(startDate = null, endDate = null) {
     let sql = `
       SELECT 
+        currency,
         COUNT(*) as total_rewards,
         SUM(amount) as total_amount,
         COUNT(CASE WHEN status = 'credited' THEN 1 END) as credited_rewards,
@@ -169,8 +477,23 @@ class Reward {
       params.push(endDate);
     }
 
-    const results = await database.query(sql, params);
-    return results[0];
+    sql += " GROUP BY currency ORDER BY currency";
+
+    const [byCurrency, ledgerTotals] = await Promise.all([
+      database.query(sql, params),
+      RewardLedger.getJournalTotals(startDate, endDate),
+    ]);
+    const sum = (field) =>
+      byCurrency.reduce((total, row) => total + Number(row[field] || 0), 0);
+
+    return {
+      total_rewards: sum("total_rewards"),
+      credited_rewards: sum("credited_rewards"),
+      referral_rewards: sum("referral_rewards"),
+      milestone_rewards: sum("milestone_rewards"),
+      by_currency: byCurrency,
+      ledger_totals: ledgerTotals,
+    };
   }
 }
 
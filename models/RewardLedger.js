@@ -0,0 +1,254 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+// Double-entry journals for each reward event. Accounts:
+//   reward_expense   - cost of rewards issued
+//   rewards_pending  - owed to users, not yet credited
+//   rewards_credited - credited to user accounts in the payment service
+const JOURNALS = {
+  accrual: { debit: "reward_expense", credit: "rewards_pending" },
+  credit: { debit: "rewards_pending", credit: "rewards_credited" },
+  expiry: { debit: "rewards_pending", credit: "reward_expense" },
+  reversal: { debit: "rewards_pending", credit: "reward_expense" },
+  clawback: { debit: "rewards_credited", credit: "reward_expense" },
+};
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+const parseEntry = (entry) => {
+  if (entry && typeof entry.metadata === "string") {
+    entry.metadata = JSON.parse(entry.metadata);
+  }
+  return entry;
+};
+
+// Append-only: entries are never updated or deleted. Corrections are posted
+// as new journals (reversal, clawback).
+class RewardLedger {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS reward_ledger (
+        id VARCHAR(36) PRIMARY KEY,
+        journal_id VARCHAR(36) NOT NULL,
+        entry_type ENUM('accrual', 'credit', 'expiry', 'reversal', 'clawback') NOT NULL,
+        reward_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        account ENUM('reward_expense', 'rewards_pending', 'rewards_credited') NOT NULL,
+        debit DECIMAL(10,2) NOT NULL DEFAULT 0,
+        credit DECIMAL(10,2) NOT NULL DEFAULT 0,
+        currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+        description VARCHAR(255),
+        metadata JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_journal (journal_id),
+        INDEX idx_reward (reward_id),
+        INDEX idx_user_account (user_id, account, currency),
+        INDEX idx_created_at (created_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static validateJournal(journal) {
+    const { lines = [] } = journal;
+    let debits = 0;
+    let credits = 0;
+
+    for (const line of lines) {
+      const debit = toCents(line.debit || 0);
+      const credit = toCents(line.credit || 0);
+      if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+        throw new Error(
+          `Invalid ledger line for ${line.account}: exactly one of debit or credit must be positive`
+        );
+      }
+      debits += debit;
+      credits += credit;
+    }
+
+    if (lines.length < 2 || debits !== credits) {
+      throw new Error(
+        `Unbalanced ${journal.entry_type} journal for reward ${journal.reward_id}: debits ${debits / 100} != credits ${credits / 100}`
+      );
+    }
+  }
+
+  // Post a balanced journal. Each line carries either a debit or a credit;
+  // the journal is rejected unless debits equal credits.
+  static async postJournal(journal, connection = database) {
+    const [journalId] = await this.postJournals([journal], connection);
+    return journalId;
+  }
+
+  // Post several journals in one statement; all are validated first
+  static async postJournals(journals, connection = database) {
+    journals.forEach((journal) => this.validateJournal(journal));
+    if (journals.length === 0) {
+      return [];
+    }
+
+    const journalIds = [];
+    const params = [];
+    let rows = 0;
+
+    for (const journal of journals) {
+      const journalId = uuidv4();
+      journalIds.push(journalId);
+
+      for (const line of journal.lines) {
+        rows++;
+        params.push(
+          uuidv4(),
+          journalId,
+          journal.entry_type,
+          journal.reward_id,
+          journal.user_id,
+          line.account,
+          line.debit || 0,
+          line.credit || 0,
+          journal.currency || "USD",
+          journal.description || null,
+          JSON.stringify(journal.metadata || {})
+        );
+      }
+    }
+
+    const placeholders = new Array(rows)
+      .fill("(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)")
+      .join(", ");
+    const sql = `
+      INSERT INTO reward_ledger (
+        id, journal_id, entry_type, reward_id, user_id, account,
+        debit, credit, currency, description, metadata
+      ) VALUES ${placeholders}
+    `;
+
+    await connection.query(sql, params);
+    return journalIds;
+  }
+
+  static buildJournal(entryType, reward, options = {}) {
+    const accounts = JOURNALS[entryType];
+    if (!accounts) {
+      throw new Error(`Unknown ledger entry type: ${entryType}`);
+    }
+
+    const amount =
+      options.amount !== undefined ? options.amount : reward.amount;
+
+    return {
+      entry_type: entryType,
+      reward_id: reward.id,
+      user_id: reward.user_id,
+      currency: reward.currency,
+      description: options.description || null,
+      metadata: options.metadata,
+      lines: [
+        { account: accounts.debit, debit: amount },
+        { account: accounts.credit, credit: amount },
+      ],
+    };
+  }
+
+  // Post the standard journal for a reward event, moving `amount` (the full
+  // reward amount by default) between the event's accounts
+  static async record(entryType, reward, options = {}, connection = database) {
+    return this.postJournal(
+      this.buildJournal(entryType, reward, options),
+      connection
+    );
+  }
+
+  // Post the same event for many rewards at once
+  static async recordMany(entryType, rewards, options = {}, connection = database) {
+    return this.postJournals(
+      rewards.map((reward) => this.buildJournal(entryType, reward, options)),
+      connection
+    );
+  }
+
+  static async findByReward(rewardId, connection = database) {
+    const sql = `
+      SELECT * FROM reward_ledger
+      WHERE reward_id = ?
+      ORDER BY created_at, journal_id
+    `;
+    const results = await connection.query(sql, [rewardId]);
+    return results.map(parseEntry);
+  }
+
+  // Liability balances for one reward (credit-normal accounts)
+  static async getRewardBalance(rewardId, connection = database) {
+    const sql = `
+      SELECT
+        currency,
+        SUM(CASE WHEN account = 'rewards_pending' THEN credit - debit ELSE 0 END) as pending_amount,
+        SUM(CASE WHEN account = 'rewards_credited' THEN credit - debit ELSE 0 END) as credited_amount
+      FROM reward_ledger
+      WHERE reward_id = ?
+      GROUP BY currency
+    `;
+    const results = await connection.query(sql, [rewardId]);
+    return results[0] || null;
+  }
+
+  static async getUserBalances(userId) {
+    const sql = `
+      SELECT
+        currency,
+        SUM(CASE WHEN entry_type = 'accrual' THEN credit ELSE 0 END) as total_accrued,
+        SUM(CASE WHEN account = 'rewards_pending' THEN credit - debit ELSE 0 END) as pending_amount,
+        SUM(CASE WHEN account = 'rewards_credited' THEN credit - debit ELSE 0 END) as total_credited,
+        SUM(CASE WHEN entry_type = 'expiry' THEN credit ELSE 0 END) as expired_amount,
+        SUM(CASE WHEN entry_type IN ('reversal', 'clawback') THEN credit ELSE 0 END) as reversed_amount
+      FROM reward_ledger
+      WHERE user_id = ?
+      GROUP BY currency
+      ORDER BY currency
+    `;
+    return database.query(sql, [userId]);
+  }
+
+  // Journal totals by event and currency, for reconciliation against the
+  // payment service
+  static async getJournalTotals(startDate = null, endDate = null) {
+    let sql = `
+      SELECT
+        entry_type,
+        currency,
+        COUNT(DISTINCT journal_id) as journal_count,
+        SUM(debit) as total_debit,
+        SUM(credit) as total_credit
+      FROM reward_ledger
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (startDate) {
+      sql += " AND created_at >= ?";
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      sql += " AND created_at <= ?";
+      params.push(endDate);
+    }
+
+    sql += " GROUP BY entry_type, currency ORDER BY entry_type, currency";
+    return database.query(sql, params);
+  }
+
+  // Should always be empty; anything returned here is a ledger defect
+  static async findUnbalancedJournals(limit = 100) {
+    const sql = `
+      SELECT journal_id, SUM(debit) as total_debit, SUM(credit) as total_credit
+      FROM reward_ledger
+      GROUP BY journal_id
+      HAVING SUM(debit) <> SUM(credit)
+      LIMIT ?
+    `;
+    return database.query(sql, [limit]);
+  }
+}
+
+module.exports = RewardLedger;
@@ -0,0 +1,199 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+const parseProgram = (program) => {
+  if (program && typeof program.milestones === "string") {
+    program.milestones = JSON.parse(program.milestones);
+  }
+  if (program && typeof program.metadata === "string") {
+    program.metadata = JSON.parse(program.metadata);
+  }
+  return program;
+};
+
+class RewardProgram {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS reward_programs (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        referrer_type ENUM('customer', 'driver', 'restaurant') NOT NULL,
+        referee_type ENUM('customer', 'driver', 'restaurant', 'all') DEFAULT 'all',
+        referrer_bonus DECIMAL(8,2) NOT NULL,
+        referrer_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+        referrer_max_bonus_amount DECIMAL(8,2),
+        referrer_min_bonus_amount DECIMAL(8,2),
+        referee_bonus DECIMAL(8,2) NOT NULL,
+        referee_bonus_type ENUM('cash', 'credit', 'percentage') DEFAULT 'credit',
+        referee_max_bonus_amount DECIMAL(8,2),
+        referee_min_bonus_amount DECIMAL(8,2),
+        milestones JSON,
+        hold_days INT,
+        effective_from DATETIME NOT NULL,
+        effective_to DATETIME,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by VARCHAR(36),
+        metadata JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_types (referrer_type, referee_type),
+        INDEX idx_effective (effective_from, effective_to),
+        INDEX idx_active (is_active)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async create(programData) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO reward_programs (
+        id, name, description, referrer_type, referee_type,
+        referrer_bonus, referrer_bonus_type, referrer_max_bonus_amount,
+        referrer_min_bonus_amount, referee_bonus, referee_bonus_type,
+        referee_max_bonus_amount, referee_min_bonus_amount,
+        milestones, hold_days, effective_from, effective_to, created_by, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id,
+      programData.name,
+      programData.description || null,
+      programData.referrer_type,
+      programData.referee_type || "all",
+      programData.referrer_bonus,
+      programData.referrer_bonus_type || "credit",
+      programData.referrer_max_bonus_amount || null,
+      programData.referrer_min_bonus_amount || null,
+      programData.referee_bonus,
+      programData.referee_bonus_type || "credit",
+      programData.referee_max_bonus_amount || null,
+      programData.referee_min_bonus_amount || null,
+      JSON.stringify(programData.milestones || []),
+      programData.hold_days !== undefined ? programData.hold_days : null,
+      programData.effective_from,
+      programData.effective_to || null,
+      programData.created_by || null,
+      JSON.stringify(programData.metadata || {}),
+    ];
+
+    await database.query(sql, params);
+    return this.findById(id);
+  }
+
+  static async findById(id) {
+    const sql = "SELECT * FROM reward_programs WHERE id = ?";
+    const results = await database.query(sql, [id]);
+    return parseProgram(results[0]) || null;
+  }
+
+  static async findAll(filters = {}, limit = 50, offset = 0) {
+    let sql = "SELECT * FROM reward_programs WHERE 1=1";
+    const params = [];
+
+    if (filters.referrer_type) {
+      sql += " AND referrer_type = ?";
+      params.push(filters.referrer_type);
+    }
+
+    if (filters.referee_type) {
+      sql += " AND referee_type = ?";
+      params.push(filters.referee_type);
+    }
+
+    if (filters.is_active !== undefined) {
+      sql += " AND is_active = ?";
+      params.push(filters.is_active);
+    }
+
+    sql += " ORDER BY referrer_type, referee_type, effective_from DESC LIMIT ? OFFSET ?";
+    params.push(limit, offset);
+
+    const results = await database.query(sql, params);
+    return results.map(parseProgram);
+  }
+
+  // The program in force for a referrer/referee pair at a point in time. A
+  // program for the exact referee type wins over an 'all' program; among
+  // those, the most recently started one wins.
+  static async findEffective(referrerType, refereeType = null, at = new Date()) {
+    const sql = `
+      SELECT * FROM reward_programs
+      WHERE referrer_type = ?
+        AND referee_type IN (?, 'all')
+        AND is_active = TRUE
+        AND effective_from <= ?
+        AND (effective_to IS NULL OR effective_to > ?)
+      ORDER BY (referee_type = ?) DESC, effective_from DESC
+      LIMIT 1
+    `;
+    const results = await database.query(sql, [
+      referrerType,
+      refereeType || "all",
+      at,
+      at,
+      refereeType || "all",
+    ]);
+    return parseProgram(results[0]) || null;
+  }
+
+  static async update(id, programData) {
+    const sql = `
+      UPDATE reward_programs SET
+        name = ?,
+        description = ?,
+        referrer_bonus = ?,
+        referrer_bonus_type = ?,
+        referrer_max_bonus_amount = ?,
+        referrer_min_bonus_amount = ?,
+        referee_bonus = ?,
+        referee_bonus_type = ?,
+        referee_max_bonus_amount = ?,
+        referee_min_bonus_amount = ?,
+        milestones = ?,
+        hold_days = ?,
+        effective_from = ?,
+        effective_to = ?,
+        metadata = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    const params = [
+      programData.name,
+      programData.description || null,
+      programData.referrer_bonus,
+      programData.referrer_bonus_type || "credit",
+      programData.referrer_max_bonus_amount || null,
+      programData.referrer_min_bonus_amount || null,
+      programData.referee_bonus,
+      programData.referee_bonus_type || "credit",
+      programData.referee_max_bonus_amount || null,
+      programData.referee_min_bonus_amount || null,
+      JSON.stringify(programData.milestones || []),
+      programData.hold_days !== undefined ? programData.hold_days : null,
+      programData.effective_from,
+      programData.effective_to || null,
+      JSON.stringify(programData.metadata || {}),
+      id,
+    ];
+
+    await database.query(sql, params);
+    return this.findById(id);
+  }
+
+  static async deactivate(id) {
+    const sql = `
+      UPDATE reward_programs
+      SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    const result = await database.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = RewardProgram;
@@ -0,0 +1,126 @@
+const database = require("../config/database");
+
+// One row per scheduled job. A replica runs a job only after taking its lock
+// with a conditional update, so each due run executes once across replicas;
+// a lock left by a crashed process lapses at `locked_until`.
+class ScheduledJob {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        name VARCHAR(100) PRIMARY KEY,
+        schedule VARCHAR(100) NOT NULL,
+        is_enabled BOOLEAN DEFAULT TRUE,
+        next_run_at DATETIME NOT NULL,
+        last_run_at DATETIME,
+        last_status ENUM('succeeded', 'failed'),
+        locked_by VARCHAR(100),
+        locked_until DATETIME,
+        checkpoint JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_next_run (is_enabled, next_run_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  // Add a job, or update its schedule. The pending run is kept unless the
+  // schedule changed, so a missed run survives a restart.
+  static async register(name, schedule, nextRunAt) {
+    const sql = `
+      INSERT INTO scheduled_jobs (name, schedule, next_run_at)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        next_run_at = IF(schedule = VALUES(schedule), next_run_at, VALUES(next_run_at)),
+        schedule = VALUES(schedule)
+    `;
+    await database.query(sql, [name, schedule, nextRunAt]);
+  }
+
+  static async findByName(name) {
+    const sql = "SELECT * FROM scheduled_jobs WHERE name = ?";
+    const results = await database.query(sql, [name]);
+    const job = results[0];
+    if (job && typeof job.checkpoint === "string") {
+      job.checkpoint = JSON.parse(job.checkpoint);
+    }
+    return job || null;
+  }
+
+  static async findAll() {
+    const sql = "SELECT * FROM scheduled_jobs ORDER BY name";
+    return database.query(sql);
+  }
+
+  static async findDue() {
+    const sql = `
+      SELECT * FROM scheduled_jobs
+      WHERE is_enabled = TRUE AND next_run_at <= CURRENT_TIMESTAMP
+      ORDER BY next_run_at
+    `;
+    return database.query(sql);
+  }
+
+  // Take the job's lock. With `dueOnly` the lock is only granted while the
+  // job is due, so two replicas ticking together cannot both run it.
+  static async acquireLock(name, owner, lockSeconds, dueOnly = true) {
+    const sql = `
+      UPDATE scheduled_jobs
+      SET locked_by = ?,
+          locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      WHERE name = ?
+        AND is_enabled = TRUE
+        AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+        ${dueOnly ? "AND next_run_at <= CURRENT_TIMESTAMP" : ""}
+    `;
+    const result = await database.query(sql, [owner, lockSeconds, name]);
+    return result.affectedRows > 0;
+  }
+
+  // Progress marker for a long job, so a run that fails or is interrupted
+  // resumes where it stopped. Only the lock holder may write it; each save
+  // also extends the lock by `lockSeconds`, so a job that keeps making
+  // progress keeps its lock however long it runs. False when the lock has
+  // passed to another owner.
+  static async saveCheckpoint(name, owner, checkpoint, lockSeconds) {
+    const sql = `
+      UPDATE scheduled_jobs
+      SET checkpoint = ?,
+          locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      WHERE name = ? AND locked_by = ?
+    `;
+    const result = await database.query(sql, [
+      JSON.stringify(checkpoint),
+      lockSeconds,
+      name,
+      owner,
+    ]);
+    return result.affectedRows > 0;
+  }
+
+  // Record the outcome and release the lock. A successful run clears the
+  // checkpoint. `nextRunAt` is null for manual runs, which leave the
+  // schedule untouched.
+  static async completeRun(name, owner, status, nextRunAt = null) {
+    const sql = `
+      UPDATE scheduled_jobs
+      SET locked_by = NULL,
+          locked_until = NULL,
+          last_run_at = CURRENT_TIMESTAMP,
+          last_status = ?,
+          checkpoint = IF(? = 'succeeded', NULL, checkpoint),
+          next_run_at = COALESCE(?, next_run_at)
+      WHERE name = ? AND locked_by = ?
+    `;
+    const result = await database.query(sql, [
+      status,
+      status,
+      nextRunAt,
+      name,
+      owner,
+    ]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = ScheduledJob;
@@ -0,0 +1,54 @@
+const database = require("../config/database");
+
+// Log of user profile changes. Every replica polls it and drops the profiles
+// it has cached, so a user_updated event received by one replica reaches the
+// caches of all of them.
+class UserCacheInvalidation {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS user_cache_invalidations (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        user_type VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_created_at (created_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async record(userId, userType = null) {
+    const sql = `
+      INSERT INTO user_cache_invalidations (user_id, user_type)
+      VALUES (?, ?)
+    `;
+    await database.query(sql, [userId, userType]);
+  }
+
+  static async latestId() {
+    const sql = "SELECT MAX(id) as id FROM user_cache_invalidations";
+    const results = await database.query(sql);
+    return results[0].id || 0;
+  }
+
+  static async findAfter(id, limit = 1000) {
+    const sql = `
+      SELECT id, user_id, user_type FROM user_cache_invalidations
+      WHERE id > ?
+      ORDER BY id
+      LIMIT ?
+    `;
+    return database.query(sql, [id, limit]);
+  }
+
+  static async deleteOlderThan(minutes) {
+    const sql = `
+      DELETE FROM user_cache_invalidations
+      WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+    `;
+    const result = await database.query(sql, [minutes]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = UserCacheInvalidation;
@@ -0,0 +1,65 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+class UserDevice {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS user_devices (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        ip_address VARCHAR(45) NOT NULL DEFAULT '',
+        device_fingerprint VARCHAR(255) NOT NULL DEFAULT '',
+        seen_count INT DEFAULT 1,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_user_device (user_id, ip_address, device_fingerprint),
+        INDEX idx_ip (ip_address),
+        INDEX idx_fingerprint (device_fingerprint)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async record(userId, ipAddress, deviceFingerprint) {
+    if (!userId || (!ipAddress && !deviceFingerprint)) {
+      return;
+    }
+
+    const sql = `
+      INSERT INTO user_devices (id, user_id, ip_address, device_fingerprint)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        seen_count = seen_count + 1,
+        last_seen_at = CURRENT_TIMESTAMP
+    `;
+    await database.query(sql, [
+      uuidv4(),
+      userId,
+      ipAddress || "",
+      deviceFingerprint || "",
+    ]);
+  }
+
+  // How often a user has been seen on the given IP or device fingerprint
+  static async findMatches(userId, ipAddress, deviceFingerprint) {
+    const sql = `
+      SELECT
+        COUNT(CASE WHEN ? <> '' AND ip_address = ? THEN 1 END) as ip_matches,
+        COUNT(CASE WHEN ? <> '' AND device_fingerprint = ? THEN 1 END) as fingerprint_matches
+      FROM user_devices
+      WHERE user_id = ?
+    `;
+    const ip = ipAddress || "";
+    const fingerprint = deviceFingerprint || "";
+    const results = await database.query(sql, [
+      ip,
+      ip,
+      fingerprint,
+      fingerprint,
+      userId,
+    ]);
+    return results[0];
+  }
+}
+
+module.exports = UserDevice;
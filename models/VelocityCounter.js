@@ -0,0 +1,65 @@
+const database = require("../config/database");
+
+class VelocityCounter {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS velocity_counters (
+        counter_key VARCHAR(191) PRIMARY KEY,
+        count INT NOT NULL DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        INDEX idx_expires (expires_at)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async increment(counterKey, expiresAt, connection = database) {
+    const sql = `
+      INSERT INTO velocity_counters (counter_key, count, expires_at)
+      VALUES (?, 1, ?)
+      ON DUPLICATE KEY UPDATE count = count + 1
+    `;
+    await connection.query(sql, [counterKey, expiresAt]);
+    return this.getCount(counterKey, connection);
+  }
+
+  // Count one more unless the counter is already at `max`. The conditional
+  // UPDATE locks the row, so concurrent callers cannot both take the last
+  // slot; on the caller's transaction a rollback gives the slot back.
+  // Returns whether the count was taken.
+  static async incrementBelow(counterKey, max, expiresAt, connection = database) {
+    await connection.query(
+      `
+        INSERT IGNORE INTO velocity_counters (counter_key, count, expires_at)
+        VALUES (?, 0, ?)
+      `,
+      [counterKey, expiresAt]
+    );
+    const result = await connection.query(
+      `
+        UPDATE velocity_counters SET count = count + 1
+        WHERE counter_key = ? AND count < ?
+      `,
+      [counterKey, max]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async getCount(counterKey, connection = database) {
+    const sql = `
+      SELECT count FROM velocity_counters
+      WHERE counter_key = ? AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const results = await connection.query(sql, [counterKey]);
+    return results[0] ? results[0].count : 0;
+  }
+
+  static async deleteExpired() {
+    const sql =
+      "DELETE FROM velocity_counters WHERE expires_at <= CURRENT_TIMESTAMP";
+    const result = await database.query(sql);
+    return result.affectedRows;
+  }
+}
+
+module.exports = VelocityCounter;
@@ -0,0 +1,157 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+const { withTransaction } = require("../utils/transaction");
+
+const parse = (delivery) => {
+  if (delivery && typeof delivery.payload === "string") {
+    delivery.payload = JSON.parse(delivery.payload);
+  }
+  return delivery;
+};
+
+// One event sent to one subscription, with a log of every attempt
+class WebhookDelivery {
+  static async createTable() {
+    const deliveries = `
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id VARCHAR(36) PRIMARY KEY,
+        subscription_id VARCHAR(36) NOT NULL,
+        event_id VARCHAR(36) NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        payload JSON NOT NULL,
+        status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+        attempts INT DEFAULT 0,
+        last_response_code INT,
+        last_error TEXT,
+        delivered_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_subscription_event (subscription_id, event_id),
+        INDEX idx_subscription_created (subscription_id, created_at)
+      )
+    `;
+    const attempts = `
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id VARCHAR(36) PRIMARY KEY,
+        delivery_id VARCHAR(36) NOT NULL,
+        attempt INT NOT NULL,
+        response_code INT,
+        response_body TEXT,
+        error TEXT,
+        duration_ms INT,
+        manual BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_delivery (delivery_id, attempt)
+      )
+    `;
+    await database.query(deliveries);
+    await database.query(attempts);
+  }
+
+  // Create the delivery of `event` to a subscription. Returns its id, or null
+  // if that event was already fanned out to the subscription.
+  static async create(subscriptionId, event, connection = database) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT IGNORE INTO webhook_deliveries (
+        id, subscription_id, event_id, event_type, payload
+      ) VALUES (?, ?, ?, ?, ?)
+    `;
+    const result = await connection.query(sql, [
+      id,
+      subscriptionId,
+      event.event_id,
+      event.event_type,
+      JSON.stringify(event),
+    ]);
+    return result.affectedRows > 0 ? id : null;
+  }
+
+  static async findById(id) {
+    const sql = "SELECT * FROM webhook_deliveries WHERE id = ?";
+    const results = await database.query(sql, [id]);
+    return parse(results[0]) || null;
+  }
+
+  // Most recent first, without payloads
+  static async findBySubscription(subscriptionId, filters = {}, limit = 50, offset = 0) {
+    let sql = `
+      SELECT id, subscription_id, event_id, event_type, status, attempts,
+             last_response_code, last_error, delivered_at, created_at, updated_at
+      FROM webhook_deliveries
+      WHERE subscription_id = ?
+    `;
+    const params = [subscriptionId];
+
+    if (filters.status) {
+      sql += " AND status = ?";
+      params.push(filters.status);
+    }
+
+    sql += " ORDER BY created_at DESC LIMIT ? OFFSET ?";
+    params.push(limit, offset);
+
+    return database.query(sql, params);
+  }
+
+  static async findAttempts(deliveryId) {
+    const sql = `
+      SELECT * FROM webhook_delivery_attempts
+      WHERE delivery_id = ?
+      ORDER BY attempt
+    `;
+    return database.query(sql, [deliveryId]);
+  }
+
+  // Log an attempt and move the delivery to `status`
+  static async recordAttempt(id, status, attempt) {
+    await withTransaction(async (trx) => {
+      const deliveries = await trx.query(
+        "SELECT attempts FROM webhook_deliveries WHERE id = ? FOR UPDATE",
+        [id]
+      );
+      const number = deliveries[0].attempts + 1;
+
+      await trx.query(
+        `
+          INSERT INTO webhook_delivery_attempts (
+            id, delivery_id, attempt, response_code, response_body, error,
+            duration_ms, manual
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          uuidv4(),
+          id,
+          number,
+          attempt.response_code,
+          attempt.response_body,
+          attempt.error,
+          attempt.duration_ms,
+          Boolean(attempt.manual),
+        ]
+      );
+
+      const sql = `
+        UPDATE webhook_deliveries
+        SET status = ?,
+            attempts = ?,
+            last_response_code = ?,
+            last_error = ?,
+            delivered_at = IF(? = 'delivered', CURRENT_TIMESTAMP, delivered_at)
+        WHERE id = ?
+      `;
+      await trx.query(sql, [
+        status,
+        number,
+        attempt.response_code,
+        attempt.error,
+        status,
+        id,
+      ]);
+    });
+    return this.findById(id);
+  }
+}
+
+module.exports = WebhookDelivery;
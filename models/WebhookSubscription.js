@@ -0,0 +1,129 @@
+const database = require("../config/database");
+const { v4: uuidv4 } = require("uuid");
+
+const parse = (subscription) => {
+  if (subscription && typeof subscription.event_types === "string") {
+    subscription.event_types = JSON.parse(subscription.event_types);
+  }
+  return subscription;
+};
+
+// Partner webhook endpoints. A subscription with an owner receives only events
+// about that owner's referrals and rewards; one without (created by an admin)
+// receives every event of its types. The secret signs deliveries and is
+// never returned after creation.
+class WebhookSubscription {
+  static async createTable() {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id VARCHAR(36) PRIMARY KEY,
+        owner_id VARCHAR(36),
+        owner_type VARCHAR(20),
+        url VARCHAR(2048) NOT NULL,
+        event_types JSON NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        description VARCHAR(255),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by VARCHAR(36),
+        deleted_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_owner (owner_id),
+        INDEX idx_active (is_active)
+      )
+    `;
+    await database.query(sql);
+  }
+
+  static async create(subscriptionData) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO webhook_subscriptions (
+        id, owner_id, owner_type, url, event_types, secret, description,
+        created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await database.query(sql, [
+      id,
+      subscriptionData.owner_id || null,
+      subscriptionData.owner_type || null,
+      subscriptionData.url,
+      JSON.stringify(subscriptionData.event_types),
+      subscriptionData.secret,
+      subscriptionData.description || null,
+      subscriptionData.created_by || null,
+    ]);
+    return this.findById(id);
+  }
+
+  // Includes the secret; strip it before returning a subscription to a caller
+  static async findById(id, connection = database) {
+    const sql = `
+      SELECT * FROM webhook_subscriptions
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+    const results = await connection.query(sql, [id]);
+    return parse(results[0]) || null;
+  }
+
+  static async findAll(filters = {}, limit = 50, offset = 0) {
+    let sql = "SELECT * FROM webhook_subscriptions WHERE deleted_at IS NULL";
+    const params = [];
+
+    if (filters.owner_id) {
+      sql += " AND owner_id = ?";
+      params.push(filters.owner_id);
+    }
+
+    sql += " ORDER BY created_at DESC LIMIT ? OFFSET ?";
+    params.push(limit, offset);
+
+    const results = await database.query(sql, params);
+    return results.map(parse);
+  }
+
+  static async countByOwner(ownerId) {
+    const sql = `
+      SELECT COUNT(*) as total FROM webhook_subscriptions
+      WHERE owner_id = ? AND deleted_at IS NULL
+    `;
+    const results = await database.query(sql, [ownerId]);
+    return results[0].total;
+  }
+
+  // Active subscriptions to `eventType` that are unscoped or owned by one of
+  // `ownerIds`
+  static async findMatching(eventType, ownerIds, connection = database) {
+    let sql = `
+      SELECT * FROM webhook_subscriptions
+      WHERE is_active = TRUE AND deleted_at IS NULL
+        AND JSON_CONTAINS(event_types, JSON_QUOTE(?))
+        AND (owner_id IS NULL
+    `;
+    const params = [eventType];
+
+    if (ownerIds.length > 0) {
+      sql += ` OR owner_id IN (${ownerIds.map(() => "?").join(", ")})`;
+      params.push(...ownerIds);
+    }
+    sql += ")";
+
+    const results = await connection.query(sql, params);
+    return results.map(parse);
+  }
+
+  // Soft delete, so the delivery log stays readable
+  static async delete(id) {
+    const sql = `
+      UPDATE webhook_subscriptions
+      SET is_active = FALSE, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+    const result = await database.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = WebhookSubscription;
@@ -1,13 +1,53 @@
 const express = require("express");
 const CampaignController = require("../controllers/campaignController");
 const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
 const router = express.Router();
 
 // Campaign management
-router.post("/", auth, CampaignController.createCampaign);
+router.post(
+  "/",
+  auth,
+  authorize("campaign:write"),
+  CampaignController.createCampaign
+);
+router.get(
+  "/",
+  auth,
+  authorize("campaign:read"),
+  CampaignController.getCampaigns
+);
 router.get("/active", CampaignController.getActiveCampaigns); // Public endpoint
+router.get(
+  "/summary",
+  auth,
+  authorize("campaign:stats:read"),
+  CampaignController.getCampaignSummary
+);
 router.get("/:id", CampaignController.getCampaign); // Public endpoint
-router.get("/:id/stats", auth, CampaignController.getCampaignStats);
-router.patch("/:id/status", auth, CampaignController.updateCampaignStatus);
+router.put(
+  "/:id",
+  auth,
+  authorize("campaign:write"),
+  CampaignController.updateCampaign
+);
+router.delete(
+  "/:id",
+  auth,
+  authorize("campaign:write"),
+  CampaignController.archiveCampaign
+);
+router.get(
+  "/:id/stats",
+  auth,
+  authorize("campaign:stats:read"),
+  CampaignController.getCampaignStats
+);
+router.patch(
+  "/:id/status",
+  auth,
+  authorize("campaign:write"),
+  CampaignController.updateCampaignStatus
+);
 
 module.exports = router;
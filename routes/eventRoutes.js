@@ -0,0 +1,24 @@
+const express = require("express");
+const EventController = require("../controllers/eventController");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const {
+  serviceAuth,
+  requireEventScope,
+} = require("../middleware/serviceAuth");
+const router = express.Router();
+
+// Inbound events from other services (internal)
+router.post("/", serviceAuth, requireEventScope, EventController.receiveEvent);
+
+// Inbound events the consumer dead-lettered (admin)
+router.get("/dead-letters", auth, authorize("event:read"), EventController.getDeadLetters);
+router.post("/dead-letters/replay", auth, authorize("event:replay"), EventController.replayDeadLetters);
+router.post("/dead-letters/:id/replay", auth, authorize("event:replay"), EventController.replayDeadLetter);
+router.post("/dead-letters/:id/discard", auth, authorize("event:replay"), EventController.discardDeadLetter);
+
+// JSON Schemas of the domain events we publish (public, like the API docs)
+router.get("/schemas", EventController.getSchemas);
+router.get("/schemas/:name", EventController.getSchema);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const JobController = require("../controllers/jobController");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const router = express.Router();
+
+// Scheduled jobs (admin)
+router.get('/', auth, authorize('job:read'), JobController.getJobs);
+router.get('/:name/runs', auth, authorize('job:read'), JobController.getJobRuns);
+router.post('/:name/run', auth, authorize('job:run'), JobController.runJob);
+
+module.exports = router;
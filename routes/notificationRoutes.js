@@ -0,0 +1,10 @@
+const express = require("express");
+const NotificationController = require("../controllers/notificationController");
+const auth = require("../middleware/auth");
+const router = express.Router();
+
+// Notification channel preferences (current user)
+router.get('/preferences', auth, NotificationController.getPreferences);
+router.put('/preferences', auth, NotificationController.updatePreferences);
+
+module.exports = router;
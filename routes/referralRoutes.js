@@ -1,17 +1,62 @@
 const express = require("express");
 const ReferralController = require("../controllers/referralController");
 const ReferralCodeController = require("../controllers/referralCodeController");
+const ReferralReviewController = require("../controllers/referralReviewController");
 const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const idempotency = require("../middleware/idempotency");
+const {
+  serviceAuth,
+  requireTriggerScope,
+} = require("../middleware/serviceAuth");
 const router = express.Router();
 
 // Referral management
-router.post("/", auth, ReferralController.createReferral);
+router.post("/", auth, idempotency(), ReferralController.createReferral);
 router.post("/complete", auth, ReferralController.completeReferral);
-router.post("/trigger", ReferralController.processReferralTrigger); // No auth - internal service call
+router.post(
+  "/trigger",
+  serviceAuth,
+  requireTriggerScope,
+  idempotency(),
+  ReferralController.processReferralTrigger
+); // Internal service call
 router.get("/code/:code", ReferralController.getReferralByCode); // Public endpoint
+router.get(
+  "/",
+  auth,
+  authorize("referral:read:any"),
+  ReferralController.getReferrals
+);
 router.get("/user", auth, ReferralController.getUserReferrals);
 router.get("/stats", auth, ReferralController.getReferralStats);
 
+// Fraud review queue
+router.get(
+  "/review",
+  auth,
+  authorize("referral:review"),
+  ReferralReviewController.getReviewQueue
+);
+router.get(
+  "/review/:id",
+  auth,
+  authorize("referral:review"),
+  ReferralReviewController.getReview
+);
+router.post(
+  "/review/:id/approve",
+  auth,
+  authorize("referral:review"),
+  ReferralReviewController.approveReview
+);
+router.post(
+  "/review/:id/reject",
+  auth,
+  authorize("referral:review"),
+  ReferralReviewController.rejectReview
+);
+
 // Referral codes
 router.post("/codes", auth, ReferralCodeController.createReferralCode);
 router.get("/codes", auth, ReferralCodeController.getUserReferralCodes);
@@ -19,6 +64,12 @@ router.get(
   "/codes/:code/validate",
   ReferralCodeController.validateReferralCode
 ); // Public endpoint
+router.patch(
+  "/codes/:id/limits",
+  auth,
+  authorize("referral_code:write:any"),
+  ReferralCodeController.updateVelocityLimits
+);
 router.delete(
   "/codes/:id",
   auth,
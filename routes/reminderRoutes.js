@@ -0,0 +1,10 @@
+const express = require("express");
+const ReminderController = require("../controllers/reminderController");
+const auth = require("../middleware/auth");
+const router = express.Router();
+
+// Expiry reminder preferences (current user)
+router.get('/preferences', auth, ReminderController.getPreferences);
+router.put('/preferences', auth, ReminderController.updatePreferences);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const ReportController = require("../controllers/reportController");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const router = express.Router();
+
+// Referral reports (admin)
+router.get('/', auth, authorize('report:read'), ReportController.getReports);
+router.post('/', auth, authorize('report:write'), ReportController.createReport);
+router.get('/:id/download', auth, authorize('report:read'), ReportController.downloadReport);
+
+module.exports = router;
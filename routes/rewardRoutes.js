@@ -1,12 +1,23 @@
 const express = require("express");
 const RewardController = require("../controllers/rewardController");
+const RewardProgramController = require("../controllers/rewardProgramController");
 const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const idempotency = require("../middleware/idempotency");
 const router = express.Router();
 
 // Reward management
 router.get('/', auth, RewardController.getUserRewards);
 router.get('/summary', auth, RewardController.getRewardSummary);
-router.post('/:id/claim', auth, RewardController.claimReward);
-router.get('/stats', auth, RewardController.getRewardStats);
+router.post('/:id/claim', auth, idempotency(), RewardController.claimReward);
+router.get('/stats', auth, authorize('reward:stats:read'), RewardController.getRewardStats);
+
+// Reward programs (bonus tiers and milestone ladders)
+router.get('/programs', auth, authorize('reward_program:read'), RewardProgramController.getPrograms);
+router.get('/programs/active', auth, authorize('reward_program:read'), RewardProgramController.getActiveProgram);
+router.get('/programs/:id', auth, authorize('reward_program:read'), RewardProgramController.getProgram);
+router.post('/programs', auth, authorize('reward_program:write'), RewardProgramController.createProgram);
+router.put('/programs/:id', auth, authorize('reward_program:write'), RewardProgramController.updateProgram);
+router.delete('/programs/:id', auth, authorize('reward_program:write'), RewardProgramController.deactivateProgram);
 
 module.exports = router;
\ No newline at end of file
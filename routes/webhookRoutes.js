@@ -0,0 +1,17 @@
+const express = require("express");
+const WebhookController = require("../controllers/webhookController");
+const auth = require("../middleware/auth");
+const router = express.Router();
+
+// Webhook subscriptions (referral code owners, or admins)
+router.post("/", auth, WebhookController.createWebhook);
+router.get("/", auth, WebhookController.getWebhooks);
+router.get("/:id", auth, WebhookController.getWebhook);
+router.delete("/:id", auth, WebhookController.deleteWebhook);
+
+// Delivery log and manual redelivery
+router.get("/:id/deliveries", auth, WebhookController.getDeliveries);
+router.get("/:id/deliveries/:deliveryId", auth, WebhookController.getDelivery);
+router.post("/:id/deliveries/:deliveryId/redeliver", auth, WebhookController.redeliverWebhook);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// Published domain events: the current version of each event type and its
+// JSON Schema. Adding a field is backwards compatible; renaming or removing
+// one means a new `<type>.v<n>.json` and a version bump here.
+const common = require("./common.v1.json");
+
+const catalog = {
+  "referral.created": { version: 1, schema: require("./referral.created.v1.json") },
+  "referral.completed": { version: 1, schema: require("./referral.completed.v1.json") },
+  "referral.expired": { version: 1, schema: require("./referral.expired.v1.json") },
+  "referral.cancelled": { version: 1, schema: require("./referral.cancelled.v1.json") },
+  "referral.reversed": { version: 1, schema: require("./referral.reversed.v1.json") },
+  "reward.created": { version: 1, schema: require("./reward.created.v1.json") },
+  "reward.released": { version: 1, schema: require("./reward.released.v1.json") },
+  "reward.credited": { version: 1, schema: require("./reward.credited.v1.json") },
+  "reward.expired": { version: 1, schema: require("./reward.expired.v1.json") },
+  "reward.cancelled": { version: 1, schema: require("./reward.cancelled.v1.json") },
+  "campaign.status_changed": { version: 1, schema: require("./campaign.status_changed.v1.json") },
+};
+
+module.exports = {
+  catalog,
+  common,
+};
@@ -0,0 +1,44 @@
+// Replay dead-lettered inbound events once the cause is fixed:
+//   node scripts/replayDeadLetters.js                      all pending, oldest first
+//   node scripts/replayDeadLetters.js --event-type order.completed --limit 50
+//   node scripts/replayDeadLetters.js --id <dead letter id>
+// Exits non-zero if any replay failed; failed events stay pending.
+const logger = require("../utils/logger");
+const InboundEventService = require("../services/inboundEventService");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.id) {
+    const deadLetter = await InboundEventService.replayDeadLetter(args.id);
+    if (!deadLetter) {
+      logger.error(`No pending dead letter ${args.id}`);
+      return 1;
+    }
+    return deadLetter.status === "replayed" ? 0 : 1;
+  }
+
+  const result = await InboundEventService.replayDeadLetters(
+    { event_type: args["event-type"] },
+    parseInt(args.limit) || 100
+  );
+  logger.info(
+    `Replayed ${result.replayed} of ${result.attempted} dead-lettered events, ${result.failed} failed`
+  );
+  return result.failed > 0 ? 1 : 0;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    logger.error("Dead letter replay error:", error);
+    process.exit(1);
+  });
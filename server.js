@@ -11,6 +11,8 @@ const {
   rateLimitMiddleware,
 } = require("./middleware");
 const swaggerSetup = require("./config/swagger");
+const externalServices = require("./services/externalService");
+const { startEventConsumer } = require("./services/eventConsumer");
 
 const app = express();
 
@@ -43,6 +45,10 @@ app.use(
   express.json({
     limit: "10mb",
     type: ["application/json", "text/plain"],
+    // Keep the raw body for verifying signed service-to-service requests
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
 app.use(
@@ -83,6 +89,7 @@ app.get("/health", (req, res) => {
     environment: process.env.NODE_ENV || "development",
     status: "healthy",
     database: "connected", // Will be updated after DB connection test
+    dependencies: externalServices.getHealth(),
     features: [
       "Restaurant management",
       "Menu and item management",
@@ -139,10 +146,29 @@ app.use(errorHandler);
 
 const PORT = process.env.PORT || 3002;
 
+let server = null;
+// Broker consumer for upstream events; null unless EVENT_CONSUMER_ENABLED
+let eventConsumer = null;
+
 // Graceful shutdown handling
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
 
+  // Stop taking events first; unacknowledged messages are redelivered
+  if (eventConsumer) {
+    try {
+      await eventConsumer.stop();
+      console.log("Event consumer stopped.");
+    } catch (err) {
+      console.error("Error stopping event consumer:", err);
+    }
+    eventConsumer = null;
+  }
+
+  if (!server) {
+    process.exit(0);
+  }
+
   server.close(() => {
     console.log("HTTP server closed.");
 
@@ -193,7 +219,7 @@ const startServer = async () => {
       }
     });
 
-    const server = app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
       console.log(`🚀 Restaurant Management Service running on port ${PORT}`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
@@ -205,6 +231,12 @@ const startServer = async () => {
       }
     });
 
+    // Consume upstream trigger events from the broker when enabled
+    eventConsumer = await startEventConsumer();
+    if (eventConsumer) {
+      console.log("📨 Event consumer started.");
+    }
+
     // Handle shutdown signals
     process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
     process.on("SIGINT", () => gracefulShutdown("SIGINT"));
@@ -1,81 +1,156 @@
 const cron = require("node-cron");
-const Referral = require("../models/Referral");
-const Reward = require("../models/Reward");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const VelocityCounter = require("../models/VelocityCounter");
+const JobRun = require("../models/JobRun");
+const ProcessedEvent = require("../models/ProcessedEvent");
+const UserCacheInvalidation = require("../models/UserCacheInvalidation");
+const Campaign = require("../models/Campaign");
 const logger = require("../utils/logger");
+const OutboxService = require("./outboxService");
+const RewardService = require("./rewardsService");
+const ReferralService = require("./referralService");
+const ReminderService = require("./reminderService");
+const ReportService = require("./reportService");
+const ReconciliationService = require("./reconciliationService");
+const UserProfileService = require("./userProfileService");
+const JobScheduler = require("./jobScheduler");
+const consumerConfig = require("../config/eventConsumer");
+const userCacheConfig = require("../config/userCache");
 
 class CronJobService {
-  static initializeCronJobs() {
-    // Expire old referrals - runs daily at 2 AM
-    cron.schedule("0 2 * * *", async () => {
-      try {
-        logger.info("Running referral expiry job");
-        const expiredReferrals = await Referral.getExpiredReferrals();
+  // Singleton jobs run through the database-backed scheduler so each run
+  // happens once across replicas, is recorded in job_runs and is caught up
+  // after downtime. The outbox drain stays in-process: it is safe to run on
+  // every replica because messages are claimed row by row.
+  static defineJobs() {
+    // Expire old referrals - daily at 2 AM
+    JobScheduler.define("referral_expiry", "0 2 * * *", (context) =>
+      ReferralService.expireReferrals(context)
+    );
+
+    // Expire old rewards - daily at 3 AM
+    JobScheduler.define("reward_expiry", "0 3 * * *", (context) =>
+      RewardService.expireOldRewards(context)
+    );
+
+    // Start and end campaigns on their scheduled dates - every 5 minutes
+    JobScheduler.define("campaign_schedule", "*/5 * * * *", () =>
+      Campaign.applySchedule()
+    );
+
+    // Remind users of referrals and rewards about to expire - daily at 10 AM
+    JobScheduler.define("expiry_reminders", "0 10 * * *", () =>
+      ReminderService.sendDueReminders()
+    );
+
+    // Release held rewards whose hold window has passed - hourly
+    JobScheduler.define("held_reward_release", "30 * * * *", () =>
+      RewardService.releaseHeldRewards()
+    );
+
+    // Reconcile credited rewards with the payment service - daily at 6 AM
+    JobScheduler.define("reward_reconciliation", "0 6 * * *", () =>
+      ReconciliationService.reconcileCredits()
+    );
+
+    // Generate weekly referral reports - Mondays at 9 AM
+    JobScheduler.define("weekly_report", "0 9 * * 1", async (context) => {
+      await this.generateWeeklyReport(context.scheduled_for);
+      return 1;
+    });
+
+    // Purge expired idempotency keys - daily at 4 AM
+    JobScheduler.define("idempotency_key_purge", "0 4 * * *", () =>
+      IdempotencyKey.deleteExpired()
+    );
 
-        for (const referral of expiredReferrals) {
-          await Referral.updateStatus(referral.id, "expired");
-          logger.info(`Expired referral: ${referral.id}`);
-        }
+    // Purge expired velocity counters - hourly
+    JobScheduler.define("velocity_counter_purge", "15 * * * *", () =>
+      VelocityCounter.deleteExpired()
+    );
 
-        logger.info(`Expired ${expiredReferrals.length} referrals`);
+    // Purge processed event ids past the dedupe window - daily at 4:30 AM
+    JobScheduler.define("processed_event_purge", "30 4 * * *", () =>
+      ProcessedEvent.deleteOlderThan(consumerConfig.processedRetentionDays)
+    );
+
+    // Purge user cache invalidations every replica has applied - hourly
+    JobScheduler.define("user_cache_invalidation_purge", "45 * * * *", () =>
+      UserCacheInvalidation.deleteOlderThan(
+        userCacheConfig.invalidationRetentionMinutes
+      )
+    );
+
+    // Purge old job run history - daily at 5 AM
+    JobScheduler.define("job_run_purge", "0 5 * * *", () =>
+      JobRun.deleteOlderThan(parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 90)
+    );
+  }
+
+  static async initializeCronJobs() {
+    this.defineJobs();
+    await JobScheduler.registerAll();
+
+    // Check for due scheduled jobs - every 30 seconds
+    let schedulerRunning = false;
+    cron.schedule("*/30 * * * * *", async () => {
+      if (schedulerRunning) return;
+      schedulerRunning = true;
+      try {
+        await JobScheduler.tick();
       } catch (error) {
-        logger.error("Referral expiry job error:", error);
+        logger.error("Job scheduler tick error:", error);
+      } finally {
+        schedulerRunning = false;
       }
     });
 
-    // Expire old rewards - runs daily at 3 AM
-    cron.schedule("0 3 * * *", async () => {
+    // Drain the outbox (notifications, payment credits) - runs every 30 seconds
+    let outboxRunning = false;
+    cron.schedule("*/30 * * * * *", async () => {
+      if (outboxRunning) return;
+      outboxRunning = true;
       try {
-        logger.info("Running reward expiry job");
-        const expiredRewards = await Reward.getExpiredRewards();
-
-        for (const reward of expiredRewards) {
-          await Reward.updateStatus(reward.id, "expired");
-          logger.info(`Expired reward: ${reward.id}`);
-        }
-
-        logger.info(`Expired ${expiredRewards.length} rewards`);
+        await OutboxService.processPending();
       } catch (error) {
-        logger.error("Reward expiry job error:", error);
+        logger.error("Outbox worker job error:", error);
+      } finally {
+        outboxRunning = false;
       }
     });
 
-    // Generate weekly referral reports - runs Mondays at 9 AM
-    cron.schedule("0 9 * * 1", async () => {
+    // Drop user profiles other replicas saw change - every few seconds, on
+    // every replica since each keeps its own cache
+    const pollSeconds = userCacheConfig.invalidationPollSeconds;
+    let invalidationRunning = false;
+    cron.schedule(`*/${pollSeconds} * * * * *`, async () => {
+      if (invalidationRunning) return;
+      invalidationRunning = true;
       try {
-        logger.info("Generating weekly referral report");
-        await this.generateWeeklyReport();
+        await UserProfileService.syncInvalidations();
       } catch (error) {
-        logger.error("Weekly report generation error:", error);
+        logger.error("User cache invalidation sync error:", error);
+      } finally {
+        invalidationRunning = false;
       }
     });
 
     logger.info("Cron jobs initialized successfully");
   }
 
-  static async generateWeeklyReport() {
+  // Report on the seven days up to the scheduled run time, so a catch-up run
+  // still covers the week it was due for
+  static async generateWeeklyReport(scheduledFor = null) {
     try {
-      const endDate = new Date();
+      const endDate = scheduledFor ? new Date(scheduledFor) : new Date();
       const startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
 
-      const stats = await Referral.getReferralStats(null, startDate, endDate);
-      const topReferrers = await Referral.getTopReferrers(10, "week");
-      const rewardStats = await Reward.getRewardStats(startDate, endDate);
-
-      const report = {
-        period: {
-          start: startDate.toISOString(),
-          end: endDate.toISOString(),
-        },
-        referral_stats: stats,
-        top_referrers: topReferrers,
-        reward_stats: rewardStats,
-        generated_at: new Date().toISOString(),
-      };
-
-      logger.info("Weekly referral report generated:", report);
-
-      // Here you could send the report via email or save to a file
-      // await emailService.sendWeeklyReport(report);
+      return await ReportService.generate({
+        report_type: "weekly",
+        start_date: startDate,
+        end_date: endDate,
+        deliver: true,
+      });
     } catch (error) {
       logger.error("Generate weekly report error:", error);
       throw error;
@@ -0,0 +1,125 @@
+const path = require("path");
+const logger = require("../utils/logger");
+
+// Sources the event consumer subscribes to. A broker implements:
+//   subscribe(topics, handler, options) -> resolves to an unsubscribe function
+// and calls `handler(message)` for each message, where message is
+// { topic, key, value, headers } and `value` is the JSON event envelope.
+// Resolving acknowledges the message; throwing leaves it to be redelivered.
+
+// In-process stand-in for a broker, for development and offline tests.
+// Delivery is at least once like the real thing: a message whose handler
+// throws is redelivered after `redeliveryMs`, up to `maxRedeliveries` times.
+class LocalEventBroker {
+  constructor(options = {}) {
+    this.redeliveryMs = options.redeliveryMs || 1000;
+    this.maxRedeliveries = options.maxRedeliveries || 10;
+    this.subscriptions = [];
+    this.inFlight = 0;
+    this.idleWaiters = [];
+  }
+
+  async subscribe(topics, handler) {
+    const subscription = { topics, handler };
+    this.subscriptions.push(subscription);
+    return async () => {
+      this.subscriptions = this.subscriptions.filter((s) => s !== subscription);
+    };
+  }
+
+  // Publish an event envelope to `topic` (its event_type by default)
+  async publish(event, topic = event.event_type) {
+    const message = {
+      topic,
+      key: event.aggregate_id || null,
+      value: JSON.stringify(event),
+      headers: { event_id: event.event_id, event_type: event.event_type },
+    };
+
+    for (const subscription of this.subscriptions) {
+      if (subscription.topics.includes(topic)) {
+        this.deliver(subscription, message);
+      }
+    }
+  }
+
+  deliver(subscription, message) {
+    this.inFlight++;
+    setImmediate(() => this.attempt(subscription, message, 0));
+  }
+
+  // A message stays in flight until it is acknowledged or dropped
+  async attempt(subscription, message, redeliveries) {
+    try {
+      await subscription.handler(message);
+      this.settle();
+    } catch (error) {
+      if (redeliveries < this.maxRedeliveries) {
+        logger.warn(`Local broker redelivering ${message.topic} message:`, error.message);
+        setTimeout(
+          () => this.attempt(subscription, message, redeliveries + 1),
+          this.redeliveryMs
+        );
+      } else {
+        logger.error(
+          `Local broker dropped ${message.topic} message after ${redeliveries} redeliveries:`,
+          error.message
+        );
+        this.settle();
+      }
+    }
+  }
+
+  settle() {
+    this.inFlight--;
+    if (this.inFlight === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  // Resolves once every published message has been acknowledged or dropped,
+  // e.g. to assert on the outcome of a published event
+  async drain() {
+    if (this.inFlight === 0) {
+      return;
+    }
+    await new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+}
+
+// Subscribes through a broker client module, e.g. a Kafka or SQS wrapper.
+// EVENT_CONSUMER_ADAPTER names a module exporting
+//   subscribe(topics, handler, { group }) -> resolves to an unsubscribe function
+// with the same message and acknowledgement contract as above.
+class AdapterEventBroker {
+  constructor(adapterPath) {
+    if (!adapterPath) {
+      throw new Error("EVENT_CONSUMER_ADAPTER is not configured");
+    }
+
+    this.adapter = require(path.resolve(adapterPath));
+    if (!this.adapter || typeof this.adapter.subscribe !== "function") {
+      throw new Error(`Event consumer adapter ${adapterPath} has no subscribe()`);
+    }
+  }
+
+  async subscribe(topics, handler, options = {}) {
+    return this.adapter.subscribe(topics, handler, options);
+  }
+}
+
+// One local broker per process, shared by the consumer and whoever publishes
+// into it
+const localBroker = new LocalEventBroker({
+  redeliveryMs: parseInt(process.env.LOCAL_BROKER_REDELIVERY_MS) || 1000,
+});
+
+const createEventBroker = (type, options = {}) =>
+  type === "adapter" ? new AdapterEventBroker(options.adapter) : localBroker;
+
+module.exports = {
+  LocalEventBroker,
+  AdapterEventBroker,
+  localBroker,
+  createEventBroker,
+};
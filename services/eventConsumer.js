@@ -0,0 +1,109 @@
+const DeadLetterEvent = require("../models/DeadLetterEvent");
+const logger = require("../utils/logger");
+const { backoffDelay, sleep } = require("../utils/resilience");
+const consumerConfig = require("../config/eventConsumer");
+const InboundEventService = require("./inboundEventService");
+const { createEventBroker } = require("./eventBrokers");
+const { validateInboundEvent } = require("../validators/referralValidator");
+
+const parseMessage = (message) => {
+  try {
+    return typeof message.value === "string"
+      ? JSON.parse(message.value)
+      : message.value;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Consumes upstream events (order.completed, delivery.completed,
+// user.verified, order.refunded) from a broker and feeds them to the same
+// handlers as POST /api/events. Each delivery is retried with backoff up to
+// `maxAttempts`; events that still fail, or can never succeed, go to the
+// dead-letter store to be replayed once fixed. A message is acknowledged
+// only once it is handled or dead-lettered, so nothing is lost if the
+// process dies mid-way.
+class EventConsumer {
+  constructor(broker, options = consumerConfig) {
+    this.broker = broker;
+    this.options = options;
+    this.unsubscribe = null;
+  }
+
+  async start() {
+    if (this.unsubscribe) {
+      return;
+    }
+
+    this.unsubscribe = await this.broker.subscribe(
+      this.options.topics,
+      (message) => this.receive(message),
+      { group: this.options.group }
+    );
+    logger.info(`Event consumer subscribed to ${this.options.topics.join(", ")}`);
+  }
+
+  async stop() {
+    if (this.unsubscribe) {
+      await this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  async receive(message) {
+    const event = parseMessage(message);
+    const { error, value } = validateInboundEvent(event || {});
+    if (error) {
+      await this.deadLetter(event || { raw: message.value }, message.topic, error.message, 0);
+      return;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await InboundEventService.handle(value);
+        return;
+      } catch (handleError) {
+        if (handleError.permanent || attempt >= this.options.maxAttempts) {
+          await this.deadLetter(event, message.topic, handleError.message, attempt);
+          return;
+        }
+
+        logger.warn(
+          `Event ${value.event_type} ${value.event_id || ""} failed, attempt ${attempt}:`,
+          handleError.message
+        );
+        await sleep(
+          backoffDelay(attempt, this.options.backoffBaseMs, this.options.backoffMaxMs)
+        );
+      }
+    }
+  }
+
+  // Throws if the dead letter cannot be stored, so the broker redelivers
+  async deadLetter(event, topic, reason, attempts) {
+    const id = await DeadLetterEvent.create(event, topic, reason, attempts);
+    logger.error(
+      `Dead-lettered ${(event && event.event_type) || "unparseable"} event from ${topic} (${id}):`,
+      reason
+    );
+  }
+}
+
+// Start consuming when EVENT_CONSUMER_ENABLED is set; returns the consumer
+const startEventConsumer = async () => {
+  if (!consumerConfig.enabled) {
+    return null;
+  }
+
+  const broker = createEventBroker(consumerConfig.broker, {
+    adapter: consumerConfig.brokerAdapter,
+  });
+  const consumer = new EventConsumer(broker);
+  await consumer.start();
+  return consumer;
+};
+
+module.exports = {
+  EventConsumer,
+  startEventConsumer,
+};
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const externalServices = require("./externalService");
+
+// Where the outbox worker publishes domain events. A transport implements:
+//   publish(event) -> resolves once accepted, throws on failure (retried)
+// where event is the envelope built by models/DomainEvent.js.
+
+// Posts events to the event bus service
+class HttpEventTransport {
+  async publish(event) {
+    await externalServices.publishEvent(event);
+  }
+}
+
+// Publishes through a message broker client. EVENT_BROKER_ADAPTER names a
+// module exporting an adapter with
+//   publish({ topic, key, value, headers }) -> resolves once acknowledged
+//   close() (optional)
+// `key` is the aggregate id so one aggregate's events stay ordered within a
+// partition; `value` is the JSON envelope.
+class BrokerEventTransport {
+  constructor(adapterPath, topicPrefix = "") {
+    this.adapterPath = adapterPath;
+    this.topicPrefix = topicPrefix;
+    this.adapter = null;
+  }
+
+  // Loaded on first publish so a bad adapter fails the outbox delivery (and
+  // is retried and logged) rather than the process start
+  getAdapter() {
+    if (!this.adapter) {
+      if (!this.adapterPath) {
+        throw new Error("EVENT_BROKER_ADAPTER is not configured");
+      }
+
+      const adapter = require(path.resolve(this.adapterPath));
+      if (!adapter || typeof adapter.publish !== "function") {
+        throw new Error(`Event broker adapter ${this.adapterPath} has no publish()`);
+      }
+      this.adapter = adapter;
+    }
+    return this.adapter;
+  }
+
+  async publish(event) {
+    await this.getAdapter().publish({
+      topic: `${this.topicPrefix}${event.event_type}`,
+      key: event.aggregate_id,
+      value: JSON.stringify(event),
+      headers: {
+        event_id: event.event_id,
+        event_type: event.event_type,
+        version: String(event.version),
+      },
+    });
+  }
+
+  async close() {
+    if (this.adapter && typeof this.adapter.close === "function") {
+      await this.adapter.close();
+    }
+  }
+}
+
+// Development transports: keep recent events in memory for in-process
+// subscribers, or append them to a JSON-lines file
+class MemoryEventTransport {
+  constructor(limit = 1000) {
+    this.limit = limit;
+    this.events = [];
+    this.subscribers = [];
+  }
+
+  async publish(event) {
+    this.events.push(event);
+    if (this.events.length > this.limit) {
+      this.events.shift();
+    }
+
+    for (const subscriber of this.subscribers) {
+      try {
+        await subscriber(event);
+      } catch (error) {
+        logger.error(`Event subscriber failed on ${event.event_type}:`, error.message);
+      }
+    }
+  }
+
+  // Call `handler(event)` for every event published from now on; returns a
+  // function that removes the subscription
+  subscribe(handler) {
+    this.subscribers.push(handler);
+    return () => {
+      this.subscribers = this.subscribers.filter((s) => s !== handler);
+    };
+  }
+
+  getEvents(eventType = null) {
+    return eventType
+      ? this.events.filter((event) => event.event_type === eventType)
+      : this.events.slice();
+  }
+}
+
+class FileEventTransport {
+  constructor(file) {
+    this.file = file;
+  }
+
+  async publish(event) {
+    await fs.promises.appendFile(this.file, `${JSON.stringify(event)}\n`);
+  }
+}
+
+const createEventTransport = (type, options = {}) => {
+  switch (type) {
+    case "memory":
+      return new MemoryEventTransport(options.limit);
+    case "file":
+      return new FileEventTransport(options.file);
+    case "broker":
+      return new BrokerEventTransport(options.adapter, options.topicPrefix);
+    default:
+      return new HttpEventTransport();
+  }
+};
+
+module.exports = {
+  HttpEventTransport,
+  BrokerEventTransport,
+  MemoryEventTransport,
+  FileEventTransport,
+  createEventTransport,
+};
@@ -1,77 +1,347 @@
+const http = require("http");
+const https = require("https");
 const axios = require("axios");
 const logger = require("../utils/logger");
+const { dependencies } = require("../config/externalServices");
+const webhookConfig = require("../config/webhooks");
+const { publicLookup, assertPublicUrl } = require("../utils/network");
+const {
+  CircuitBreaker,
+  Bulkhead,
+  backoffDelay,
+  sleep,
+} = require("../utils/resilience");
+
+// No response at all (timeout, connection error) or a server-side failure
+const isDependencyFailure = (error) =>
+  !error.response || error.response.status >= 500;
+
+// Refused locally by the breaker or bulkhead; the dependency was not called
+const isRejected = (error) =>
+  error.code === "CIRCUIT_OPEN" || error.code === "BULKHEAD_FULL";
+
+const isRetryable = (error) =>
+  !isRejected(error) &&
+  (isDependencyFailure(error) || error.response.status === 429);
 
 class ExternalServices {
   constructor() {
     this.userServiceUrl = process.env.USER_SERVICE_URL;
     this.notificationServiceUrl = process.env.NOTIFICATION_SERVICE_URL;
     this.paymentServiceUrl = process.env.PAYMENT_SERVICE_URL;
+    this.eventBusUrl = process.env.EVENT_BUS_URL;
     this.apiKey = process.env.SERVICE_API_KEY;
+
+    this.breakers = {};
+    this.bulkheads = {};
+    for (const [name, settings] of Object.entries(dependencies)) {
+      this.breakers[name] = new CircuitBreaker(name, settings);
+      this.bulkheads[name] = new Bulkhead(name, settings);
+    }
+
+    // Partner endpoints only connect to addresses that pass publicLookup
+    this.webhookAgents = {
+      http: new http.Agent({ keepAlive: true, lookup: publicLookup }),
+      https: new https.Agent({ keepAlive: true, lookup: publicLookup }),
+    };
   }
 
-  async makeRequest(url, method = "GET", data = null) {
-    try {
-      const config = {
-        method,
-        url,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Service-Key": this.apiKey,
-        },
-        timeout: 10000,
-      };
+  // Call a dependency with its own timeout, breaker and concurrency limit.
+  // Only idempotent calls are retried: GETs, and writes given an
+  // `idempotencyKey`, which is sent as the Idempotency-Key header.
+  async makeRequest(url, method = "GET", data = null, options = {}) {
+    const dependency = options.dependency || "default";
+    const settings = dependencies[dependency];
+    const breaker = this.breakers[dependency];
+    const bulkhead = this.bulkheads[dependency];
+    const idempotent = method === "GET" || Boolean(options.idempotencyKey);
+    const attempts = idempotent ? settings.retries + 1 : 1;
 
-      if (data) {
-        config.data = data;
-      }
+    const config = {
+      method,
+      url,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Service-Key": this.apiKey,
+      },
+      timeout: settings.timeout_ms,
+    };
 
-      const response = await axios(config);
-      return response.data;
-    } catch (error) {
-      logger.error(`External service request failed: ${url}`, error.message);
-      throw error;
+    if (options.idempotencyKey) {
+      config.headers["Idempotency-Key"] = options.idempotencyKey;
+    }
+
+    if (data) {
+      config.data = data;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // The breaker is checked once a slot is free, so a half-open probe
+        // is only spent on a request that actually goes out
+        const response = await bulkhead.run(() => {
+          breaker.acquire();
+          return axios(config);
+        });
+        breaker.recordSuccess();
+        return response.data;
+      } catch (error) {
+        if (error.response && !isDependencyFailure(error)) {
+          // A 4xx means the dependency is up and rejected this request
+          breaker.recordSuccess();
+        } else if (!isRejected(error)) {
+          breaker.recordFailure();
+        }
+
+        if (attempt >= attempts || !isRetryable(error)) {
+          logger.error(`External service request failed: ${url}`, error.message);
+          throw error;
+        }
+
+        const delay = backoffDelay(
+          attempt,
+          settings.backoff_base_ms,
+          settings.backoff_max_ms
+        );
+        logger.warn(
+          `External service request failed: ${url} (attempt ${attempt}/${attempts}), retrying in ${delay}ms`,
+          error.message
+        );
+        await sleep(delay);
+      }
     }
   }
 
+  // Breaker and bulkhead state per dependency, for the health endpoint
+  getHealth() {
+    return Object.keys(dependencies).reduce((result, name) => {
+      result[name] = {
+        ...this.breakers[name].getState(),
+        ...this.bulkheads[name].getState(),
+      };
+      return result;
+    }, {});
+  }
+
+  getUserEndpoint(userType) {
+    return userType === "restaurant"
+      ? `${this.userServiceUrl}/api/restaurants`
+      : `${this.userServiceUrl}/api/users`;
+  }
+
+  // Uncached lookups; see UserProfileService for the cached ones
   async getUserDetails(userId, userType) {
     try {
-      const endpoint =
-        userType === "restaurant"
-          ? `${this.userServiceUrl}/api/restaurants/${userId}`
-          : `${this.userServiceUrl}/api/users/${userId}`;
-
-      const response = await this.makeRequest(endpoint);
-      return response.data;
+      return await this.fetchUserDetails(userId, userType);
     } catch (error) {
       logger.error(`Failed to get user details ${userId}:`, error.message);
       return null;
     }
   }
 
-  async sendNotification(userId, notificationData) {
+  // A user's profile, or null when the user service does not know them.
+  // Other failures throw.
+  async fetchUserDetails(userId, userType) {
     try {
-      await this.makeRequest(
-        `${this.notificationServiceUrl}/api/notifications`,
-        "POST",
-        { user_id: userId, ...notificationData }
+      const response = await this.makeRequest(
+        `${this.getUserEndpoint(userType)}/${userId}`,
+        "GET",
+        null,
+        { dependency: "user" }
       );
+      return response.data || null;
     } catch (error) {
-      logger.error("Failed to send notification:", error.message);
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
     }
   }
 
+  // Profiles for many users of one type in a single call to the user
+  // service's bulk endpoint. Users it does not return are unknown.
+  async fetchUsersDetails(userIds, userType) {
+    const params = new URLSearchParams({ ids: userIds.join(",") });
+    const response = await this.makeRequest(
+      `${this.getUserEndpoint(userType)}?${params}`,
+      "GET",
+      null,
+      { dependency: "user" }
+    );
+    return response.data || [];
+  }
+
+  // Deliver one rendered notification on one channel. Failures propagate;
+  // NotificationService decides whether to retry or log them.
+  async deliverNotification(userId, notificationData) {
+    await this.makeRequest(
+      `${this.notificationServiceUrl}/api/notifications`,
+      "POST",
+      { user_id: userId, ...notificationData },
+      { dependency: "notification" }
+    );
+  }
+
+  // Publish a domain event for downstream consumers. Throws on failure so
+  // the outbox retries; without EVENT_BUS_URL events are only logged.
+  async publishEvent(event) {
+    if (!this.eventBusUrl) {
+      logger.info(`Event ${event.event_type} (no event bus configured)`);
+      return;
+    }
+
+    await this.makeRequest(`${this.eventBusUrl}/api/events`, "POST", event, {
+      dependency: "event_bus",
+    });
+  }
+
+  // Credit a user through the payment service. Returns a typed result:
+  // { status: "credited", transaction_id } when the credit was accepted, or
+  // replayed for the same idempotency key, and { status: "rejected", reason }
+  // when the payment service refused it. Timeouts and server errors throw so
+  // the caller can retry with the same key. A credit without
+  // `metadata.idempotency_key` is never retried.
   async creditUserAccount(userId, amount, metadata = {}) {
     try {
-      await this.makeRequest(`${this.paymentServiceUrl}/api/credits`, "POST", {
-        user_id: userId,
-        amount: amount,
-        ...metadata,
-      });
+      const response = await this.makeRequest(
+        `${this.paymentServiceUrl}/api/credits`,
+        "POST",
+        { user_id: userId, amount: amount, ...metadata },
+        { dependency: "payment", idempotencyKey: metadata.idempotency_key }
+      );
+      const data = (response && response.data) || {};
+      return { status: "credited", transaction_id: data.transaction_id || null };
     } catch (error) {
+      const status = error.response && error.response.status;
+      if (status >= 400 && status < 500 && status !== 429) {
+        const reason =
+          (error.response.data && error.response.data.message) || error.message;
+        logger.error(`Credit rejected for user ${userId}:`, reason);
+        return { status: "rejected", reason };
+      }
+
       logger.error("Failed to credit user account:", error.message);
       throw error;
     }
   }
+
+  // Ledger entries of one type recorded by the payment service between two
+  // dates, following its export cursor to the end: referral reward credits
+  // by default, or "referral_reward_clawback" debits
+  async getPaymentLedgerExport(startDate, endDate, type = "referral_reward") {
+    const entries = [];
+    let cursor = null;
+
+    do {
+      const params = new URLSearchParams({
+        type,
+        from: startDate.toISOString(),
+        to: endDate.toISOString(),
+      });
+      if (cursor) {
+        params.set("cursor", cursor);
+      }
+
+      const response = await this.makeRequest(
+        `${this.paymentServiceUrl}/api/credits/export?${params}`,
+        "GET",
+        null,
+        { dependency: "payment" }
+      );
+      entries.push(...(response.data || []));
+      cursor = response.next_cursor || null;
+    } while (cursor);
+
+    return entries;
+  }
+
+  // Take back an amount already credited, e.g. a reward clawed back after a
+  // refund. `source_id` in metadata lets the payment service deduplicate.
+  async debitUserAccount(userId, amount, metadata = {}) {
+    try {
+      await this.makeRequest(
+        `${this.paymentServiceUrl}/api/debits`,
+        "POST",
+        { user_id: userId, amount: amount, ...metadata },
+        { dependency: "payment", idempotencyKey: metadata.idempotency_key }
+      );
+    } catch (error) {
+      logger.error("Failed to debit user account:", error.message);
+      throw error;
+    }
+  }
+
+  // Send a generated report to its delivery target (see config/reports.js).
+  // Throws so the caller can record a failed delivery.
+  async deliverReport(target, report, artifact) {
+    switch (target.type) {
+      case "webhook":
+        await this.makeRequest(target.url, "POST", {
+          report_id: report.id,
+          report_type: report.report_type,
+          period_start: report.period_start,
+          period_end: report.period_end,
+          format: artifact.format,
+          filename: artifact.filename,
+          content: artifact.content,
+        }, { dependency: "report_delivery" });
+        return;
+
+      case "email":
+        await this.makeRequest(
+          `${this.notificationServiceUrl}/api/emails`,
+          "POST",
+          {
+            recipients: target.recipients,
+            subject: artifact.subject,
+            attachments: [
+              {
+                filename: artifact.filename,
+                content_type: artifact.content_type,
+                content: artifact.content,
+              },
+            ],
+          },
+          { dependency: "notification" }
+        );
+        return;
+
+      default:
+        throw new Error(`Unknown report delivery type: ${target.type}`);
+    }
+  }
+
+  // POST a signed webhook body to a partner endpoint. Unlike makeRequest it
+  // sends no service key, follows no redirects and is never retried here
+  // (the outbox retries) or broken (one partner's outage must not block the
+  // others). Resolves with { status, body } whatever the status; throws only
+  // when no response came back. In production the host is resolved at send
+  // time and the connection refused (PRIVATE_ADDRESS) when it points at a
+  // private address, whatever it resolved to when the URL was registered.
+  async postWebhook(url, body, headers) {
+    const agents = {};
+    if (!webhookConfig.allowInsecureUrls) {
+      assertPublicUrl(url);
+      agents.httpAgent = this.webhookAgents.http;
+      agents.httpsAgent = this.webhookAgents.https;
+    }
+
+    const response = await this.bulkheads.webhook.run(() =>
+      axios({
+        method: "POST",
+        url,
+        data: body,
+        headers: { "Content-Type": "application/json", ...headers },
+        timeout: dependencies.webhook.timeout_ms,
+        maxRedirects: 0,
+        proxy: false,
+        validateStatus: () => true,
+        transformResponse: [(data) => data],
+        ...agents,
+      })
+    );
+    return { status: response.status, body: response.data };
+  }
 }
 
 module.exports = new ExternalServices();
@@ -0,0 +1,138 @@
+const Referral = require("../models/Referral");
+const UserDevice = require("../models/UserDevice");
+
+// Built-in referral fraud rules. Each rule declares the stages it runs in and
+// returns null when it does not fire, or { score, reason } when it does.
+// Scores of all fired rules are summed and compared to the review threshold.
+
+const sharedDevice = {
+  name: "shared_device",
+  stages: ["creation", "completion"],
+  async evaluate({ referral, signals }) {
+    if (!signals || (!signals.ip && !signals.device_fingerprint)) {
+      return null;
+    }
+
+    const matches = await UserDevice.findMatches(
+      referral.referrer_id,
+      signals.ip,
+      signals.device_fingerprint
+    );
+
+    if (matches.fingerprint_matches > 0) {
+      return {
+        score: parseInt(process.env.FRAUD_SHARED_DEVICE_SCORE) || 80,
+        reason: "Referee uses the same device as the referrer",
+      };
+    }
+
+    if (matches.ip_matches > 0) {
+      return {
+        score: parseInt(process.env.FRAUD_SHARED_IP_SCORE) || 40,
+        reason: "Referee shares an IP address with the referrer",
+      };
+    }
+
+    return null;
+  },
+};
+
+const codeBurst = {
+  name: "code_burst",
+  stages: ["creation"],
+  async evaluate({ referral }) {
+    const windowMinutes = parseInt(process.env.FRAUD_BURST_WINDOW_MINUTES) || 60;
+    const maxReferrals = parseInt(process.env.FRAUD_BURST_MAX_REFERRALS) || 5;
+
+    const recent = await Referral.countRecentByCode(
+      referral.referral_code,
+      windowMinutes
+    );
+
+    if (recent >= maxReferrals) {
+      return {
+        score: parseInt(process.env.FRAUD_BURST_SCORE) || 50,
+        reason: `${recent} referrals created with this code in the last ${windowMinutes} minutes`,
+      };
+    }
+
+    return null;
+  },
+};
+
+const fastCompletion = {
+  name: "fast_completion",
+  stages: ["completion"],
+  async evaluate({ referral }) {
+    const thresholdMinutes =
+      parseInt(process.env.FRAUD_FAST_COMPLETION_MINUTES) || 10;
+    const elapsedMinutes =
+      (Date.now() - new Date(referral.created_at).getTime()) / 60000;
+
+    if (elapsedMinutes < thresholdMinutes) {
+      return {
+        score: parseInt(process.env.FRAUD_FAST_COMPLETION_SCORE) || 30,
+        reason: `Referee completed ${Math.round(elapsedMinutes)} minutes after being referred`,
+      };
+    }
+
+    return null;
+  },
+};
+
+// Referees that convert within minutes and are never seen again are the usual
+// signature of throwaway accounts; a referrer with a run of them is suspect.
+const repeatFastCompletions = {
+  name: "repeat_fast_completions",
+  stages: ["completion"],
+  async evaluate({ referral }) {
+    const thresholdMinutes =
+      parseInt(process.env.FRAUD_FAST_COMPLETION_MINUTES) || 10;
+    const maxFastCompletions =
+      parseInt(process.env.FRAUD_MAX_FAST_COMPLETIONS) || 3;
+
+    const fastCompletions = await Referral.countFastCompletions(
+      referral.referrer_id,
+      thresholdMinutes
+    );
+
+    if (fastCompletions >= maxFastCompletions) {
+      return {
+        score: parseInt(process.env.FRAUD_REPEAT_FAST_COMPLETION_SCORE) || 50,
+        reason: `Referrer has ${fastCompletions} referees who completed within ${thresholdMinutes} minutes in the last 30 days`,
+      };
+    }
+
+    return null;
+  },
+};
+
+// The churn half of that signature: referees who completed and then had
+// the qualifying order refunded or cancelled, which reverses the referral
+const churnedReferees = {
+  name: "churned_referees",
+  stages: ["creation", "completion"],
+  async evaluate({ referral }) {
+    const days = parseInt(process.env.FRAUD_CHURN_WINDOW_DAYS) || 90;
+    const maxReversals = parseInt(process.env.FRAUD_MAX_CHURNED_REFEREES) || 2;
+
+    const reversed = await Referral.countReversed(referral.referrer_id, days);
+
+    if (reversed >= maxReversals) {
+      return {
+        score: parseInt(process.env.FRAUD_CHURNED_REFEREES_SCORE) || 50,
+        reason: `Referrer has ${reversed} referees whose qualifying order was refunded or cancelled in the last ${days} days`,
+      };
+    }
+
+    return null;
+  },
+};
+
+module.exports = [
+  sharedDevice,
+  codeBurst,
+  fastCompletion,
+  repeatFastCompletions,
+  churnedReferees,
+];
@@ -0,0 +1,75 @@
+const logger = require("../utils/logger");
+const builtInRules = require("./fraudRules");
+
+const rules = [...builtInRules];
+
+class FraudService {
+  // Add a custom rule: { name, stages: ['creation' | 'completion'], evaluate }
+  static registerRule(rule) {
+    if (!rule || !rule.name || typeof rule.evaluate !== "function") {
+      throw new Error("Fraud rule requires a name and an evaluate function");
+    }
+    rules.push({ stages: ["creation", "completion"], ...rule });
+  }
+
+  static getRules(stage = null) {
+    return stage ? rules.filter((rule) => rule.stages.includes(stage)) : rules;
+  }
+
+  static getThreshold() {
+    return parseInt(process.env.FRAUD_REVIEW_THRESHOLD) || 70;
+  }
+
+  static isEnabled() {
+    return process.env.FRAUD_DETECTION_ENABLED !== "false";
+  }
+
+  // Score a referral at the given stage. A rule that throws is logged and
+  // skipped rather than blocking the referral.
+  static async assess(stage, context) {
+    const threshold = this.getThreshold();
+    const triggeredRules = [];
+
+    if (this.isEnabled()) {
+      for (const rule of this.getRules(stage)) {
+        try {
+          const result = await rule.evaluate({ stage, ...context });
+          if (result && result.score > 0) {
+            triggeredRules.push({
+              rule: rule.name,
+              score: result.score,
+              reason: result.reason,
+            });
+          }
+        } catch (error) {
+          logger.error(`Fraud rule ${rule.name} failed:`, error);
+        }
+      }
+    }
+
+    const score = Math.min(
+      triggeredRules.reduce((sum, rule) => sum + rule.score, 0),
+      100
+    );
+    const decision = score >= threshold ? "review" : "allow";
+
+    if (decision === "review") {
+      logger.warn(
+        `Referral flagged for review at ${stage} (score ${score}/${threshold}): ${triggeredRules
+          .map((rule) => rule.rule)
+          .join(", ")}`
+      );
+    }
+
+    return {
+      stage,
+      score,
+      threshold,
+      decision,
+      triggered_rules: triggeredRules,
+      signals: context.signals || {},
+    };
+  }
+}
+
+module.exports = FraudService;
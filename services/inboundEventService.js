@@ -0,0 +1,119 @@
+const ProcessedEvent = require("../models/ProcessedEvent");
+const DeadLetterEvent = require("../models/DeadLetterEvent");
+const logger = require("../utils/logger");
+const UserProfileService = require("./userProfileService");
+const ReferralService = require("./referralService");
+const { validateTriggerEvent } = require("../validators/referralValidator");
+
+// An event that cannot succeed as sent (unknown type, invalid payload). The
+// consumer dead-letters it straight away instead of retrying.
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+// Upstream events that complete or reverse referrals, mapped onto the
+// trigger types of POST /referrals/trigger
+const triggers = {
+  "order.completed": (data) => ({ referee_id: data.customer_id, trigger_type: "order_completed" }),
+  "delivery.completed": (data) => ({ referee_id: data.driver_id, trigger_type: "delivery_completed" }),
+  "user.verified": (data) => ({ referee_id: data.user_id, trigger_type: "user_verified" }),
+  "order.refunded": (data) => ({ referee_id: data.customer_id, trigger_type: "order_refunded" }),
+};
+
+const referralTrigger = (eventType) => async (data) => {
+  const { error, value } = validateTriggerEvent(eventType, data);
+  if (error) {
+    throw permanentError(
+      `Invalid ${eventType} event: ${error.details.map((detail) => detail.message).join(", ")}`
+    );
+  }
+
+  const { referee_id, trigger_type } = triggers[eventType](value);
+  return ReferralService.processTrigger(referee_id, trigger_type, value);
+};
+
+// Handlers for events other services send us, by event type
+const handlers = {
+  // Profile changes (name, avatar, market) must not wait out the cache TTL,
+  // on this replica or any other
+  user_updated: async (data) => {
+    await UserProfileService.publishInvalidation(data.user_id, data.user_type || null);
+  },
+  ...Object.keys(triggers).reduce((result, eventType) => {
+    result[eventType] = referralTrigger(eventType);
+    return result;
+  }, {}),
+};
+
+class InboundEventService {
+  static isSupported(eventType) {
+    return eventType in handlers;
+  }
+
+  // Events may arrive more than once (HTTP retries, broker redelivery). An
+  // event whose event_id was already handled is skipped; the referral
+  // transitions themselves are guarded by status, so a redelivery racing the
+  // first delivery still applies once. Returns { duplicate }.
+  static async handle(event) {
+    const handler = handlers[event.event_type];
+    if (!handler) {
+      throw permanentError(`Unsupported event type: ${event.event_type}`);
+    }
+
+    if (event.event_id && (await ProcessedEvent.exists(event.event_id))) {
+      logger.info(`Skipped duplicate ${event.event_type} event ${event.event_id}`);
+      return { duplicate: true };
+    }
+
+    await handler(event.data);
+
+    if (event.event_id) {
+      await ProcessedEvent.record(event.event_id, event.event_type, event.source || null);
+    }
+    logger.info(`Handled ${event.event_type} event ${event.event_id || ""}`.trim());
+    return { duplicate: false };
+  }
+
+  // Run a dead-lettered event through its handler again. Returns the updated
+  // dead letter, or null if it is not pending.
+  static async replayDeadLetter(id) {
+    const deadLetter = await DeadLetterEvent.findById(id);
+    if (!deadLetter || deadLetter.status !== "pending") {
+      return null;
+    }
+
+    try {
+      await this.handle(deadLetter.payload);
+      logger.info(`Replayed dead-lettered ${deadLetter.event_type} event ${deadLetter.id}`);
+      return DeadLetterEvent.recordReplay(id);
+    } catch (error) {
+      logger.error(`Replay of dead-lettered event ${deadLetter.id} failed:`, error.message);
+      return DeadLetterEvent.recordReplay(id, error.message);
+    }
+  }
+
+  // Replay pending dead letters, oldest first, optionally of one event type
+  static async replayDeadLetters(filters = {}, limit = 100) {
+    const deadLetters = await DeadLetterEvent.findAll(
+      { status: "pending", event_type: filters.event_type },
+      limit
+    );
+
+    let replayed = 0;
+    let failed = 0;
+    for (const deadLetter of deadLetters) {
+      const result = await this.replayDeadLetter(deadLetter.id);
+      if (result && result.status === "replayed") {
+        replayed++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { attempted: deadLetters.length, replayed, failed };
+  }
+}
+
+module.exports = InboundEventService;
@@ -0,0 +1,173 @@
+const os = require("os");
+const ScheduledJob = require("../models/ScheduledJob");
+const JobRun = require("../models/JobRun");
+const logger = require("../utils/logger");
+const { getNextRun } = require("../utils/cronSchedule");
+
+const instanceId = `${os.hostname()}:${process.pid}`;
+const jobs = new Map();
+
+class JobScheduler {
+  // Register a job handler. The handler returns the number of rows it
+  // affected (or { rows_affected }) for the run history. It receives the
+  // checkpoint saved by an unfinished earlier run, and `saveCheckpoint` to
+  // record progress, which also renews the lock. The lock window is
+  // `options.lockSeconds`, JOB_LOCK_SECONDS_<NAME> (e.g.
+  // JOB_LOCK_SECONDS_REWARD_EXPIRY) or JOB_LOCK_SECONDS, in that order.
+  static define(name, schedule, handler, options = {}) {
+    getNextRun(schedule); // fail fast on a bad expression
+    jobs.set(name, {
+      name,
+      schedule,
+      handler,
+      lockSeconds:
+        options.lockSeconds ||
+        parseInt(process.env[`JOB_LOCK_SECONDS_${name.toUpperCase()}`]) ||
+        parseInt(process.env.JOB_LOCK_SECONDS) ||
+        30 * 60,
+    });
+  }
+
+  static getDefinitions() {
+    return [...jobs.values()];
+  }
+
+  static async registerAll() {
+    for (const job of jobs.values()) {
+      await ScheduledJob.register(job.name, job.schedule, getNextRun(job.schedule));
+    }
+  }
+
+  // Run every due job this process knows. A job whose run time passed by more
+  // than one interval (e.g. all replicas were down at 2 AM) runs once as a
+  // catch-up, then resumes from the next future slot.
+  static async tick() {
+    const due = await ScheduledJob.findDue();
+    const now = new Date();
+
+    for (const row of due) {
+      const job = jobs.get(row.name);
+      if (!job) {
+        continue;
+      }
+
+      const locked = await ScheduledJob.acquireLock(
+        job.name,
+        instanceId,
+        job.lockSeconds
+      );
+      if (!locked) {
+        continue;
+      }
+
+      const scheduledFor = new Date(row.next_run_at);
+      const checkpoint =
+        typeof row.checkpoint === "string"
+          ? JSON.parse(row.checkpoint)
+          : row.checkpoint;
+      const missed = getNextRun(job.schedule, scheduledFor) <= now;
+
+      await this.execute(job, {
+        trigger_type: missed ? "catch_up" : "schedule",
+        scheduled_for: scheduledFor,
+        checkpoint,
+        next_run_at: getNextRun(job.schedule, now),
+      });
+    }
+  }
+
+  // Run a job now, outside its schedule. Returns null when the job is
+  // unknown, disabled or already running.
+  static async runNow(name, triggeredBy = null) {
+    const job = jobs.get(name);
+    if (!job) {
+      return null;
+    }
+
+    const locked = await ScheduledJob.acquireLock(
+      job.name,
+      instanceId,
+      job.lockSeconds,
+      false
+    );
+    if (!locked) {
+      return null;
+    }
+
+    const row = await ScheduledJob.findByName(name);
+    return this.execute(job, {
+      trigger_type: "manual",
+      triggered_by: triggeredBy,
+      checkpoint: row ? row.checkpoint : null,
+      next_run_at: null,
+    });
+  }
+
+  // Run a job whose lock this process holds and record the run
+  static async execute(job, run) {
+    const startedAt = Date.now();
+    const runId = await JobRun.start({
+      job_name: job.name,
+      trigger_type: run.trigger_type,
+      scheduled_for: run.scheduled_for,
+      started_at: new Date(startedAt),
+      instance_id: instanceId,
+      triggered_by: run.triggered_by,
+    });
+
+    let outcome;
+    try {
+      logger.info(`Running job ${job.name} (${run.trigger_type})`);
+      const result = await job.handler({
+        trigger_type: run.trigger_type,
+        scheduled_for: run.scheduled_for,
+        checkpoint: run.checkpoint || null,
+        saveCheckpoint: async (checkpoint) => {
+          const held = await ScheduledJob.saveCheckpoint(
+            job.name,
+            instanceId,
+            checkpoint,
+            job.lockSeconds
+          );
+          // The lock lapsed and another replica took the job; stop rather
+          // than run it twice
+          if (!held) {
+            throw new Error(`Job ${job.name} lost its lock`);
+          }
+          return held;
+        },
+      });
+
+      outcome = {
+        status: "succeeded",
+        rows_affected:
+          typeof result === "number"
+            ? result
+            : (result && result.rows_affected) || 0,
+      };
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+      outcome = { status: "failed", error: error.message };
+    }
+
+    outcome.duration_ms = Date.now() - startedAt;
+
+    try {
+      await ScheduledJob.completeRun(
+        job.name,
+        instanceId,
+        outcome.status,
+        run.next_run_at
+      );
+    } catch (error) {
+      logger.error(`Failed to release job lock ${job.name}:`, error);
+    }
+
+    logger.info(
+      `Job ${job.name} ${outcome.status} in ${outcome.duration_ms}ms (${outcome.rows_affected || 0} rows)`
+    );
+    return JobRun.finish(runId, outcome);
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,29 @@
+const { markets, defaultMarket } = require("../config/markets");
+const UserProfileService = require("./userProfileService");
+
+class MarketService {
+  static getMarket(code) {
+    const market = (code && markets[String(code).toUpperCase()]) || null;
+    return market
+      ? { market: String(code).toUpperCase(), ...market }
+      : { market: defaultMarket, ...markets[defaultMarket] };
+  }
+
+  // Resolve a user's market from their profile in the user service. The
+  // profile may carry an explicit currency/locale; otherwise the market's
+  // defaults apply. Unknown users fall back to DEFAULT_MARKET.
+  static async resolveUserMarket(userId, userType) {
+    const details = await UserProfileService.getUserDetails(userId, userType);
+    const market = this.getMarket(
+      details && (details.market || details.country_code || details.country)
+    );
+
+    return {
+      market: market.market,
+      currency: (details && details.currency) || market.currency,
+      locale: (details && details.locale) || market.locale,
+    };
+  }
+}
+
+module.exports = MarketService;
@@ -0,0 +1,168 @@
+const NotificationPreference = require("../models/NotificationPreference");
+const logger = require("../utils/logger");
+const { formatAmount } = require("../utils/currency");
+const notificationConfig = require("../config/notifications");
+const bundles = require("../config/notificationTemplates");
+const { createNotificationSink } = require("./notificationSinks");
+
+const sink = createNotificationSink(notificationConfig.sink, {
+  file: notificationConfig.sinkFile,
+});
+
+const fill = (text, vars) =>
+  text.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    vars[name] === undefined || vars[name] === null ? "" : String(vars[name])
+  );
+
+const formatDate = (date, locale) => {
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(
+      new Date(date)
+    );
+  } catch (error) {
+    return new Date(date).toDateString();
+  }
+};
+
+// Template bundle for a locale such as "fr-MA": its language, then English
+const findTemplate = (type, locale) => {
+  const language = String(locale).split("-")[0].toLowerCase();
+  for (const bundle of [bundles[language], bundles.en]) {
+    if (bundle && bundle.templates[type]) {
+      return { bundle, template: bundle.templates[type] };
+    }
+  }
+  return null;
+};
+
+class NotificationService {
+  // Render a notification in its locale. Notifications carry raw values
+  // (amount, currency, completion_condition, dates, ...); callers never build
+  // display text themselves.
+  static render(notification) {
+    const locale = notification.locale || notificationConfig.defaultLocale;
+    const found = findTemplate(notification.type, locale);
+
+    if (!found) {
+      // Queued before templates existed
+      if (notification.message) {
+        return { locale, title: null, body: notification.message };
+      }
+      throw new Error(`No notification template for ${notification.type}`);
+    }
+
+    const { phrases } = found.bundle;
+    const condition = phrases.actions[notification.completion_condition]
+      ? notification.completion_condition
+      : "first_order";
+
+    const vars = {
+      ...notification,
+      action: phrases.actions[condition],
+      referee_action: phrases.referee_actions[condition],
+    };
+
+    if (notification.amount !== undefined && notification.amount !== null) {
+      vars.amount = formatAmount(notification.amount, notification.currency, locale);
+    }
+    if (notification.bonus !== undefined && notification.bonus !== null) {
+      vars.bonus =
+        notification.bonus_type === "percentage"
+          ? fill(phrases.percentage[condition], { rate: notification.bonus })
+          : formatAmount(notification.bonus, notification.currency, locale);
+    }
+    for (const field of ["held_until", "expiry_date"]) {
+      if (notification[field]) {
+        vars[field] = formatDate(notification[field], locale);
+      }
+    }
+
+    return {
+      locale,
+      title: fill(found.template.title, vars),
+      body: fill(found.template.body, vars),
+    };
+  }
+
+  // Channels the user receives notifications on: their stored choices over
+  // the configured defaults
+  static async getPreferences(userId) {
+    const stored = await NotificationPreference.findByUser(userId);
+
+    return notificationConfig.channels.map((channel) => {
+      const preference = stored.find((p) => p.channel === channel);
+      return {
+        channel,
+        enabled: preference
+          ? Boolean(preference.enabled)
+          : Boolean(notificationConfig.defaultChannels[channel]),
+      };
+    });
+  }
+
+  static async updatePreferences(userId, channels) {
+    for (const [channel, enabled] of Object.entries(channels)) {
+      await NotificationPreference.set(userId, channel, enabled);
+    }
+    return this.getPreferences(userId);
+  }
+
+  // Render and send a notification on each channel the user has enabled.
+  // Channels in `options.sentChannels` are skipped and `options.onChannelSent`
+  // is called after each send, so a retry only resends the channels that
+  // failed. Every channel is tried; throws afterwards if any failed so the
+  // outbox worker retries.
+  static async deliver(userId, notification, options = {}) {
+    const sentChannels = options.sentChannels || [];
+    const channels = (await this.getPreferences(userId))
+      .filter((preference) => preference.enabled)
+      .map((preference) => preference.channel);
+    if (channels.length === 0) {
+      logger.info(`Notification ${notification.type} skipped: user ${userId} has no channels enabled`);
+      return;
+    }
+
+    const content = this.render(notification);
+    const failures = [];
+    for (const channel of channels) {
+      if (sentChannels.includes(channel)) {
+        continue;
+      }
+
+      try {
+        await sink.send({
+          user_id: userId,
+          channel,
+          type: notification.type,
+          locale: content.locale,
+          title: content.title,
+          body: content.body,
+          data: notification,
+        });
+      } catch (error) {
+        failures.push(`${channel}: ${error.message}`);
+        continue;
+      }
+
+      if (options.onChannelSent) {
+        await options.onChannelSent(channel);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Notification ${notification.type} failed on ${failures.join("; ")}`);
+    }
+  }
+
+  // Same as deliver, for callers that send directly rather than through the
+  // outbox: failures are logged, not thrown
+  static async send(userId, notification) {
+    try {
+      await this.deliver(userId, notification);
+    } catch (error) {
+      logger.error(`Failed to send ${notification.type} notification:`, error.message);
+    }
+  }
+}
+
+module.exports = NotificationService;
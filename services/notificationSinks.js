@@ -0,0 +1,58 @@
+const fs = require("fs");
+const logger = require("../utils/logger");
+const externalServices = require("./externalService");
+
+// Where rendered notifications go. A sink implements:
+//   send(message) -> resolves once delivered, throws on failure
+// where message is { user_id, channel, type, locale, title, body, data }.
+
+class NotificationServiceSink {
+  async send(message) {
+    await externalServices.deliverNotification(message.user_id, {
+      channel: message.channel,
+      type: message.type,
+      locale: message.locale,
+      title: message.title,
+      message: message.body,
+      data: message.data,
+    });
+  }
+}
+
+// Development sinks: log the notification, or append it to a JSON-lines file
+class ConsoleNotificationSink {
+  async send(message) {
+    logger.info(
+      `[${message.channel}] to ${message.user_id} (${message.type}): ${message.title} - ${message.body}`
+    );
+  }
+}
+
+class FileNotificationSink {
+  constructor(path) {
+    this.path = path;
+  }
+
+  async send(message) {
+    const line = JSON.stringify({ ...message, sent_at: new Date().toISOString() });
+    await fs.promises.appendFile(this.path, `${line}\n`);
+  }
+}
+
+const createNotificationSink = (type, options = {}) => {
+  switch (type) {
+    case "console":
+      return new ConsoleNotificationSink();
+    case "file":
+      return new FileNotificationSink(options.file);
+    default:
+      return new NotificationServiceSink();
+  }
+};
+
+module.exports = {
+  NotificationServiceSink,
+  ConsoleNotificationSink,
+  FileNotificationSink,
+  createNotificationSink,
+};
@@ -0,0 +1,198 @@
+const Outbox = require("../models/Outbox");
+const logger = require("../utils/logger");
+const NotificationService = require("./notificationService");
+const WebhookService = require("./webhookService");
+const eventsConfig = require("../config/domainEvents");
+const { createEventTransport } = require("./eventTransports");
+
+const eventTransport = createEventTransport(eventsConfig.transport, {
+  file: eventsConfig.transportFile,
+  limit: eventsConfig.memoryLimit,
+  adapter: eventsConfig.brokerAdapter,
+  topicPrefix: eventsConfig.topicPrefix,
+});
+
+class OutboxService {
+  // Queue a user notification; delivered by the outbox worker after commit
+  static async queueNotification(userId, notificationData, connection) {
+    return Outbox.enqueue(
+      "notification",
+      { user_id: userId, notification: notificationData },
+      { aggregate_id: notificationData.referral_id || notificationData.reward_id },
+      connection
+    );
+  }
+
+  // Queue many notifications in one insert; entries are { user_id, notification }
+  static async queueNotifications(entries, connection) {
+    return Outbox.enqueueMany(
+      entries.map(({ user_id, notification }) => ({
+        message_type: "notification",
+        aggregate_id: notification.referral_id || notification.reward_id,
+        payload: { user_id, notification },
+      })),
+      connection
+    );
+  }
+
+  // Queue a payment-service credit for a reward created in the same transaction
+  static async queueRewardCredit(rewardId, connection) {
+    return Outbox.enqueue(
+      "reward_credit",
+      { reward_id: rewardId },
+      { aggregate_id: rewardId },
+      connection
+    );
+  }
+
+  // Queue a payment-service debit for a credited reward clawed back in the
+  // same transaction
+  static async queueRewardDebit(rewardId, connection) {
+    return Outbox.enqueue(
+      "reward_debit",
+      { reward_id: rewardId },
+      { aggregate_id: rewardId },
+      connection
+    );
+  }
+
+  // Transport domain events are published on, e.g. to subscribe to the
+  // memory transport in development
+  static getEventTransport() {
+    return eventTransport;
+  }
+
+  static async dispatch(message) {
+    switch (message.message_type) {
+      case "notification": {
+        // Channels that went out on an earlier attempt are kept in the
+        // payload and not sent again when another channel is retried
+        const sentChannels = message.payload.sent_channels || [];
+        return NotificationService.deliver(
+          message.payload.user_id,
+          message.payload.notification,
+          {
+            sentChannels,
+            onChannelSent: (channel) => {
+              sentChannels.push(channel);
+              return Outbox.updatePayload(message.id, {
+                ...message.payload,
+                sent_channels: sentChannels,
+              });
+            },
+          }
+        );
+      }
+
+      case "reward_credit": {
+        // Required lazily: rewardsService queues into the outbox itself
+        const RewardService = require("./rewardsService");
+        const result = await RewardService.creditReward(
+          message.payload.reward_id
+        );
+        // Retried later; a reward that is no longer pending needs no credit
+        if (result.status === "rejected") {
+          throw new Error(
+            `Credit for reward ${message.payload.reward_id} was rejected: ${result.reason}`
+          );
+        }
+        return result;
+      }
+
+      case "event":
+        // Fan-out is idempotent, so a retry after a failed publish does not
+        // duplicate webhook deliveries
+        await WebhookService.fanOut(message.payload);
+        return eventTransport.publish(message.payload);
+
+      case "webhook":
+        return WebhookService.deliver(message.payload.delivery_id);
+
+      case "reward_debit": {
+        const RewardService = require("./rewardsService");
+        return RewardService.debitReward(message.payload.reward_id);
+      }
+
+      default:
+        throw new Error(`Unknown outbox message type: ${message.message_type}`);
+    }
+  }
+
+  static getRetryDelay(attempts) {
+    const baseSeconds = parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS) || 30;
+    const maxSeconds = parseInt(process.env.OUTBOX_RETRY_MAX_SECONDS) || 3600;
+    return Math.min(baseSeconds * Math.pow(2, attempts - 1), maxSeconds);
+  }
+
+  // Drain one batch of due messages. Each message is handled independently so
+  // one failing delivery does not hold up the rest of the batch. Before its
+  // turn each message's lock is renewed for OUTBOX_MESSAGE_LOCK_SECONDS, long
+  // enough for one dispatch with its retries; a message whose batch lock ran
+  // out while earlier ones were sent may have been claimed by another worker
+  // and is skipped.
+  static async processPending(batchSize = null) {
+    const limit = batchSize || parseInt(process.env.OUTBOX_BATCH_SIZE) || 50;
+    const messageLockSeconds =
+      parseInt(process.env.OUTBOX_MESSAGE_LOCK_SECONDS) || 300;
+    const messages = await Outbox.claimBatch(limit);
+
+    let delivered = 0;
+    let failed = 0;
+    let skipped = 0;
+
+    for (const message of messages) {
+      try {
+        const held = await Outbox.renewClaim(
+          message.id,
+          message.claim_id,
+          messageLockSeconds
+        );
+        if (!held) {
+          skipped++;
+          continue;
+        }
+      } catch (error) {
+        logger.error(`Failed to renew claim on outbox message ${message.id}:`, error.message);
+        skipped++;
+        continue;
+      }
+
+      try {
+        await this.dispatch(message);
+        await Outbox.markCompleted(message.id, message.claim_id);
+        delivered++;
+      } catch (error) {
+        failed++;
+        const exhausted = message.attempts >= message.max_attempts;
+        await Outbox.markFailed(
+          message.id,
+          error.message,
+          exhausted ? null : this.getRetryDelay(message.attempts),
+          message.claim_id
+        );
+
+        if (exhausted) {
+          logger.error(
+            `Outbox message ${message.id} (${message.message_type}) failed permanently after ${message.attempts} attempts:`,
+            error.message
+          );
+        } else {
+          logger.warn(
+            `Outbox message ${message.id} (${message.message_type}) failed, attempt ${message.attempts}:`,
+            error.message
+          );
+        }
+      }
+    }
+
+    if (messages.length > 0) {
+      logger.info(
+        `Outbox batch processed: ${delivered} delivered, ${failed} failed, ${skipped} skipped`
+      );
+    }
+
+    return { claimed: messages.length, delivered, failed, skipped };
+  }
+}
+
+module.exports = OutboxService;
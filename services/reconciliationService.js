@@ -0,0 +1,185 @@
+const Reward = require("../models/Reward");
+const ReconciliationIssue = require("../models/ReconciliationIssue");
+const logger = require("../utils/logger");
+const externalServices = require("./externalService");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sameAmount = (a, b) => Math.round(a * 100) === Math.round(b * 100);
+
+class ReconciliationService {
+  // Compare rewards we credited against the payment service's ledger export
+  // and flag every mismatch in reconciliation_issues. Rewards and payments
+  // are matched on the reward id, which is the credit's idempotency key. The
+  // window ends `graceMinutes` ago so in-flight credits are not flagged, and
+  // the export is padded by an hour either side for clock skew between the
+  // two services. A reward clawed back since is still reconciled against its
+  // credit, and its `clawback:<id>` debit against the amount credited.
+  // Returns the number of issues flagged.
+  static async reconcileCredits(options = {}) {
+    const windowHours =
+      options.windowHours || parseInt(process.env.RECONCILIATION_WINDOW_HOURS) || 48;
+    const graceMinutes =
+      options.graceMinutes || parseInt(process.env.RECONCILIATION_GRACE_MINUTES) || 60;
+
+    const endDate = new Date(Date.now() - graceMinutes * 60 * 1000);
+    const startDate = new Date(endDate.getTime() - windowHours * HOUR_MS);
+
+    // A clawback can come any time after the credit, so debits are fetched
+    // up to now
+    const [credited, entries, debits] = await Promise.all([
+      Reward.findCreditedBetween(startDate, endDate),
+      externalServices.getPaymentLedgerExport(
+        new Date(startDate.getTime() - HOUR_MS),
+        new Date(endDate.getTime() + HOUR_MS)
+      ),
+      externalServices.getPaymentLedgerExport(
+        new Date(startDate.getTime() - HOUR_MS),
+        new Date(),
+        "referral_reward_clawback"
+      ),
+    ]);
+
+    const payments = new Map(
+      entries.map((entry) => [entry.idempotency_key || entry.source_id, entry])
+    );
+    const clawbacks = new Map(
+      debits.map((entry) => [
+        entry.idempotency_key || `clawback:${entry.source_id}`,
+        entry,
+      ])
+    );
+    const issues = [];
+
+    for (const reward of credited) {
+      const payment = payments.get(reward.id);
+      payments.delete(reward.id);
+
+      if (reward.status === "cancelled") {
+        issues.push(
+          ...this.compareClawback(reward, clawbacks.get(`clawback:${reward.id}`), endDate)
+        );
+      }
+
+      if (!payment) {
+        issues.push([reward.id, "missing_payment", {
+          amount: reward.amount,
+          currency: reward.currency,
+          payment_transaction_id: reward.payment_transaction_id,
+        }]);
+        continue;
+      }
+
+      issues.push(...this.compare(reward, payment));
+    }
+
+    // Payments left over were made for rewards we did not credit in the
+    // window; only those made inside it are checked
+    const unmatched = [...payments.values()].filter((entry) => {
+      const createdAt = new Date(entry.created_at);
+      return createdAt >= startDate && createdAt < endDate;
+    });
+    const rewards = await Reward.findByIds(
+      unmatched.map((entry) => entry.idempotency_key || entry.source_id)
+    );
+
+    // A reward we credited keeps its credited_date when clawed back
+    for (const payment of unmatched) {
+      const rewardId = payment.idempotency_key || payment.source_id;
+      const reward = rewards.find((r) => r.id === rewardId);
+
+      if (!reward || !reward.credited_date) {
+        issues.push([rewardId, "unrecorded_payment", {
+          reward_status: reward ? reward.status : null,
+          transaction_id: payment.transaction_id,
+          amount: payment.amount,
+          currency: payment.currency,
+        }]);
+      } else {
+        issues.push(...this.compare(reward, payment));
+      }
+    }
+
+    for (const [rewardId, issueType, details] of issues) {
+      await ReconciliationIssue.flag(rewardId, issueType, details);
+    }
+
+    logger.info(
+      `Reconciled ${credited.length} credited rewards against ${entries.length} payments and ${debits.length} clawbacks: ${issues.length} issues flagged`
+    );
+    return issues.length;
+  }
+
+  // A clawed-back reward must have been debited the amount it was credited.
+  // Clawbacks made after the window ends may still be in the outbox and are
+  // not flagged as missing yet.
+  static compareClawback(reward, debit, endDate) {
+    if (!debit) {
+      return new Date(reward.updated_at) < endDate
+        ? [[reward.id, "missing_clawback", {
+            amount: reward.amount,
+            currency: reward.currency,
+          }]]
+        : [];
+    }
+
+    const expected = {};
+    const actual = {};
+    // Debits may be exported as negative amounts
+    if (!sameAmount(reward.amount, Math.abs(debit.amount))) {
+      expected.amount = reward.amount;
+      actual.amount = debit.amount;
+    }
+    if (debit.currency && debit.currency !== reward.currency) {
+      expected.currency = reward.currency;
+      actual.currency = debit.currency;
+    }
+    if (debit.user_id !== reward.user_id) {
+      expected.user_id = reward.user_id;
+      actual.user_id = debit.user_id;
+    }
+
+    return Object.keys(expected).length > 0
+      ? [[reward.id, "clawback_mismatch", {
+          transaction_id: debit.transaction_id,
+          expected,
+          actual,
+        }]]
+      : [];
+  }
+
+  static compare(reward, payment) {
+    const issues = [];
+    const mismatch = (issueType, field, expected, actual) =>
+      issues.push([reward.id, issueType, {
+        transaction_id: payment.transaction_id,
+        expected: { [field]: expected },
+        actual: { [field]: actual },
+      }]);
+
+    if (!sameAmount(reward.amount, payment.amount)) {
+      mismatch("amount_mismatch", "amount", reward.amount, payment.amount);
+    }
+    if (payment.currency && payment.currency !== reward.currency) {
+      mismatch("currency_mismatch", "currency", reward.currency, payment.currency);
+    }
+    if (payment.user_id !== reward.user_id) {
+      mismatch("user_mismatch", "user_id", reward.user_id, payment.user_id);
+    }
+    if (
+      reward.payment_transaction_id &&
+      payment.transaction_id !== reward.payment_transaction_id
+    ) {
+      mismatch(
+        "transaction_mismatch",
+        "transaction_id",
+        reward.payment_transaction_id,
+        payment.transaction_id
+      );
+    }
+
+    return issues;
+  }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,543 @@
+const Referral = require("../models/Referral");
+const ReferralCode = require("../models/ReferralCode");
+const Campaign = require("../models/Campaign");
+const FraudAssessment = require("../models/FraudAssessment");
+const UserDevice = require("../models/UserDevice");
+const logger = require("../utils/logger");
+const { withTransaction } = require("../utils/transaction");
+const RewardService = require("./rewardsService");
+const OutboxService = require("./outboxService");
+const FraudService = require("./fraudService");
+const VelocityService = require("./velocityService");
+
+const getLocale = (referral, party) => {
+  const markets = (referral.metadata && referral.metadata.markets) || {};
+  return markets[party] ? markets[party].locale : null;
+};
+
+class ReferralService {
+  // Create a referral together with the code usage and campaign participant
+  // updates in one transaction; notifications are queued in the outbox.
+  // Referrals that score above the fraud threshold start out under review.
+  // Velocity counts are taken in the same transaction; a limit already
+  // reached throws a VELOCITY_LIMIT error carrying the limit as `velocity`.
+  static async createReferral(
+    referralData,
+    referralCode,
+    campaign = null,
+    signals = {}
+  ) {
+    const assessment = await FraudService.assess("creation", {
+      referral: referralData,
+      referralCode,
+      signals,
+    });
+    const underReview = assessment.decision === "review";
+
+    const referral = await withTransaction(async (connection) => {
+      const velocity = await VelocityService.reserve(
+        referralCode,
+        campaign,
+        connection
+      );
+      if (!velocity.allowed) {
+        const error = new Error(
+          `Referral limit reached for this ${velocity.scope} (${velocity.limit} per ${velocity.window})`
+        );
+        error.code = "VELOCITY_LIMIT";
+        error.velocity = velocity;
+        throw error;
+      }
+
+      const created = await Referral.create(
+        { ...referralData, status: underReview ? "under_review" : "pending" },
+        connection
+      );
+
+      await FraudAssessment.create(
+        { ...assessment, referral_id: created.id },
+        connection
+      );
+
+      // Increment code usage
+      await ReferralCode.incrementUsage(referralCode.id, connection);
+
+      // Increment campaign participants if applicable
+      if (campaign) {
+        await Campaign.incrementParticipants(campaign.id, connection);
+      }
+
+      if (!underReview) {
+        await this.queueReferralNotifications(created, connection);
+      }
+
+      return created;
+    });
+
+    await UserDevice.record(
+      referral.referee_id,
+      signals.ip,
+      signals.device_fingerprint
+    );
+
+    logger.info(
+      `Referral created: ${referral.id}${underReview ? " (under review)" : ""}`
+    );
+    return referral;
+  }
+
+  // Complete a pending referral and issue its rewards atomically. Returns null
+  // when the referral was no longer pending (e.g. completed by a concurrent
+  // trigger). Completions that score above the fraud threshold are parked in
+  // `under_review` without issuing rewards.
+  static async completeReferral(referralId, completionData = {}, signals = {}) {
+    const referral = await Referral.findById(referralId);
+    if (!referral || referral.status !== "pending") {
+      return null;
+    }
+
+    const assessment = await FraudService.assess("completion", {
+      referral,
+      completionData,
+      signals,
+    });
+
+    if (assessment.decision === "review") {
+      const held = await withTransaction(async (connection) => {
+        const updated = await Referral.holdForReview(
+          referralId,
+          completionData,
+          connection
+        );
+        if (!updated) {
+          return null;
+        }
+
+        await FraudAssessment.create(
+          { ...assessment, referral_id: referralId },
+          connection
+        );
+        return Referral.findById(referralId, connection);
+      });
+
+      if (held) {
+        logger.info(`Referral completion held for review: ${referralId}`);
+        return { referral: held, rewards: null, under_review: true };
+      }
+      return null;
+    }
+
+    const result = await withTransaction(async (connection) => {
+      await FraudAssessment.create(
+        { ...assessment, referral_id: referralId },
+        connection
+      );
+      return this.finalizeCompletion(referralId, completionData, connection);
+    });
+
+    if (result) {
+      logger.info(`Referral completed: ${referralId}`);
+    }
+    return result;
+  }
+
+  // Mark the referral completed and issue its rewards on the given transaction
+  static async finalizeCompletion(
+    referralId,
+    completionData,
+    connection,
+    expectedStatus = "pending"
+  ) {
+    const completed = await Referral.completeReferral(
+      referralId,
+      completionData,
+      connection,
+      expectedStatus
+    );
+    if (!completed) {
+      return null;
+    }
+
+    const rewards = await RewardService.processReferralRewards(
+      completed,
+      connection,
+      completionData
+    );
+    await this.queueCompletionNotifications(completed, rewards, connection);
+
+    return { referral: completed, rewards, under_review: false };
+  }
+
+  // Approve a referral held for review. A referral held at completion is
+  // completed with the original trigger data and its rewards are released;
+  // one held at creation goes back to pending.
+  static async approveReview(referralId, reviewerId, notes = null) {
+    const result = await withTransaction(async (connection) => {
+      const referral = await Referral.findById(referralId, connection);
+      const review = await FraudAssessment.findOpenReview(referralId, connection);
+
+      if (!referral || referral.status !== "under_review" || !review) {
+        return null;
+      }
+
+      await FraudAssessment.recordReview(
+        review.id,
+        "approved",
+        reviewerId,
+        notes,
+        connection
+      );
+
+      if (review.stage === "completion") {
+        const completionData =
+          (referral.metadata && referral.metadata.pending_completion) || {};
+        return this.finalizeCompletion(
+          referralId,
+          completionData,
+          connection,
+          "under_review"
+        );
+      }
+
+      await Referral.transitionStatus(
+        referralId,
+        "under_review",
+        "pending",
+        connection
+      );
+      const approved = await Referral.findById(referralId, connection);
+      await this.queueReferralNotifications(approved, connection);
+
+      return { referral: approved, rewards: null, under_review: false };
+    });
+
+    if (result) {
+      logger.info(`Referral review approved: ${referralId} by ${reviewerId}`);
+    }
+    return result;
+  }
+
+  static async rejectReview(referralId, reviewerId, notes = null) {
+    const rejected = await withTransaction(async (connection) => {
+      const review = await FraudAssessment.findOpenReview(referralId, connection);
+      if (!review) {
+        return null;
+      }
+
+      const cancelled = await Referral.transitionStatus(
+        referralId,
+        "under_review",
+        "cancelled",
+        connection
+      );
+      if (!cancelled) {
+        return null;
+      }
+
+      await FraudAssessment.recordReview(
+        review.id,
+        "rejected",
+        reviewerId,
+        notes,
+        connection
+      );
+      return Referral.findById(referralId, connection);
+    });
+
+    if (rejected) {
+      logger.info(`Referral review rejected: ${referralId} by ${reviewerId}`);
+    }
+    return rejected;
+  }
+
+  // Apply a trigger sent by another service to the referee's referrals. A
+  // completion trigger completes the pending referrals whose condition it
+  // meets; order_refunded and order_cancelled reverse the referrals that
+  // order completed and cancel those whose completion by it is still held
+  // for review. Used by POST /referrals/trigger and the event consumer.
+  static async processTrigger(refereeId, triggerType, triggerData = {}) {
+    const referrals = await Referral.findByReferee(refereeId);
+
+    if (this.isReversalTrigger(triggerType)) {
+      const reversed = [];
+      const cancelled = [];
+      for (const referral of referrals) {
+        const heldCompletion =
+          (referral.metadata && referral.metadata.pending_completion) || {};
+
+        if (
+          referral.status === "completed" &&
+          referral.completion_order_id === triggerData.order_id
+        ) {
+          const reversal = await this.reverseReferral(
+            referral.id,
+            triggerType,
+            triggerData
+          );
+          if (reversal) {
+            reversed.push(reversal.referral);
+          }
+        } else if (
+          referral.status === "under_review" &&
+          heldCompletion.order_id === triggerData.order_id
+        ) {
+          const closed = await this.cancelHeldCompletion(
+            referral.id,
+            triggerType,
+            triggerData
+          );
+          if (closed) {
+            cancelled.push(closed);
+          }
+        }
+      }
+      return { completed: [], under_review: [], reversed, cancelled };
+    }
+
+    const completed = [];
+    const underReview = [];
+
+    for (const referral of referrals) {
+      if (
+        referral.status !== "pending" ||
+        !this.shouldCompleteReferral(referral, triggerType, triggerData)
+      ) {
+        continue;
+      }
+
+      const completion = await this.completeReferral(referral.id, triggerData, {
+        ip: triggerData.ip_address,
+        device_fingerprint: triggerData.device_fingerprint,
+      });
+      if (completion && completion.under_review) {
+        underReview.push(completion.referral);
+      } else if (completion) {
+        completed.push(completion.referral);
+      }
+    }
+
+    return { completed, under_review: underReview, reversed: [], cancelled: [] };
+  }
+
+  // A completion held for review has issued no rewards yet. If its order is
+  // refunded or cancelled first, close the review and cancel the referral so
+  // that approving it later cannot pay out for that order.
+  static async cancelHeldCompletion(referralId, triggerType, triggerData = {}) {
+    const cancelled = await withTransaction(async (connection) => {
+      const review = await FraudAssessment.findOpenReview(referralId, connection);
+      const moved = await Referral.transitionStatus(
+        referralId,
+        "under_review",
+        "cancelled",
+        connection
+      );
+      if (!moved) {
+        return null;
+      }
+
+      if (review) {
+        await FraudAssessment.recordReview(
+          review.id,
+          "rejected",
+          null,
+          `Qualifying order ${triggerData.order_id} was ${
+            triggerType === "order_refunded" ? "refunded" : "cancelled"
+          } before review`,
+          connection
+        );
+      }
+      return Referral.findById(referralId, connection);
+    });
+
+    if (cancelled) {
+      logger.info(
+        `Referral held for review cancelled: ${referralId} (${triggerType})`
+      );
+    }
+    return cancelled;
+  }
+
+  static isReversalTrigger(triggerType) {
+    return triggerType === "order_refunded" || triggerType === "order_cancelled";
+  }
+
+  static shouldCompleteReferral(referral, triggerType, triggerData) {
+    switch (referral.completion_condition) {
+      case "first_order":
+        return (
+          triggerType === "order_completed" &&
+          triggerData.customer_id === referral.referee_id &&
+          (!referral.minimum_order_amount ||
+            triggerData.amount >= referral.minimum_order_amount)
+        );
+
+      case "first_delivery":
+        return (
+          triggerType === "delivery_completed" &&
+          triggerData.driver_id === referral.referee_id
+        );
+
+      case "registration":
+        return (
+          triggerType === "user_verified" &&
+          triggerData.user_id === referral.referee_id
+        );
+
+      default:
+        return false;
+    }
+  }
+
+  // Reverse a completed referral whose qualifying order was refunded or
+  // cancelled: the referral moves to `reversed`, both rewards are cancelled
+  // (or clawed back if already credited) and milestones are re-evaluated.
+  // Returns null when the referral is not completed.
+  static async reverseReferral(referralId, triggerType, triggerData = {}) {
+    const result = await withTransaction(async (connection) => {
+      const reversed = await Referral.reverse(
+        referralId,
+        {
+          trigger_type: triggerType,
+          order_id: triggerData.order_id || null,
+          reason: triggerData.reason || null,
+          reversed_at: new Date().toISOString(),
+        },
+        connection
+      );
+      if (!reversed) {
+        return null;
+      }
+
+      const reason =
+        triggerType === "order_refunded"
+          ? "the qualifying order was refunded"
+          : "the qualifying order was cancelled";
+      const revoked = await RewardService.reverseReferralRewards(
+        reversed,
+        reason,
+        connection
+      );
+
+      return { referral: reversed, ...revoked };
+    });
+
+    if (result) {
+      logger.info(
+        `Referral reversed: ${referralId} (${triggerType}), ${result.rewards.length} rewards and ${result.milestone_rewards.length} milestone rewards revoked`
+      );
+    }
+    return result;
+  }
+
+  // Expire pending referrals past their expiry date in chunked set-based
+  // updates; Referral.expireBatch queues one `referral.expired` event per
+  // referral in the same transaction as the chunk. Resumes after `options.checkpoint` and reports
+  // progress through `options.saveCheckpoint`.
+  static async expireReferrals(options = {}) {
+    const batchSize =
+      options.batchSize || parseInt(process.env.EXPIRY_BATCH_SIZE) || 1000;
+    let after = options.checkpoint || null;
+    let total = 0;
+
+    for (;;) {
+      const referrals = await withTransaction(async (connection) => {
+        const batch = await Referral.findExpiredBatch(
+          after,
+          batchSize,
+          connection
+        );
+        if (batch.length === 0) {
+          return batch;
+        }
+
+        await Referral.expireBatch(batch, connection);
+        return batch;
+      });
+
+      if (referrals.length === 0) {
+        break;
+      }
+
+      total += referrals.length;
+      const last = referrals[referrals.length - 1];
+      after = { expiry_date: last.expiry_date, id: last.id };
+      if (options.saveCheckpoint) {
+        await options.saveCheckpoint(after);
+      }
+
+      if (referrals.length < batchSize) {
+        break;
+      }
+    }
+
+    logger.info(`Expired ${total} referrals`);
+    return total;
+  }
+
+  static async queueReferralNotifications(referral, connection) {
+    // Notify referrer
+    await OutboxService.queueNotification(
+      referral.referrer_id,
+      {
+        type: "referral_created",
+        locale: getLocale(referral, "referrer"),
+        completion_condition: referral.completion_condition,
+        referral_id: referral.id,
+      },
+      connection
+    );
+
+    // Notify referee
+    await OutboxService.queueNotification(
+      referral.referee_id,
+      {
+        type: "referral_received",
+        locale: getLocale(referral, "referee"),
+        completion_condition: referral.completion_condition,
+        bonus: referral.referee_bonus,
+        bonus_type: referral.referee_bonus_type,
+        currency: referral.referee_currency,
+        referral_id: referral.id,
+      },
+      connection
+    );
+  }
+
+  // A side whose bonus came to nothing has no reward to announce
+  static async queueCompletionNotifications(referral, rewards, connection) {
+    // Notify referrer about completion
+    const referrerReward = rewards.referrer_reward;
+    await OutboxService.queueNotification(
+      referral.referrer_id,
+      {
+        type: "referral_completed",
+        locale: getLocale(referral, "referrer"),
+        amount: referrerReward ? referrerReward.amount : 0,
+        currency: referrerReward
+          ? referrerReward.currency
+          : referral.referrer_currency,
+        referral_id: referral.id,
+      },
+      connection
+    );
+
+    if (!rewards.referee_reward) {
+      return;
+    }
+
+    // Notify referee about their bonus
+    await OutboxService.queueNotification(
+      referral.referee_id,
+      {
+        type: "referral_bonus_earned",
+        locale: getLocale(referral, "referee"),
+        amount: rewards.referee_reward.amount,
+        currency: rewards.referee_reward.currency,
+        referral_id: referral.id,
+      },
+      connection
+    );
+  }
+}
+
+module.exports = ReferralService;
@@ -0,0 +1,128 @@
+const ExpiryReminder = require("../models/ExpiryReminder");
+const ReminderPreference = require("../models/ReminderPreference");
+const logger = require("../utils/logger");
+const NotificationService = require("./notificationService");
+const reminderConfig = require("../config/reminders");
+
+class ReminderService {
+  // Send the reminders that have come due. Windows are walked smallest first,
+  // so something already inside the 1-day window gets that reminder rather
+  // than a late 7-day one; each (entity, window) is recorded before sending
+  // and is never sent twice.
+  static async sendDueReminders(options = {}) {
+    const batchSize = options.batchSize || reminderConfig.batchSize;
+    let sent = 0;
+
+    for (const windowDays of reminderConfig.windows.referral_expiring || []) {
+      sent += await this.sendBatches(
+        "referral_expiring",
+        windowDays,
+        batchSize,
+        (limit) => ExpiryReminder.findDueReferrals(windowDays, limit),
+        (referral) => this.buildReferralReminder(referral, windowDays)
+      );
+    }
+
+    for (const windowDays of reminderConfig.windows.reward_expiring || []) {
+      sent += await this.sendBatches(
+        "reward_expiring",
+        windowDays,
+        batchSize,
+        (limit) => ExpiryReminder.findDueRewards(windowDays, limit),
+        (reward) => this.buildRewardReminder(reward, windowDays)
+      );
+    }
+
+    logger.info(`Sent ${sent} expiry reminders`);
+    return sent;
+  }
+
+  static async sendBatches(reminderType, windowDays, batchSize, findDue, build) {
+    let sent = 0;
+
+    while (true) {
+      const batch = await findDue(batchSize);
+
+      for (const entity of batch) {
+        const { userId, notification } = build(entity);
+        const claimed = await ExpiryReminder.record(
+          reminderType,
+          entity.id,
+          windowDays,
+          userId
+        );
+        if (!claimed) {
+          continue;
+        }
+
+        await NotificationService.send(userId, notification);
+        sent++;
+      }
+
+      // Recorded reminders drop out of the next query
+      if (batch.length < batchSize) {
+        return sent;
+      }
+    }
+  }
+
+  // Pending referrals remind the referee to complete the qualifying action
+  static buildReferralReminder(referral, windowDays) {
+    const markets = (referral.metadata && referral.metadata.markets) || {};
+
+    return {
+      userId: referral.referee_id,
+      notification: {
+        type: "referral_expiring",
+        locale: markets.referee ? markets.referee.locale : null,
+        completion_condition: referral.completion_condition,
+        bonus: referral.referee_bonus,
+        bonus_type: referral.referee_bonus_type,
+        currency: referral.referee_currency,
+        referral_id: referral.id,
+        expiry_date: referral.expiry_date,
+        window_days: windowDays,
+        deep_link: `${reminderConfig.deepLinkBase}referrals/${referral.id}`,
+      },
+    };
+  }
+
+  static buildRewardReminder(reward, windowDays) {
+    return {
+      userId: reward.user_id,
+      notification: {
+        type: "reward_expiring",
+        locale: reward.metadata && reward.metadata.locale,
+        amount: reward.amount,
+        currency: reward.currency,
+        reward_id: reward.id,
+        expiry_date: reward.expiry_date,
+        window_days: windowDays,
+        deep_link: `${reminderConfig.deepLinkBase}rewards/${reward.id}`,
+      },
+    };
+  }
+
+  // Reminder types with the user's opt-out state; types without a stored
+  // preference are on
+  static async getPreferences(userId) {
+    const stored = await ReminderPreference.findByUser(userId);
+
+    return reminderConfig.types.map((type) => {
+      const preference = stored.find((p) => p.reminder_type === type);
+      return {
+        reminder_type: type,
+        opted_out: preference ? Boolean(preference.opted_out) : false,
+      };
+    });
+  }
+
+  static async updatePreferences(userId, preferences) {
+    for (const [type, optedOut] of Object.entries(preferences)) {
+      await ReminderPreference.set(userId, type, optedOut);
+    }
+    return this.getPreferences(userId);
+  }
+}
+
+module.exports = ReminderService;
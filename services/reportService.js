@@ -0,0 +1,165 @@
+const Referral = require("../models/Referral");
+const Reward = require("../models/Reward");
+const Report = require("../models/Report");
+const logger = require("../utils/logger");
+const externalServices = require("./externalService");
+const { toCsv } = require("../utils/csv");
+const reportConfig = require("../config/reports");
+
+const formats = {
+  csv: { content_type: "text/csv", extension: "csv" },
+  json: { content_type: "application/json", extension: "json" },
+};
+
+class ReportService {
+  // Referral and reward figures for referrals and rewards created in the range
+  static async buildReport(startDate, endDate) {
+    const [stats, topReferrers, rewardStats] = await Promise.all([
+      Referral.getReferralStats(null, startDate, endDate),
+      Referral.getTopReferrersBetween(startDate, endDate, 10),
+      Reward.getRewardStats(startDate, endDate),
+    ]);
+
+    return {
+      period: {
+        start: startDate.toISOString(),
+        end: endDate.toISOString(),
+      },
+      referral_stats: stats,
+      top_referrers: topReferrers,
+      reward_stats: rewardStats,
+      generated_at: new Date().toISOString(),
+    };
+  }
+
+  // One titled table per section, separated by blank lines
+  static renderCsv(report) {
+    const sections = [
+      [
+        "Referral summary",
+        Object.entries(report.referral_stats || {}).map(([metric, value]) => ({
+          metric,
+          value,
+        })),
+        ["metric", "value"],
+      ],
+      [
+        "Rewards by currency",
+        report.reward_stats.by_currency,
+        [
+          "currency",
+          "total_rewards",
+          "total_amount",
+          "credited_rewards",
+          "credited_amount",
+          "referral_rewards",
+          "milestone_rewards",
+          "average_reward_amount",
+        ],
+      ],
+      [
+        "Reward ledger",
+        report.reward_stats.ledger_totals,
+        ["entry_type", "currency", "journal_count", "total_debit", "total_credit"],
+      ],
+      [
+        "Top referrers",
+        report.top_referrers.map((referrer, index) => ({
+          rank: index + 1,
+          ...referrer,
+        })),
+        [
+          "rank",
+          "referrer_id",
+          "referrer_type",
+          "total_referrals",
+          "successful_referrals",
+          "total_bonus_earned",
+        ],
+      ],
+    ];
+
+    return [
+      `Period,${report.period.start},${report.period.end}`,
+      ...sections.map(
+        ([title, rows, columns]) => `${title}\r\n${toCsv(rows, columns)}`
+      ),
+    ].join("\r\n\r\n");
+  }
+
+  // Build, render and store a report, then send it to the delivery target
+  // when one is configured and `deliver` is set. Weekly and ad-hoc reports
+  // share this path.
+  static async generate(options) {
+    const startDate = new Date(options.start_date);
+    const endDate = new Date(options.end_date);
+    const report = await this.buildReport(startDate, endDate);
+
+    let saved = await Report.create({
+      report_type: options.report_type,
+      period_start: startDate,
+      period_end: endDate,
+      json_content: JSON.stringify(report, null, 2),
+      csv_content: this.renderCsv(report),
+      requested_by: options.requested_by,
+    });
+
+    logger.info(
+      `Report generated: ${saved.id} (${saved.report_type}, ${report.period.start} - ${report.period.end})`
+    );
+
+    if (options.deliver && reportConfig.delivery) {
+      saved = await this.deliver(saved, reportConfig.delivery);
+    }
+
+    return saved;
+  }
+
+  static async deliver(report, target) {
+    const format = formats[target.format] ? target.format : "csv";
+    const artifact = {
+      format,
+      filename: this.getFilename(report, format),
+      content_type: formats[format].content_type,
+      subject: `Referral report ${this.getPeriodLabel(report)}`,
+      content: await Report.getContent(report.id, format),
+    };
+    const targetLabel = target.type === "webhook" ? target.url : target.type;
+
+    try {
+      await externalServices.deliverReport(target, report, artifact);
+      logger.info(`Report delivered: ${report.id} to ${targetLabel}`);
+      return Report.markDelivery(report.id, targetLabel);
+    } catch (error) {
+      logger.error(`Report delivery failed: ${report.id}`, error.message);
+      return Report.markDelivery(report.id, targetLabel, error.message);
+    }
+  }
+
+  // The stored artifact for a download, or null when the report is unknown
+  static async getArtifact(reportId, format) {
+    const report = await Report.findById(reportId);
+    if (!report) {
+      return null;
+    }
+
+    return {
+      filename: this.getFilename(report, format),
+      content_type: formats[format].content_type,
+      content: await Report.getContent(reportId, format),
+    };
+  }
+
+  static getPeriodLabel(report) {
+    const day = (date) => new Date(date).toISOString().slice(0, 10);
+    return `${day(report.period_start)}_${day(report.period_end)}`;
+  }
+
+  static getFilename(report, format) {
+    return `referral-report-${report.report_type}-${this.getPeriodLabel(
+      report
+    )}.${formats[format].extension}`;
+  }
+}
+
+module.exports = ReportService;
@@ -0,0 +1,89 @@
+const RewardProgram = require("../models/RewardProgram");
+const { holdDays } = require("../config/rewardHolds");
+const logger = require("../utils/logger");
+
+// Used when no reward program is configured for a referrer/referee pair, so
+// a fresh install behaves as before programs existed
+const getFallbackBonus = (userType) => {
+  switch (userType) {
+    case "customer":
+      return parseFloat(process.env.CUSTOMER_REFERRAL_BONUS) || 10.0;
+    case "driver":
+      return parseFloat(process.env.DRIVER_REFERRAL_BONUS) || 25.0;
+    case "restaurant":
+      return parseFloat(process.env.RESTAURANT_REFERRAL_BONUS) || 50.0;
+    default:
+      return 10.0;
+  }
+};
+
+const getFallbackHoldDays = (userType) =>
+  holdDays[userType] !== undefined ? holdDays[userType] : 0;
+
+const getFallbackMilestones = () => [
+  { referrals: 5, amount: parseFloat(process.env.MILESTONE_BONUS_5) || 15.0 },
+  { referrals: 10, amount: parseFloat(process.env.MILESTONE_BONUS_10) || 30.0 },
+  { referrals: 25, amount: parseFloat(process.env.MILESTONE_BONUS_25) || 75.0 },
+  { referrals: 50, amount: parseFloat(process.env.MILESTONE_BONUS_50) || 150.0 },
+  { referrals: 100, amount: parseFloat(process.env.MILESTONE_BONUS_100) || 300.0 },
+];
+
+class RewardProgramService {
+  // Resolve the bonus terms in force for a referrer/referee pair at `at`
+  static async resolve(referrerType, refereeType = null, at = new Date()) {
+    let program = null;
+    try {
+      program = await RewardProgram.findEffective(referrerType, refereeType, at);
+    } catch (error) {
+      logger.error("Resolve reward program error:", error);
+    }
+
+    if (!program) {
+      return {
+        program_id: null,
+        referrer_bonus: getFallbackBonus(referrerType),
+        referrer_bonus_type: "credit",
+        referrer_max_bonus_amount: null,
+        referrer_min_bonus_amount: null,
+        referee_bonus: getFallbackBonus(refereeType),
+        referee_bonus_type: "credit",
+        referee_max_bonus_amount: null,
+        referee_min_bonus_amount: null,
+        referrer_hold_days: getFallbackHoldDays(referrerType),
+        referee_hold_days: getFallbackHoldDays(refereeType),
+        milestones: getFallbackMilestones(),
+      };
+    }
+
+    return {
+      program_id: program.id,
+      referrer_bonus: parseFloat(program.referrer_bonus),
+      referrer_bonus_type: program.referrer_bonus_type,
+      referrer_max_bonus_amount: program.referrer_max_bonus_amount,
+      referrer_min_bonus_amount: program.referrer_min_bonus_amount,
+      referee_bonus: parseFloat(program.referee_bonus),
+      referee_bonus_type: program.referee_bonus_type,
+      referee_max_bonus_amount: program.referee_max_bonus_amount,
+      referee_min_bonus_amount: program.referee_min_bonus_amount,
+      // A program-level hold applies to both sides
+      referrer_hold_days:
+        program.hold_days !== null && program.hold_days !== undefined
+          ? program.hold_days
+          : getFallbackHoldDays(referrerType),
+      referee_hold_days:
+        program.hold_days !== null && program.hold_days !== undefined
+          ? program.hold_days
+          : getFallbackHoldDays(refereeType),
+      milestones: [...(program.milestones || [])].sort(
+        (a, b) => a.referrals - b.referrals
+      ),
+    };
+  }
+
+  static async getMilestoneLadder(referrerType, refereeType = null, at = new Date()) {
+    const terms = await this.resolve(referrerType, refereeType, at);
+    return { program_id: terms.program_id, milestones: terms.milestones };
+  }
+}
+
+module.exports = RewardProgramService;
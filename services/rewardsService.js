@@ -2,20 +2,76 @@ const Reward = require('../models/Reward');
 const Referral = require('../models/Referral');
 const Campaign = require('../models/Campaign');
 const logger = require('../utils/logger');
-const externalServices = require('./externalServices');
+const { withTransaction } = require('../utils/transaction');
+const externalServices = require('./externalService');
+const OutboxService = require('./outboxService');
+const NotificationService = require('./notificationService');
+const RewardProgramService = require('./rewardProgramService');
+const MarketService = require('./marketService');
+const UserProfileService = require('./userProfileService');
+const { amountForCurrency, convertAmount, baseCurrency } = require('../utils/currency');
+const { holdDays } = require('../config/rewardHolds');
+
+// Notification payload for a reward; the text comes from the type's template
+const rewardNotification = (type, reward, fields = {}) => ({
+  type,
+  locale: reward.metadata && reward.metadata.locale,
+  amount: reward.amount,
+  currency: reward.currency,
+  reward_id: reward.id,
+  ...fields
+});
 
 class RewardService {
-  // Process referral rewards when referral is completed
-  static async processReferralRewards(referral) {
+  // Process referral rewards when referral is completed. Rewards are written
+  // on the caller's transaction when one is given; credits and notifications
+  // are queued in the outbox so they only go out once the rewards are committed.
+  // `completionData` is the trigger payload; its `amount` is the base for
+  // percentage bonuses, converted from the order's currency into each party's.
+  static async processReferralRewards(referral, connection = null, completionData = {}) {
+    if (!connection) {
+      return withTransaction((trx) =>
+        this.processReferralRewards(referral, trx, completionData)
+      );
+    }
+
     try {
       logger.info(`Processing referral rewards for referral: ${referral.id}`);
 
+      const markets = (referral.metadata && referral.metadata.markets) || {};
+      const referrerLocale = markets.referrer ? markets.referrer.locale : null;
+      const refereeLocale = markets.referee ? markets.referee.locale : null;
+      const referrerHeldUntil = this.getHoldUntil(referral, 'referrer');
+      const refereeHeldUntil = this.getHoldUntil(referral, 'referee');
+
+      // The qualifying order is the referee's, in their market's currency
+      // unless the trigger says otherwise
+      const order = {
+        amount: completionData ? completionData.amount : null,
+        currency: (completionData && completionData.currency) ||
+          (markets.referee && markets.referee.currency) ||
+          referral.referee_currency
+      };
+      const referrerBonus = this.computePartyBonus(referral, 'referrer', order);
+      const refereeBonus = this.computePartyBonus(referral, 'referee', order);
+
+      // A bonus that comes to nothing (e.g. a percentage bonus without an
+      // order amount or floor) earns no reward: the ledger has nothing to post
+      for (const [party, bonus] of [['referrer', referrerBonus], ['referee', refereeBonus]]) {
+        if (!(bonus.amount > 0)) {
+          logger.warn(`No ${party} reward for referral ${referral.id}: bonus computed to ${bonus.amount}`);
+        }
+      }
+
       // Create reward for referrer (person who referred)
-      const referrerReward = await Reward.create({
+      const referrerReward = referrerBonus.amount > 0 ? await Reward.create({
         user_id: referral.referrer_id,
         user_type: referral.referrer_type,
         reward_type: 'referral_bonus',
-        amount: referral.referrer_bonus,
+        amount: referrerBonus.amount,
+        currency: referral.referrer_currency,
+        held_until: referrerHeldUntil,
+        expiry_date: this.getExpiryDate(referrerHeldUntil),
         source_id: referral.id,
         source_type: 'referral',
         description: `Referral bonus for successfully referring a ${referral.referee_type}`,
@@ -23,16 +79,21 @@ class RewardService {
           referral_id: referral.id,
           referee_id: referral.referee_id,
           referee_type: referral.referee_type,
-          completion_condition: referral.completion_condition
+          completion_condition: referral.completion_condition,
+          bonus_calculation: referrerBonus.calculation,
+          locale: referrerLocale
         }
-      });
+      }, connection) : null;
 
       // Create reward for referee (person who was referred)
-      const refereeReward = await Reward.create({
+      const refereeReward = refereeBonus.amount > 0 ? await Reward.create({
         user_id: referral.referee_id,
         user_type: referral.referee_type,
         reward_type: 'referral_bonus',
-        amount: referral.referee_bonus,
+        amount: refereeBonus.amount,
+        currency: referral.referee_currency,
+        held_until: refereeHeldUntil,
+        expiry_date: this.getExpiryDate(refereeHeldUntil),
         source_id: referral.id,
         source_type: 'referral',
         description: `Welcome bonus for being referred by a ${referral.referrer_type}`,
@@ -40,23 +101,32 @@ class RewardService {
           referral_id: referral.id,
           referrer_id: referral.referrer_id,
           referrer_type: referral.referrer_type,
-          completion_condition: referral.completion_condition
+          completion_condition: referral.completion_condition,
+          bonus_calculation: refereeBonus.calculation,
+          locale: refereeLocale,
+          auto_credit: true
         }
-      });
+      }, connection) : null;
 
-      // Auto-credit referee reward (welcome bonus)
-      await this.creditReward(refereeReward.id);
+      // Auto-credit referee reward (welcome bonus); a held one is credited
+      // when the hold is released
+      if (refereeReward && refereeReward.status === 'pending') {
+        await OutboxService.queueRewardCredit(refereeReward.id, connection);
+      }
 
       // Check if referrer achieved any milestones
       const milestoneRewards = await this.checkMilestoneAchievements(
         referral.referrer_id, 
-        referral.referrer_type
+        referral.referrer_type,
+        connection,
+        referral.referee_type,
+        { currency: referral.referrer_currency, locale: referrerLocale }
       );
 
       // Send notifications
-      await this.sendRewardNotifications(referrerReward, refereeReward);
+      await this.sendRewardNotifications(referrerReward, refereeReward, connection);
 
-      logger.info(`Referral rewards processed: referrer ${referrerReward.id}, referee ${refereeReward.id}`);
+      logger.info(`Referral rewards processed: referrer ${referrerReward ? referrerReward.id : 'none'}, referee ${refereeReward ? refereeReward.id : 'none'}`);
 
       return {
         referrer_reward: referrerReward,
@@ -70,32 +140,226 @@ class RewardService {
     }
   }
 
-  // Process milestone rewards when user reaches referral milestones
-  static async processMilestoneReward(userId, userType, milestone, metadata = {}) {
+  // End of the hold window for one side of a referral, counted from the
+  // qualifying order. Uses the days captured from the reward program when
+  // the referral was created, else the configured default for the user type.
+  // Returns null when there is no hold.
+  static getHoldUntil(referral, party) {
+    const captured = referral.metadata && referral.metadata.hold_days;
+    const userType = party === 'referrer' ? referral.referrer_type : referral.referee_type;
+    const days = captured && captured[party] !== undefined && captured[party] !== null
+      ? captured[party]
+      : holdDays[userType] || 0;
+
+    if (!days) {
+      return null;
+    }
+
+    const from = referral.completion_date ? new Date(referral.completion_date) : new Date();
+    return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  // Rewards expire 30 days after they become claimable
+  static getExpiryDate(heldUntil = null) {
+    const from = heldUntil ? heldUntil.getTime() : Date.now();
+    return new Date(from + 30 * 24 * 60 * 60 * 1000);
+  }
+
+  // Release held rewards whose window has passed. A reward stays held while
+  // its referral is under review or has an open fraud review (the query
+  // skips those); one whose referral no longer stands is cancelled instead.
+  // Auto-credit rewards are queued for crediting on release.
+  static async releaseHeldRewards(limit = 500) {
+    const rewards = await Reward.getReleasableRewards(limit);
+    let released = 0;
+    let cancelled = 0;
+
+    for (const { referral_status: referralStatus, ...reward } of rewards) {
+      try {
+        if (
+          reward.source_type === 'referral' &&
+          reward.source_id &&
+          referralStatus !== 'completed'
+        ) {
+          const reason = referralStatus
+            ? `referral ${referralStatus}`
+            : 'referral no longer exists';
+          const revoked = await withTransaction((connection) =>
+            this.revokeReward(reward, reason, connection)
+          );
+          if (revoked) {
+            cancelled++;
+          }
+          continue;
+        }
+
+        const result = await withTransaction(async (connection) => {
+          const pending = await Reward.updateStatus(reward.id, 'pending', connection, {
+            expectedStatus: 'held'
+          });
+          if (!pending) {
+            return null;
+          }
+
+          if (reward.metadata && reward.metadata.auto_credit) {
+            await OutboxService.queueRewardCredit(reward.id, connection);
+          } else {
+            await OutboxService.queueNotification(
+              reward.user_id,
+              rewardNotification('reward_released', reward),
+              connection
+            );
+          }
+          return pending;
+        });
+
+        if (result) {
+          released++;
+        }
+      } catch (error) {
+        logger.error(`Release held reward error for ${reward.id}:`, error);
+      }
+    }
+
+    logger.info(`Released ${released} and cancelled ${cancelled} of ${rewards.length} held rewards`);
+    return released;
+  }
+
+  // A party's bonus on a referral. The bonus, cap and floor are stored in the
+  // party's currency; a percentage base that cannot be converted into it
+  // earns nothing rather than applying the rate to a foreign amount.
+  static computePartyBonus(referral, party, order) {
+    const bonusType = referral[`${party}_bonus_type`];
+    const currency = referral[`${party}_currency`];
+    let orderAmount = null;
+
+    if (bonusType === 'percentage' && order.amount !== null && order.amount !== undefined) {
+      orderAmount = convertAmount(order.amount, order.currency, currency);
+      if (orderAmount === null) {
+        logger.warn(`No exchange rate from ${order.currency} to ${currency} for the ${party} bonus on referral ${referral.id}`);
+        return {
+          amount: 0,
+          calculation: {
+            bonus_type: 'percentage',
+            rate: parseFloat(referral[`${party}_bonus`]) || 0,
+            order_amount: order.amount,
+            order_currency: order.currency,
+            unconverted: true
+          }
+        };
+      }
+    }
+
+    const bonus = this.computeBonusAmount(
+      referral[`${party}_bonus`],
+      bonusType,
+      orderAmount,
+      referral[`${party}_max_bonus_amount`],
+      referral[`${party}_min_bonus_amount`]
+    );
+    if (orderAmount !== null && order.currency !== currency) {
+      bonus.calculation.order_currency = order.currency;
+      bonus.calculation.converted_order_amount = orderAmount;
+    }
+    return bonus;
+  }
+
+  // Turn a configured bonus into a reward amount. Fixed bonuses (cash,
+  // credit) are paid as-is; percentage bonuses are a rate applied to the
+  // qualifying order amount, then bounded by the cap and floor. The inputs
+  // are returned alongside so they can be stored on the reward for audit.
+  static computeBonusAmount(bonus, bonusType, orderAmount = null, maxAmount = null, minAmount = null) {
+    const value = parseFloat(bonus) || 0;
+
+    if (bonusType !== 'percentage') {
+      return {
+        amount: value,
+        calculation: { bonus_type: bonusType || 'credit', amount: value }
+      };
+    }
+
+    const base = parseFloat(orderAmount);
+    const cap = maxAmount !== null && maxAmount !== undefined ? parseFloat(maxAmount) : null;
+    const floor = minAmount !== null && minAmount !== undefined ? parseFloat(minAmount) : null;
+
+    if (isNaN(base)) {
+      logger.warn(`Percentage bonus without an order amount; paying floor ${floor || 0}`);
+    }
+
+    const computed = isNaN(base) ? 0 : Math.round(base * value) / 100;
+    let amount = computed;
+    let limitApplied = null;
+
+    if (cap !== null && amount > cap) {
+      amount = cap;
+      limitApplied = 'cap';
+    }
+    if (floor !== null && amount < floor) {
+      amount = floor;
+      limitApplied = 'floor';
+    }
+
+    return {
+      amount,
+      calculation: {
+        bonus_type: 'percentage',
+        rate: value,
+        base_amount: isNaN(base) ? null : base,
+        computed_amount: computed,
+        max_bonus_amount: cap,
+        min_bonus_amount: floor,
+        limit_applied: limitApplied
+      }
+    };
+  }
+
+  // Process milestone rewards when user reaches referral milestones. The
+  // reward is paid in `metadata.currency` when given, otherwise in the
+  // currency of the user's market.
+  static async processMilestoneReward(userId, userType, milestone, metadata = {}, connection = null) {
+    if (!connection) {
+      return withTransaction((trx) =>
+        this.processMilestoneReward(userId, userType, milestone, metadata, trx)
+      );
+    }
+
     try {
       logger.info(`Processing milestone reward: ${milestone} for user: ${userId}`);
 
-      // Define milestone amounts
-      const milestoneAmounts = {
-        5: parseFloat(process.env.MILESTONE_BONUS_5) || 15.00,
-        10: parseFloat(process.env.MILESTONE_BONUS_10) || 30.00,
-        25: parseFloat(process.env.MILESTONE_BONUS_25) || 75.00,
-        50: parseFloat(process.env.MILESTONE_BONUS_50) || 150.00,
-        100: parseFloat(process.env.MILESTONE_BONUS_100) || 300.00
-      };
+      // Milestone amounts come from the reward program active right now
+      const ladder = await RewardProgramService.getMilestoneLadder(
+        userType,
+        metadata.referee_type || null
+      );
+      const { currency, locale, ...rewardMetadata } = metadata;
+      let market = currency
+        ? { currency, locale: locale || null }
+        : await MarketService.resolveUserMarket(userId, userType);
+
+      const step = ladder.milestones.find(m => m.referrals === milestone);
+      if (!step) {
+        logger.warn(`Unknown milestone: ${milestone}`);
+        return null;
+      }
 
-      const amount = milestoneAmounts[milestone];
+      // Paid in the base currency when the market's has no amount or rate
+      let amount = amountForCurrency(step.amount, step.amounts, market.currency);
+      if (amount === null) {
+        logger.warn(`No ${market.currency} amount for milestone ${milestone}; paying in ${baseCurrency}`);
+        market = { ...market, currency: baseCurrency };
+        amount = amountForCurrency(step.amount, step.amounts, baseCurrency);
+      }
       if (!amount) {
         logger.warn(`Unknown milestone: ${milestone}`);
         return null;
       }
 
       // Check if milestone reward already exists
-      const existingRewards = await Reward.findByUser(userId, null, 1000, 0);
+      const existingRewards = await Reward.findByUser(userId, null, 1000, 0, connection);
       const hasMilestoneReward = existingRewards.some(r => 
         r.reward_type === 'milestone_bonus' && 
         r.metadata && 
-        JSON.parse(r.metadata || '{}').milestone === milestone
+        r.metadata.milestone === milestone
       );
 
       if (hasMilestoneReward) {
@@ -109,26 +373,27 @@ class RewardService {
         user_type: userType,
         reward_type: 'milestone_bonus',
         amount: amount,
+        currency: market.currency,
         source_type: 'milestone',
         description: `Milestone bonus for reaching ${milestone} successful referrals! 🎉`,
         metadata: {
           milestone: milestone,
           achievement_date: new Date().toISOString(),
-          ...metadata
+          reward_program_id: ladder.program_id,
+          locale: market.locale,
+          ...rewardMetadata
         }
-      });
+      }, connection);
 
       // Auto-credit milestone rewards immediately
-      await this.creditReward(reward.id);
+      await OutboxService.queueRewardCredit(reward.id, connection);
 
       // Send celebration notification
-      await externalServices.sendNotification(userId, {
-        type: 'milestone_achieved',
-        message: `Congratulations! You've reached ${milestone} referrals and earned $${amount}!`,
-        milestone: milestone,
-        amount: amount,
-        emoji: '🎉🏆'
-      });
+      await OutboxService.queueNotification(
+        userId,
+        rewardNotification('milestone_achieved', reward, { milestone }),
+        connection
+      );
 
       logger.info(`Milestone reward created and credited: ${reward.id} for milestone ${milestone}`);
 
@@ -140,56 +405,179 @@ class RewardService {
     }
   }
 
-  // Credit reward to user account
+  // The single path that pays out a reward. The reward id is the payment
+  // idempotency key, so a retry after a timeout or crash cannot pay twice, and
+  // the reward is only marked credited once the payment service accepted it.
+  // Returns { status, reward, transaction_id, reason } with status one of
+  // 'credited', 'rejected', 'not_pending' or 'not_found'; transient payment
+  // failures throw.
   static async creditReward(rewardId) {
     try {
       const reward = await Reward.findById(rewardId);
       if (!reward) {
         logger.error(`Reward not found: ${rewardId}`);
-        return null;
+        return { status: 'not_found', reward: null };
       }
 
       if (reward.status !== 'pending') {
         logger.info(`Reward ${rewardId} is not pending (status: ${reward.status})`);
-        return reward;
+        return { status: 'not_pending', reward };
       }
 
-      logger.info(`Crediting reward: ${rewardId} amount: $${reward.amount} to user: ${reward.user_id}`);
+      logger.info(`Crediting reward: ${rewardId} amount: ${reward.amount} ${reward.currency} to user: ${reward.user_id}`);
 
-      // Credit through payment service
       const creditResult = await externalServices.creditUserAccount(reward.user_id, reward.amount, {
         type: 'referral_reward',
         source_id: reward.id,
+        idempotency_key: reward.id,
+        currency: reward.currency,
         description: reward.description,
         reward_type: reward.reward_type
       });
 
-      if (creditResult.success) {
-        // Update reward status to credited
-        const creditedReward = await Reward.creditReward(rewardId);
-
-        // Send success notification
-        await externalServices.sendNotification(reward.user_id, {
-          type: 'reward_credited',
-          message: `$${reward.amount} has been credited to your account!`,
-          amount: reward.amount,
-          reward_type: reward.reward_type,
-          description: reward.description
-        });
+      if (creditResult.status === 'rejected') {
+        logger.error(`Payment service rejected credit for reward: ${rewardId}`, creditResult.reason);
+        return { status: 'rejected', reward, reason: creditResult.reason };
+      }
 
-        logger.info(`Reward credited successfully: ${rewardId}`);
-        return creditedReward;
-      } else {
-        logger.error(`Failed to credit reward: ${rewardId}`, creditResult.error);
-        return null;
+      const creditedReward = await Reward.creditReward(rewardId, creditResult.transaction_id);
+      if (!creditedReward) {
+        // Someone else moved the reward while the credit was in flight: a
+        // concurrent claim (same idempotency key, so paid once) or a
+        // cancellation, which leaves a payment for reconciliation to flag
+        const current = await Reward.findById(rewardId);
+        if (current.status === 'credited') {
+          return { status: 'credited', reward: current, transaction_id: current.payment_transaction_id };
+        }
+
+        logger.error(`Reward ${rewardId} was paid (transaction ${creditResult.transaction_id}) but is now ${current.status}`);
+        return { status: 'not_pending', reward: current };
       }
 
+      await NotificationService.send(
+        reward.user_id,
+        rewardNotification('reward_credited', reward, { reward_type: reward.reward_type })
+      );
+
+      logger.info(`Reward credited successfully: ${rewardId} (transaction ${creditResult.transaction_id})`);
+      return { status: 'credited', reward: creditedReward, transaction_id: creditResult.transaction_id };
+
     } catch (error) {
       logger.error('Credit reward error:', error);
       throw error;
     }
   }
 
+  // Cancel a reward that no longer qualifies. A pending reward is simply
+  // reversed; one already credited is clawed back and the payment-service
+  // debit is queued in the outbox. Returns null if there was nothing to undo.
+  static async revokeReward(reward, reason, connection) {
+    if (!['held', 'pending', 'credited'].includes(reward.status)) {
+      return null;
+    }
+
+    // Only undo the state we saw: a reward credited in the meantime needs a
+    // clawback, not a reversal
+    const revoked = await Reward.updateStatus(reward.id, 'cancelled', connection, {
+      expectedStatus: reward.status,
+      description: reason,
+      metadata: { previous_status: reward.status }
+    });
+    if (!revoked) {
+      return null;
+    }
+
+    if (reward.status === 'credited') {
+      await OutboxService.queueRewardDebit(reward.id, connection);
+    }
+
+    await OutboxService.queueNotification(
+      reward.user_id,
+      rewardNotification('reward_reversed', reward, { reason }),
+      connection
+    );
+
+    logger.info(`Reward revoked: ${reward.id} (was ${reward.status})`);
+    return { reward: revoked, clawed_back: reward.status === 'credited' };
+  }
+
+  // Undo the rewards of a reversed referral, then drop any milestone bonus
+  // the referrer no longer qualifies for
+  static async reverseReferralRewards(referral, reason, connection) {
+    const rewards = await Reward.findBySource(referral.id, 'referral', connection);
+    const revoked = [];
+
+    for (const reward of rewards) {
+      const result = await this.revokeReward(reward, reason, connection);
+      if (result) {
+        revoked.push(result);
+      }
+    }
+
+    const milestones = await this.reevaluateMilestones(
+      referral.referrer_id,
+      referral.referrer_type,
+      connection
+    );
+
+    return { rewards: revoked, milestone_rewards: milestones };
+  }
+
+  // Revoke milestone bonuses above the user's current completed-referral count
+  static async reevaluateMilestones(userId, userType, connection) {
+    const stats = await Referral.getReferralStats(userId, null, null, connection);
+    const completedReferrals = stats.completed_referrals || 0;
+
+    const rewards = await Reward.findByUser(userId, null, 1000, 0, connection);
+    const revoked = [];
+
+    for (const reward of rewards) {
+      if (
+        reward.reward_type !== 'milestone_bonus' ||
+        !reward.metadata ||
+        reward.metadata.milestone <= completedReferrals
+      ) {
+        continue;
+      }
+
+      const result = await this.revokeReward(
+        reward,
+        `milestone of ${reward.metadata.milestone} referrals no longer reached`,
+        connection
+      );
+      if (result) {
+        revoked.push(result);
+      }
+    }
+
+    if (revoked.length > 0) {
+      logger.info(`Revoked ${revoked.length} milestone rewards for user: ${userId}`);
+    }
+    return revoked;
+  }
+
+  // Debit a clawed-back reward from the user's account (outbox worker).
+  // Throws on failure so the outbox retries.
+  static async debitReward(rewardId) {
+    const reward = await Reward.findById(rewardId);
+    if (!reward) {
+      throw new Error(`Reward not found: ${rewardId}`);
+    }
+
+    logger.info(`Debiting clawed-back reward: ${rewardId} amount: ${reward.amount} ${reward.currency} from user: ${reward.user_id}`);
+
+    await externalServices.debitUserAccount(reward.user_id, reward.amount, {
+      type: 'referral_reward_clawback',
+      source_id: reward.id,
+      idempotency_key: `clawback:${reward.id}`,
+      currency: reward.currency,
+      description: `Clawback: ${reward.description}`,
+      reward_type: reward.reward_type
+    });
+
+    return reward;
+  }
+
   // Process campaign rewards
   static async processCampaignReward(userId, userType, campaignId, customAmount = null, customDescription = null) {
     try {
@@ -217,7 +605,14 @@ class RewardService {
         return null;
       }
 
-      const amount = customAmount || campaign.bonus_amount;
+      let market = await MarketService.resolveUserMarket(userId, userType);
+      let amount = customAmount ||
+        amountForCurrency(campaign.bonus_amount, campaign.bonus_amounts, market.currency);
+      if (amount === null) {
+        logger.warn(`No ${market.currency} amount for campaign ${campaignId}; paying in ${baseCurrency}`);
+        market = { ...market, currency: baseCurrency };
+        amount = amountForCurrency(campaign.bonus_amount, campaign.bonus_amounts, baseCurrency);
+      }
       const description = customDescription || `Campaign bonus: ${campaign.name}`;
 
       const reward = await Reward.create({
@@ -225,13 +620,15 @@ class RewardService {
         user_type: userType,
         reward_type: 'campaign_bonus',
         amount: amount,
+        currency: market.currency,
         source_id: campaignId,
         source_type: 'campaign',
         description: description,
         metadata: {
           campaign_id: campaignId,
           campaign_name: campaign.name,
-          campaign_type: campaign.campaign_type
+          campaign_type: campaign.campaign_type,
+          locale: market.locale
         }
       });
 
@@ -248,24 +645,46 @@ class RewardService {
     }
   }
 
-  // Check and process milestone achievements
-  static async checkMilestoneAchievements(userId, userType) {
+  // Check and process milestone achievements. `market` ({ currency, locale })
+  // sets the payout currency; without it the user's market is resolved.
+  static async checkMilestoneAchievements(userId, userType, connection = null, refereeType = null, market = null) {
+    // A standalone check logs failures and reports no milestones; on the
+    // caller's transaction a failure rolls back the completion with it
+    if (!connection) {
+      try {
+        return await withTransaction((trx) =>
+          this.checkMilestoneAchievements(userId, userType, trx, refereeType, market)
+        );
+      } catch (error) {
+        return [];
+      }
+    }
+
     try {
       logger.info(`Checking milestone achievements for user: ${userId}`);
 
       // Get user's successful referral count
-      const stats = await Referral.getReferralStats(userId);
+      const stats = await Referral.getReferralStats(userId, null, null, connection);
       const completedReferrals = stats.completed_referrals || 0;
 
       logger.info(`User ${userId} has ${completedReferrals} completed referrals`);
 
-      // Define milestone thresholds
-      const milestones = [5, 10, 25, 50, 100];
+      // Milestone thresholds come from the reward program active right now
+      const ladder = await RewardProgramService.getMilestoneLadder(userType, refereeType);
       const achievedMilestones = [];
 
-      for (const milestone of milestones) {
+      for (const { referrals: milestone } of ladder.milestones) {
         if (completedReferrals >= milestone) {
-          const reward = await this.processMilestoneReward(userId, userType, milestone);
+          const reward = await this.processMilestoneReward(
+            userId,
+            userType,
+            milestone,
+            {
+              ...(refereeType ? { referee_type: refereeType } : {}),
+              ...(market && market.currency ? market : {})
+            },
+            connection
+          );
           if (reward) {
             achievedMilestones.push(reward);
           }
@@ -280,7 +699,7 @@ class RewardService {
 
     } catch (error) {
       logger.error('Check milestone achievements error:', error);
-      return [];
+      throw error;
     }
   }
 
@@ -296,18 +715,28 @@ class RewardService {
         return null;
       }
 
-      const bonusAmount = parseFloat(process.env.FIRST_ORDER_BONUS) || 5.00;
+      // FIRST_ORDER_BONUS is in the base currency
+      const baseBonus = parseFloat(process.env.FIRST_ORDER_BONUS) || 5.00;
+      let market = await MarketService.resolveUserMarket(userId, userType);
+      let bonusAmount = convertAmount(baseBonus, baseCurrency, market.currency);
+      if (bonusAmount === null) {
+        logger.warn(`No ${market.currency} exchange rate for the first-time bonus; paying in ${baseCurrency}`);
+        market = { ...market, currency: baseCurrency };
+        bonusAmount = baseBonus;
+      }
 
       const reward = await Reward.create({
         user_id: userId,
         user_type: userType,
         reward_type: 'loyalty_bonus',
         amount: bonusAmount,
+        currency: market.currency,
         source_type: 'manual',
         description: `Welcome bonus for joining our platform! 🎉`,
         metadata: {
           trigger_type: triggerType,
-          first_time_bonus: true
+          first_time_bonus: true,
+          locale: market.locale
         }
       });
 
@@ -399,7 +828,7 @@ class RewardService {
   }
 
   // Get user reward analytics
-  static async getUserRewardAnalytics(userId) {
+  static async getUserRewardAnalytics(userId, userType = null) {
     try {
       const summary = await Reward.getUserRewardSummary(userId);
       const recentRewards = await Reward.findByUser(userId, null, 10, 0);
@@ -407,13 +836,19 @@ class RewardService {
 
       // Calculate potential earnings from pending referrals
       const pendingReferrals = await Referral.findByReferrer(userId, 100, 0);
+      // Percentage bonuses depend on an order that has not happened yet
       const pendingEarnings = pendingReferrals
-        .filter(r => r.status === 'pending')
-        .reduce((sum, r) => sum + parseFloat(r.referrer_bonus), 0);
+        .filter(r => r.status === 'pending' && r.referrer_bonus_type !== 'percentage')
+        .reduce((totals, r) => {
+          const currency = r.referrer_currency || 'USD';
+          totals[currency] = (totals[currency] || 0) + parseFloat(r.referrer_bonus);
+          return totals;
+        }, {});
 
       // Check next milestone
       const completedReferrals = referralStats.completed_referrals || 0;
-      const milestones = [5, 10, 25, 50, 100];
+      const ladder = await RewardProgramService.getMilestoneLadder(userType);
+      const milestones = ladder.milestones.map(m => m.referrals);
       const nextMilestone = milestones.find(m => m > completedReferrals);
       const progressToNext = nextMilestone ? 
         ((completedReferrals / nextMilestone) * 100).toFixed(1) : 100;
@@ -426,9 +861,13 @@ class RewardService {
         next_milestone: nextMilestone,
         progress_to_next_milestone: progressToNext,
         analytics: {
-          total_lifetime_earnings: summary.total_credited,
-          average_reward_amount: summary.credited_count > 0 ? 
-            (summary.total_credited / summary.credited_count).toFixed(2) : 0,
+          // Earnings are per currency; amounts in different currencies are never summed
+          lifetime_earnings: summary.by_currency.map(row => ({
+            currency: row.currency,
+            total_credited: row.total_credited,
+            average_reward_amount: row.credited_count > 0 ?
+              (row.total_credited / row.credited_count).toFixed(2) : 0
+          })),
           referral_conversion_rate: referralStats.total_referrals > 0 ? 
             ((referralStats.completed_referrals / referralStats.total_referrals) * 100).toFixed(1) : 0
         }
@@ -440,27 +879,55 @@ class RewardService {
     }
   }
 
-  // Expire old rewards
-  static async expireOldRewards() {
+  // Expire pending rewards past their expiry date in chunked set-based
+  // updates. Each chunk commits the status change, its ledger journals, one
+  // `reward.expired` event and one notification per reward together. Pass
+  // the checkpoint of an interrupted run to resume after it; `saveCheckpoint`
+  // is called after every chunk.
+  static async expireOldRewards(options = {}) {
+    const batchSize = options.batchSize || parseInt(process.env.EXPIRY_BATCH_SIZE) || 1000;
+    let after = options.checkpoint || null;
+    let total = 0;
+
     try {
-      const expiredRewards = await Reward.getExpiredRewards();
-      
-      for (const reward of expiredRewards) {
-        await Reward.updateStatus(reward.id, 'expired');
-        
-        // Send expiration notification
-        await externalServices.sendNotification(reward.user_id, {
-          type: 'reward_expired',
-          message: `Your $${reward.amount} reward has expired`,
-          amount: reward.amount,
-          expired_date: new Date().toISOString()
+      for (;;) {
+        const rewards = await withTransaction(async (connection) => {
+          const batch = await Reward.findExpiredBatch(after, batchSize, connection);
+          if (batch.length === 0) {
+            return batch;
+          }
+
+          await Reward.expireBatch(batch, connection);
+          const expiredAt = new Date().toISOString();
+
+          await OutboxService.queueNotifications(batch.map(reward => ({
+            user_id: reward.user_id,
+            notification: rewardNotification('reward_expired', reward, {
+              expired_date: expiredAt
+            })
+          })), connection);
+
+          return batch;
         });
-        
-        logger.info(`Reward expired: ${reward.id}`);
+
+        if (rewards.length === 0) {
+          break;
+        }
+
+        total += rewards.length;
+        const last = rewards[rewards.length - 1];
+        after = { expiry_date: last.expiry_date, id: last.id };
+        if (options.saveCheckpoint) {
+          await options.saveCheckpoint(after);
+        }
+
+        if (rewards.length < batchSize) {
+          break;
+        }
       }
 
-      logger.info(`Expired ${expiredRewards.length} rewards`);
-      return expiredRewards.length;
+      logger.info(`Expired ${total} rewards`);
+      return total;
 
     } catch (error) {
       logger.error('Expire old rewards error:', error);
@@ -468,29 +935,37 @@ class RewardService {
     }
   }
 
+
   // Send reward notifications
-  static async sendRewardNotifications(referrerReward, refereeReward) {
+  static async sendRewardNotifications(referrerReward, refereeReward, connection) {
     try {
       // Notify referrer
-      await externalServices.sendNotification(referrerReward.user_id, {
-        type: 'referral_reward_earned',
-        message: `Great news! You've earned $${referrerReward.amount} for your successful referral! 🎉`,
-        amount: referrerReward.amount,
-        reward_id: referrerReward.id,
-        description: referrerReward.description
-      });
+      if (referrerReward) {
+        await OutboxService.queueNotification(
+          referrerReward.user_id,
+          rewardNotification('referral_reward_earned', referrerReward, {
+            held_until: referrerReward.held_until || null
+          }),
+          connection
+        );
+      }
 
       // Notify referee
-      await externalServices.sendNotification(refereeReward.user_id, {
-        type: 'welcome_bonus_credited',
-        message: `Welcome! Your $${refereeReward.amount} welcome bonus has been credited to your account! 🎁`,
-        amount: refereeReward.amount,
-        reward_id: refereeReward.id,
-        description: refereeReward.description
-      });
+      if (refereeReward) {
+        await OutboxService.queueNotification(
+          refereeReward.user_id,
+          rewardNotification(
+            refereeReward.status === 'held' ? 'welcome_bonus_held' : 'welcome_bonus_credited',
+            refereeReward,
+            { held_until: refereeReward.held_until || null }
+          ),
+          connection
+        );
+      }
 
     } catch (error) {
       logger.error('Send reward notifications error:', error);
+      throw error;
     }
   }
 
@@ -552,6 +1027,7 @@ class RewardService {
         SELECT 
           user_id,
           user_type,
+          currency,
           COUNT(*) as total_rewards,
           SUM(amount) as total_amount,
           COUNT(CASE WHEN status = 'credited' THEN 1 END) as credited_rewards
@@ -564,25 +1040,29 @@ class RewardService {
       }
 
       sql += `
-        GROUP BY user_id, user_type
+        GROUP BY user_id, user_type, currency
         ORDER BY total_amount DESC, credited_rewards DESC
         LIMIT ${limit}
       `;
 
       const results = await require('../config/database').query(sql);
 
-      // Enhance with user details
-      const enhancedResults = [];
-      for (const result of results) {
-        const userDetails = await externalServices.getUserDetails(result.user_id, result.user_type);
-        enhancedResults.push({
+      // Enhance with user details: one cached batch lookup per user type
+      const profiles = new Map();
+      for (const type of new Set(results.map(result => result.user_type))) {
+        const ids = results.filter(result => result.user_type === type).map(result => result.user_id);
+        const found = await UserProfileService.getUsersDetails(ids, type);
+        found.forEach((details, userId) => profiles.set(`${type}:${userId}`, details));
+      }
+
+      return results.map(result => {
+        const userDetails = profiles.get(`${result.user_type}:${result.user_id}`);
+        return {
           ...result,
           user_name: userDetails ? userDetails.name : 'Anonymous',
           user_avatar: userDetails ? userDetails.avatar : null
-        });
-      }
-
-      return enhancedResults;
+        };
+      });
 
     } catch (error) {
       logger.error('Get reward leaderboard error:', error);
@@ -666,6 +1146,10 @@ console.log('Top reward earners:', leaderboard);
 // ----------------------------------------------------------------
 
 /*
+// Upstream services can instead publish order.completed, delivery.completed,
+// user.verified and order.refunded events for the event consumer
+// (services/eventConsumer.js), which applies the same trigger logic.
+
 // Integration with Order Service
 // When an order is completed, trigger referral completion
 const orderCompleted = async (orderData) => {
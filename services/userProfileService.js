@@ -0,0 +1,173 @@
+const UserCacheInvalidation = require("../models/UserCacheInvalidation");
+const logger = require("../utils/logger");
+const externalServices = require("./externalService");
+const cacheConfig = require("../config/userCache");
+
+// Restaurants live behind a separate endpoint; customers and drivers share one
+const cacheKey = (userId, userType) =>
+  `${userType === "restaurant" ? "restaurant" : "user"}:${userId}`;
+
+// Run `work` over `items` with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, work) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await work(items[index]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+// In-process profile cache; Map order doubles as least-recently-used order
+const entries = new Map();
+// Last user_cache_invalidations row applied to this replica's cache
+let invalidatedThrough = null;
+
+class UserProfileService {
+  static getCached(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.details;
+  }
+
+  static setCached(key, details) {
+    const ttl = details ? cacheConfig.ttlSeconds : cacheConfig.negativeTtlSeconds;
+    entries.delete(key);
+    entries.set(key, { details, expiresAt: Date.now() + ttl * 1000 });
+
+    while (entries.size > cacheConfig.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // A user's profile, or null when unknown or the user service is failing.
+  // Failures are not cached, so the next call tries again.
+  static async getUserDetails(userId, userType) {
+    const key = cacheKey(userId, userType);
+    const cached = this.getCached(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    try {
+      const details = await externalServices.fetchUserDetails(userId, userType);
+      this.setCached(key, details);
+      return details;
+    } catch (error) {
+      logger.error(`Failed to get user details ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Profiles for many users of one type as a Map of id -> details (null when
+  // unknown). Cache misses go to the user service's bulk endpoint in chunks,
+  // or fan out with bounded concurrency when bulk lookups are disabled.
+  static async getUsersDetails(userIds, userType) {
+    const profiles = new Map();
+    const missing = [];
+
+    for (const userId of new Set(userIds)) {
+      const cached = this.getCached(cacheKey(userId, userType));
+      if (cached === undefined) {
+        missing.push(userId);
+      } else {
+        profiles.set(userId, cached);
+      }
+    }
+
+    if (!cacheConfig.bulkLookup) {
+      const found = await mapWithConcurrency(
+        missing,
+        cacheConfig.fanOutConcurrency,
+        (userId) => this.getUserDetails(userId, userType)
+      );
+      missing.forEach((userId, index) => profiles.set(userId, found[index]));
+      return profiles;
+    }
+
+    for (let i = 0; i < missing.length; i += cacheConfig.bulkBatchSize) {
+      const chunk = missing.slice(i, i + cacheConfig.bulkBatchSize);
+      try {
+        const found = await externalServices.fetchUsersDetails(chunk, userType);
+        const byId = new Map(found.map((details) => [String(details.id), details]));
+
+        for (const userId of chunk) {
+          const details = byId.get(String(userId)) || null;
+          this.setCached(cacheKey(userId, userType), details);
+          profiles.set(userId, details);
+        }
+      } catch (error) {
+        logger.error(`Failed to get details for ${chunk.length} users:`, error.message);
+        chunk.forEach((userId) => profiles.set(userId, null));
+      }
+    }
+
+    return profiles;
+  }
+
+  // Drop a user's cached profile, e.g. on a user_updated event. Without a
+  // type both entries that could hold the user are dropped.
+  static invalidate(userId, userType = null) {
+    if (userType) {
+      entries.delete(cacheKey(userId, userType));
+      return;
+    }
+
+    entries.delete(cacheKey(userId, "customer"));
+    entries.delete(cacheKey(userId, "restaurant"));
+  }
+
+  // Drop a user's cached profile on every replica: here straight away, on
+  // the others at their next syncInvalidations
+  static async publishInvalidation(userId, userType = null) {
+    this.invalidate(userId, userType);
+    await UserCacheInvalidation.record(userId, userType);
+  }
+
+  // Apply invalidations other replicas logged since the last sync. The
+  // first sync only sets the starting point, clearing anything cached
+  // before it. Returns the number applied.
+  static async syncInvalidations() {
+    if (invalidatedThrough === null) {
+      invalidatedThrough = await UserCacheInvalidation.latestId();
+      entries.clear();
+      return 0;
+    }
+
+    const batchSize = 1000;
+    let applied = 0;
+    for (;;) {
+      const rows = await UserCacheInvalidation.findAfter(
+        invalidatedThrough,
+        batchSize
+      );
+      for (const row of rows) {
+        this.invalidate(row.user_id, row.user_type);
+        invalidatedThrough = row.id;
+      }
+      applied += rows.length;
+      if (rows.length < batchSize) {
+        return applied;
+      }
+    }
+  }
+}
+
+module.exports = UserProfileService;
@@ -0,0 +1,105 @@
+const velocityConfig = require("../config/velocityLimits");
+const logger = require("../utils/logger");
+const { createVelocityStore } = require("./velocityStore");
+
+let store = createVelocityStore(velocityConfig.store);
+
+class VelocityService {
+  static setStore(velocityStore) {
+    store = velocityStore;
+  }
+
+  static getStore() {
+    return store;
+  }
+
+  // Limits for a code: owner-type defaults, with the code's own
+  // `velocity_limits` overriding the code scope
+  static resolveLimits(referralCode) {
+    const typeLimits = velocityConfig.limits[referralCode.owner_type] || {};
+    let codeOverrides = referralCode.velocity_limits || {};
+    if (typeof codeOverrides === "string") {
+      codeOverrides = JSON.parse(codeOverrides);
+    }
+
+    return {
+      code: { ...(typeLimits.code || {}), ...codeOverrides },
+      owner: { ...(typeLimits.owner || {}) },
+      campaign: { ...(typeLimits.campaign || {}) },
+    };
+  }
+
+  static getSubjects(referralCode, campaign) {
+    const subjects = [
+      { scope: "code", id: referralCode.id },
+      { scope: "owner", id: `${referralCode.owner_type}:${referralCode.owner_id}` },
+    ];
+    if (campaign) {
+      subjects.push({ scope: "campaign", id: campaign.id });
+    }
+    return subjects;
+  }
+
+  static getWindow(window, now = Date.now()) {
+    const size = velocityConfig.windows[window] * 1000;
+    const start = Math.floor(now / size) * size;
+    return { start, resetAt: new Date(start + size) };
+  }
+
+  static getCounterKey(scope, id, window, windowStart) {
+    return `velocity:${scope}:${id}:${window}:${windowStart}`;
+  }
+
+  // Take one count in every (scope, window) this referral falls under, on
+  // the caller's transaction. A counter already at its maximum stops the walk
+  // and reports the limit; the caller must then roll back so the counts
+  // taken so far, limited or not, are given back (the memory store has no
+  // transaction and gives them back here).
+  static async reserve(referralCode, campaign = null, connection = undefined) {
+    const limits = this.resolveLimits(referralCode);
+    const now = Date.now();
+    const taken = [];
+
+    for (const { scope, id } of this.getSubjects(referralCode, campaign)) {
+      for (const [window, max] of Object.entries(limits[scope])) {
+        if (!velocityConfig.windows[window]) {
+          continue;
+        }
+
+        const { start, resetAt } = this.getWindow(window, now);
+        const key = this.getCounterKey(scope, id, window, start);
+
+        if (!max) {
+          await store.increment(key, resetAt, connection);
+          taken.push(key);
+          continue;
+        }
+
+        if (await store.incrementBelow(key, max, resetAt, connection)) {
+          taken.push(key);
+          continue;
+        }
+
+        if (store.decrement) {
+          for (const takenKey of taken) {
+            await store.decrement(takenKey);
+          }
+        }
+
+        logger.warn(`Velocity limit reached for ${scope} ${id}: ${max} per ${window}`);
+        return {
+          allowed: false,
+          scope,
+          window,
+          limit: max,
+          retry_at: resetAt.toISOString(),
+          retry_after_seconds: Math.ceil((resetAt.getTime() - now) / 1000),
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+}
+
+module.exports = VelocityService;
@@ -0,0 +1,89 @@
+const VelocityCounter = require("../models/VelocityCounter");
+
+// Counter stores for velocity limits. A store keeps fixed-window counters and
+// implements:
+//   get(key)                              -> current count (0 when unknown or expired)
+//   increment(key, expiresAt, connection) -> count after incrementing
+//   incrementBelow(key, max, expiresAt, connection)
+//                                         -> whether the count was taken; false,
+//                                            and unchanged, when already at max
+// Keys already include the window start, so a window rolls over by key.
+// `connection` is the caller's transaction where the store supports one.
+
+class MemoryVelocityStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+
+  async increment(key, expiresAt) {
+    this.prune();
+    const counter = this.counters.get(key) || {
+      count: 0,
+      expiresAt: expiresAt.getTime(),
+    };
+    counter.count++;
+    this.counters.set(key, counter);
+    return counter.count;
+  }
+
+  // Atomic within the process, but not rolled back with the caller's
+  // transaction; VelocityService gives back its own counts on rejection
+  async incrementBelow(key, max, expiresAt) {
+    this.prune();
+    const counter = this.counters.get(key) || {
+      count: 0,
+      expiresAt: expiresAt.getTime(),
+    };
+    if (counter.count >= max) {
+      return false;
+    }
+    counter.count++;
+    this.counters.set(key, counter);
+    return true;
+  }
+
+  async decrement(key) {
+    const counter = this.counters.get(key);
+    if (counter && counter.count > 0) {
+      counter.count--;
+    }
+  }
+}
+
+// Shared across replicas; use this whenever more than one process serves traffic
+class SqlVelocityStore {
+  async get(key) {
+    return VelocityCounter.getCount(key);
+  }
+
+  async increment(key, expiresAt, connection) {
+    return VelocityCounter.increment(key, expiresAt, connection);
+  }
+
+  async incrementBelow(key, max, expiresAt, connection) {
+    return VelocityCounter.incrementBelow(key, max, expiresAt, connection);
+  }
+}
+
+const createVelocityStore = (type) =>
+  type === "memory" ? new MemoryVelocityStore() : new SqlVelocityStore();
+
+module.exports = {
+  MemoryVelocityStore,
+  SqlVelocityStore,
+  createVelocityStore,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const Outbox = require("../models/Outbox");
+const logger = require("../utils/logger");
+const { withTransaction } = require("../utils/transaction");
+const webhookConfig = require("../config/webhooks");
+const externalServices = require("./externalService");
+
+// Whose webhooks may see an event: the referrer for referral events, the
+// rewarded user for reward events. Other events only reach unscoped
+// (admin-created) subscriptions.
+const ownersOf = (event) => {
+  switch (event.aggregate_type) {
+    case "referral":
+      return [event.data.referrer_id];
+    case "reward":
+      return [event.data.user_id];
+    default:
+      return [];
+  }
+};
+
+// Subscriptions as returned to callers: never the secret
+const publicView = (subscription) => {
+  const { secret, ...rest } = subscription;
+  return rest;
+};
+
+class WebhookService {
+  // Hex HMAC-SHA256 of "<timestamp>.<body>", the same scheme callers use to
+  // sign internal requests (see middleware/serviceAuth.js)
+  static sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  // Returns the subscription with its signing secret, shown only this once
+  static async createSubscription(subscriptionData) {
+    const secret = crypto.randomBytes(32).toString("hex");
+    const subscription = await WebhookSubscription.create({
+      ...subscriptionData,
+      secret,
+    });
+
+    logger.info(`Webhook subscription created: ${subscription.id} for ${subscription.owner_id || "all owners"}`);
+    return { ...publicView(subscription), secret };
+  }
+
+  static async getSubscription(id) {
+    const subscription = await WebhookSubscription.findById(id);
+    return subscription ? publicView(subscription) : null;
+  }
+
+  static async listSubscriptions(filters, limit, offset) {
+    const subscriptions = await WebhookSubscription.findAll(filters, limit, offset);
+    return subscriptions.map(publicView);
+  }
+
+  static async deleteSubscription(id) {
+    return WebhookSubscription.delete(id);
+  }
+
+  // Create one delivery per matching subscription and queue it in the
+  // outbox. Safe to repeat for the same event: a subscription gets each
+  // event_id once.
+  static async fanOut(event) {
+    // Queued before events were versioned; nothing to deduplicate on
+    if (!event.event_id) {
+      return 0;
+    }
+
+    const subscriptions = await WebhookSubscription.findMatching(
+      event.event_type,
+      ownersOf(event).filter(Boolean)
+    );
+
+    for (const subscription of subscriptions) {
+      await withTransaction(async (connection) => {
+        const deliveryId = await WebhookDelivery.create(subscription.id, event, connection);
+        if (deliveryId) {
+          await Outbox.enqueue(
+            "webhook",
+            { delivery_id: deliveryId },
+            { aggregate_id: deliveryId, max_attempts: webhookConfig.maxAttempts },
+            connection
+          );
+        }
+      });
+    }
+
+    return subscriptions.length;
+  }
+
+  // Send a delivery once and log the attempt. Returns the updated delivery.
+  static async attempt(delivery, subscription, manual = false) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "X-Webhook-Id": delivery.id,
+      "X-Webhook-Event": delivery.event_type,
+      "X-Webhook-Event-Id": delivery.event_id,
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": `sha256=${this.sign(subscription.secret, timestamp, body)}`,
+    };
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      const response = await externalServices.postWebhook(subscription.url, body, headers);
+      const ok = response.status >= 200 && response.status < 300;
+      result = {
+        ok,
+        response_code: response.status,
+        response_body: String(response.body || "").slice(0, webhookConfig.responseBodyLimit),
+        error: ok ? null : `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      result = { ok: false, response_code: null, response_body: null, error: error.message };
+    }
+
+    // A failed manual attempt leaves a delivery the outbox is still retrying
+    // pending
+    let status;
+    if (result.ok) {
+      status = "delivered";
+    } else if (manual) {
+      status = delivery.status === "pending" ? "pending" : "failed";
+    } else {
+      status = delivery.attempts + 1 >= webhookConfig.maxAttempts ? "failed" : "pending";
+    }
+
+    return WebhookDelivery.recordAttempt(delivery.id, status, {
+      ...result,
+      duration_ms: Date.now() - startedAt,
+      manual,
+    });
+  }
+
+  // Outbox handler for a queued delivery. Throws while attempts remain so
+  // the outbox retries with backoff; after the last one the delivery is
+  // marked failed and can only be redelivered by hand.
+  static async deliver(deliveryId) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status !== "pending") {
+      return;
+    }
+
+    const subscription = await WebhookSubscription.findById(delivery.subscription_id);
+    if (!subscription || !subscription.is_active) {
+      await WebhookDelivery.recordAttempt(delivery.id, "failed", {
+        response_code: null,
+        response_body: null,
+        error: "Subscription deleted",
+        duration_ms: 0,
+      });
+      return;
+    }
+
+    const updated = await this.attempt(delivery, subscription);
+    if (updated.status === "pending") {
+      throw new Error(`Webhook delivery ${delivery.id} failed: ${updated.last_error}`);
+    }
+    if (updated.status === "failed") {
+      logger.error(`Webhook delivery ${delivery.id} to ${subscription.url} failed after ${updated.attempts} attempts: ${updated.last_error}`);
+    }
+  }
+
+  // Send a delivery again now, whatever its status, e.g. once the partner
+  // has fixed their endpoint. Returns the updated delivery.
+  static async redeliver(delivery, subscription) {
+    const updated = await this.attempt(delivery, subscription, true);
+    logger.info(`Webhook delivery ${delivery.id} redelivered: ${updated.status}`);
+    return updated;
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,98 @@
+// Minimal 5-field cron expressions (minute hour day-of-month month
+// day-of-week) in server local time, as used by node-cron. Supports `*`,
+// numbers, ranges (1-5), lists (1,15) and steps (*/15, 0-30/10).
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+const parseField = (value, { name, min, max }) => {
+  const allowed = new Set();
+
+  for (const part of value.split(",")) {
+    const [range, stepValue] = part.split("/");
+    const step = stepValue ? parseInt(stepValue, 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (range !== "*") {
+      const [from, to] = range.split("-").map((n) => parseInt(n, 10));
+      start = from;
+      end = to !== undefined ? to : stepValue ? max : from;
+    }
+
+    if ([start, end, step].some(isNaN) || start < min || end > max || step < 1) {
+      throw new Error(`Invalid cron ${name} field: ${value}`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      allowed.add(n);
+    }
+  }
+
+  return allowed;
+};
+
+const parseCron = (expression) => {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+
+  // Both 0 and 7 mean Sunday
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+  // Standard cron: when both day fields are restricted, either may match
+  schedule.anyDay = parts[2] !== "*" && parts[4] !== "*";
+  return schedule;
+};
+
+const matchesDay = (schedule, date) => {
+  const dom = schedule.dayOfMonth.has(date.getDate());
+  const dow = schedule.dayOfWeek.has(date.getDay());
+  return schedule.anyDay ? dom || dow : dom && dow;
+};
+
+// First time strictly after `after` that matches the expression
+const getNextRun = (expression, after = new Date()) => {
+  const schedule = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Bounded search: every valid expression matches within a few years
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
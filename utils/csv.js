@@ -0,0 +1,25 @@
+// Quote a value for CSV. Text starting with a formula character is prefixed
+// with a quote so spreadsheets do not evaluate it.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows as CSV with a header line, e.g.
+// toCsv([{ a: 1 }], ["a"]) -> "a\r\n1"
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(escapeCell).join(","))
+    .join("\r\n");
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,72 @@
+const {
+  markets,
+  defaultMarket,
+  baseCurrency,
+  exchangeRates,
+} = require("../config/markets");
+
+const getDefaultLocale = (currency) => {
+  const market = Object.values(markets).find((m) => m.currency === currency);
+  return market ? market.locale : markets[defaultMarket].locale;
+};
+
+// Format an amount for display, e.g. formatAmount(10, "EUR", "fr-FR") -> "10,00 €"
+const formatAmount = (amount, currency = "USD", locale = null) => {
+  const value = parseFloat(amount) || 0;
+  try {
+    return new Intl.NumberFormat(locale || getDefaultLocale(currency), {
+      style: "currency",
+      currency,
+    }).format(value);
+  } catch (error) {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+};
+
+// Convert with the configured exchange rates; null when either currency has
+// no rate
+const convertAmount = (amount, fromCurrency, toCurrency) => {
+  const value = parseFloat(amount);
+  if (fromCurrency === toCurrency) {
+    return value;
+  }
+
+  const fromRate = exchangeRates[fromCurrency];
+  const toRate = exchangeRates[toCurrency];
+  if (!fromRate || !toRate) {
+    return null;
+  }
+  return Math.round((value / fromRate) * toRate * 100) / 100;
+};
+
+// Amount to pay in `currency`: the entry of a per-currency map such as
+// { "EUR": 9, "GBP": 8 } when there is one, else the base-currency amount
+// converted. Null when neither applies; a base amount is never reused as-is
+// in another currency.
+const amountForCurrency = (baseAmount, amountsByCurrency, currency) => {
+  let amounts = amountsByCurrency || {};
+  if (typeof amounts === "string") {
+    amounts = JSON.parse(amounts);
+  }
+  return amounts[currency] !== undefined
+    ? parseFloat(amounts[currency])
+    : convertAmount(baseAmount, baseCurrency, currency);
+};
+
+// `resolve(currency)` for the preferred currency, or for the base currency
+// when the preferred one cannot be resolved. Returns { currency, value }.
+const resolveInCurrency = (currency, resolve) => {
+  const value = resolve(currency);
+  if (value !== null || currency === baseCurrency) {
+    return { currency, value };
+  }
+  return { currency: baseCurrency, value: resolve(baseCurrency) };
+};
+
+module.exports = {
+  formatAmount,
+  convertAmount,
+  amountForCurrency,
+  resolveInCurrency,
+  baseCurrency,
+};
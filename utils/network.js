@@ -0,0 +1,90 @@
+// Checks that keep partner-supplied URLs (webhooks) off internal addresses.
+// A hostname is checked when the URL is registered, and the addresses it
+// resolves to are checked again on every connection, so a DNS record that
+// later points at a private address is still refused.
+
+const dns = require("dns");
+const net = require("net");
+
+// Loopback, private and link-local hosts, as written in a URL
+const privateHost =
+  /^(localhost$|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|0\.|\[::1\]$|\[f[cd][0-9a-f]{2}:|\[fe80:)/i;
+
+// Unspecified, loopback, private, carrier-grade NAT and link-local IPv4
+const privateIPv4 =
+  /^(0\.|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\.)/;
+
+// A resolved IPv4 or IPv6 address that must not be connected to. IPv4-mapped
+// IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4.
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return privateIPv4.test(address);
+  }
+  if (family !== 6) {
+    return true;
+  }
+
+  const ip = address.toLowerCase();
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return privateIPv4.test(mapped[1]);
+  }
+  return (
+    ip === "::" ||
+    ip === "::1" ||
+    /^f[cd][0-9a-f]{2}:/.test(ip) ||
+    /^fe[89ab][0-9a-f]:/.test(ip)
+  );
+};
+
+const privateAddressError = (hostname, address) => {
+  const error = new Error(`${hostname} resolves to private address ${address}`);
+  error.code = "PRIVATE_ADDRESS";
+  return error;
+};
+
+// Drop-in for dns.lookup (as an http(s).Agent `lookup`) that fails when any
+// address the hostname resolves to is private, so the socket only ever
+// connects to an address that was checked
+const publicLookup = (hostname, options, callback) => {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  if (typeof options === "number") {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      return callback(privateAddressError(hostname, blocked.address));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Refuse a URL whose host is itself a private IP literal; agents skip the
+// lookup for those
+const assertPublicUrl = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw privateAddressError(hostname, hostname);
+  }
+};
+
+module.exports = {
+  privateHost,
+  isPrivateAddress,
+  publicLookup,
+  assertPublicUrl,
+};
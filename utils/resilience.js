@@ -0,0 +1,117 @@
+// Building blocks for calls to other services: a circuit breaker, a bulkhead
+// and jittered backoff. See services/externalService.js.
+
+const rejection = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// closed -> open after `failureThreshold` consecutive failures; open ->
+// half_open once `openMs` has passed; half_open lets `halfOpenProbes`
+// requests through and closes on a success or reopens on a failure.
+class CircuitBreaker {
+  constructor(name, options) {
+    this.name = name;
+    this.failureThreshold = options.failure_threshold;
+    this.openMs = options.open_ms;
+    this.halfOpenProbes = options.half_open_probes;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.probes = 0;
+  }
+
+  // Reserve a request, or throw CIRCUIT_OPEN without calling the dependency
+  acquire() {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.openMs) {
+      this.state = "half_open";
+      this.probes = 0;
+    }
+
+    if (
+      this.state === "open" ||
+      (this.state === "half_open" && this.probes >= this.halfOpenProbes)
+    ) {
+      throw rejection(`Circuit open for ${this.name}`, "CIRCUIT_OPEN");
+    }
+
+    if (this.state === "half_open") {
+      this.probes++;
+    }
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutive_failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+    };
+  }
+}
+
+// Caps concurrent calls to one dependency so a slow service cannot tie up
+// every request; callers beyond `maxQueued` are rejected with BULKHEAD_FULL.
+class Bulkhead {
+  constructor(name, options) {
+    this.name = name;
+    this.maxConcurrent = options.max_concurrent;
+    this.maxQueued = options.max_queued;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  async run(work) {
+    if (this.active >= this.maxConcurrent) {
+      if (this.queue.length >= this.maxQueued) {
+        throw rejection(`Too many pending requests to ${this.name}`, "BULKHEAD_FULL");
+      }
+      await new Promise((resolve) => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await work();
+    } finally {
+      // Hand the slot straight to the next waiter, or free it
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  getState() {
+    return { in_flight: this.active, queued: this.queue.length };
+  }
+}
+
+// "Full jitter" exponential backoff for retry `attempt` (1-based)
+const backoffDelay = (attempt, baseMs, maxMs) =>
+  Math.floor(Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+  CircuitBreaker,
+  Bulkhead,
+  backoffDelay,
+  sleep,
+};
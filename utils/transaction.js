@@ -0,0 +1,27 @@
+const database = require("../config/database");
+const logger = require("./logger");
+
+// Run `work` inside a single database transaction. The callback receives a
+// dedicated connection exposing the same `query(sql, params)` contract as
+// `database`, so model methods can take it as their optional last argument.
+const withTransaction = async (work) => {
+  const connection = await database.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    try {
+      await connection.rollback();
+    } catch (rollbackError) {
+      logger.error("Transaction rollback error:", rollbackError);
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = { withTransaction };
@@ -1,4 +1,22 @@
 const Joi = require("joi");
+const { catalog } = require("../schemas/events");
+const { privateHost } = require("../utils/network");
+
+// Percentage bonuses are a rate applied to the qualifying order amount, so
+// they cannot exceed 100; the cap and floor bound the computed amount
+const percentageRate = (field) =>
+  Joi.number().when(field, {
+    is: "percentage",
+    then: Joi.number().max(100),
+  });
+
+// Fixed bonus amounts per ISO 4217 currency, e.g. { "EUR": 9, "GBP": 8 };
+// currencies without an entry use the base amount
+const currencyAmounts = () =>
+  Joi.object().pattern(
+    Joi.string().pattern(/^[A-Z]{3}$/),
+    Joi.number().positive().precision(2)
+  );
 
 const validateReferral = (data) => {
   const schema = Joi.object({
@@ -7,6 +25,7 @@ const validateReferral = (data) => {
     referee_type: Joi.string()
       .valid("customer", "driver", "restaurant")
       .required(),
+    device_fingerprint: Joi.string().max(255).optional(),
   });
 
   return schema.validate(data);
@@ -16,10 +35,17 @@ const validateReferralCode = (data) => {
   const schema = Joi.object({
     code: Joi.string().max(20).optional(),
     max_usage: Joi.number().integer().min(1).max(1000).default(50),
-    bonus_amount: Joi.number().positive().precision(2).optional(),
+    bonus_amount: Joi.number()
+      .positive()
+      .precision(2)
+      .concat(percentageRate("bonus_type"))
+      .optional(),
     bonus_type: Joi.string()
       .valid("cash", "credit", "percentage")
       .default("credit"),
+    bonus_amounts: currencyAmounts().optional(),
+    max_bonus_amount: Joi.number().positive().precision(2).optional(),
+    min_bonus_amount: Joi.number().min(0).precision(2).optional(),
     minimum_order_amount: Joi.number().min(0).precision(2).default(0),
     expiry_date: Joi.date().greater("now").optional(),
     campaign_id: Joi.string().uuid().optional(),
@@ -29,6 +55,19 @@ const validateReferralCode = (data) => {
   return schema.validate(data);
 };
 
+const velocityLimitsSchema = Joi.object({
+  hour: Joi.number().integer().min(1).optional(),
+  day: Joi.number().integer().min(1).optional(),
+});
+
+const validateVelocityLimits = (data) => {
+  const schema = Joi.object({
+    velocity_limits: velocityLimitsSchema.allow(null).required(),
+  });
+
+  return schema.validate(data);
+};
+
 const validateCampaign = (data) => {
   const schema = Joi.object({
     name: Joi.string().max(100).required(),
@@ -39,10 +78,17 @@ const validateCampaign = (data) => {
     target_audience: Joi.string()
       .valid("customer", "driver", "restaurant", "all")
       .default("all"),
-    bonus_amount: Joi.number().positive().precision(2).required(),
+    bonus_amount: Joi.number()
+      .positive()
+      .precision(2)
+      .concat(percentageRate("bonus_type"))
+      .required(),
     bonus_type: Joi.string()
       .valid("cash", "credit", "percentage")
       .default("credit"),
+    bonus_amounts: currencyAmounts().optional(),
+    max_bonus_amount: Joi.number().positive().precision(2).optional(),
+    min_bonus_amount: Joi.number().min(0).precision(2).optional(),
     minimum_requirement: Joi.number().min(0).precision(2).default(0),
     max_participants: Joi.number().integer().positive().optional(),
     start_date: Joi.date().required(),
@@ -53,8 +99,357 @@ const validateCampaign = (data) => {
   return schema.validate(data);
 };
 
+// Bonus terms and start date are fixed once a campaign has started, whether
+// or not the scheduler has moved it out of `scheduled` yet: participants
+// joined on them
+const LAUNCH_LOCKED_FIELDS = [
+  "bonus_amount",
+  "bonus_type",
+  "bonus_amounts",
+  "max_bonus_amount",
+  "min_bonus_amount",
+  "minimum_requirement",
+  "start_date",
+];
+
+// Whether `next` would change the stored `current` value of a locked field.
+// Stored amounts come back as DECIMAL strings and bonus_amounts as JSON.
+const changesValue = (field, next, current) => {
+  if (next === null || current === null || current === undefined) {
+    return next !== current && !(next === null && current === undefined);
+  }
+  if (field === "start_date") {
+    return new Date(next).getTime() !== new Date(current).getTime();
+  }
+  if (field === "bonus_type") {
+    return next !== current;
+  }
+  if (field === "bonus_amounts") {
+    const stored = typeof current === "string" ? JSON.parse(current) : current;
+    const currencies = new Set([...Object.keys(next), ...Object.keys(stored)]);
+    return [...currencies].some(
+      (currency) => parseFloat(next[currency]) !== parseFloat(stored[currency])
+    );
+  }
+  return parseFloat(next) !== parseFloat(current);
+};
+
+// Partial update of `campaign`; checks the result against its current values.
+// Locked fields may be sent unchanged, so clients can PUT the whole campaign.
+const validateCampaignUpdate = (data, campaign) => {
+  const launched =
+    campaign.status !== "scheduled" ||
+    new Date(campaign.start_date) <= new Date();
+  const keys = {
+    name: Joi.string().max(100),
+    description: Joi.string().max(1000).allow(null),
+    campaign_type: Joi.string().valid(
+      "referral",
+      "milestone",
+      "seasonal",
+      "promotional"
+    ),
+    target_audience: Joi.string().valid("customer", "driver", "restaurant", "all"),
+    bonus_amount: Joi.number().positive().precision(2),
+    bonus_type: Joi.string().valid("cash", "credit", "percentage"),
+    bonus_amounts: currencyAmounts().allow(null),
+    max_bonus_amount: Joi.number().positive().precision(2).allow(null),
+    min_bonus_amount: Joi.number().min(0).precision(2).allow(null),
+    minimum_requirement: Joi.number().min(0).precision(2),
+    max_participants: Joi.number().integer().positive().allow(null),
+    start_date: Joi.date(),
+    end_date: Joi.date(),
+    terms_conditions: Joi.string().max(2000).allow(null),
+  };
+
+  const schema = Joi.object(keys)
+    .min(1)
+    .custom((value, helpers) => {
+      if (launched) {
+        const changed = LAUNCH_LOCKED_FIELDS.find(
+          (field) =>
+            value[field] !== undefined &&
+            changesValue(field, value[field], campaign[field])
+        );
+        if (changed) {
+          return helpers.message(
+            `"${changed}" cannot change after the campaign has launched`
+          );
+        }
+      }
+
+      const merged = { ...campaign, ...value };
+      if (new Date(merged.end_date) <= new Date(merged.start_date)) {
+        return helpers.message('"end_date" must be after "start_date"');
+      }
+      if (merged.bonus_type === "percentage" && parseFloat(merged.bonus_amount) > 100) {
+        return helpers.message('"bonus_amount" must be less than or equal to 100');
+      }
+      if (
+        value.max_participants &&
+        value.max_participants < campaign.current_participants
+      ) {
+        return helpers.message(
+          `"max_participants" cannot be below the ${campaign.current_participants} current participants`
+        );
+      }
+      return value;
+    });
+
+  return schema.validate(data);
+};
+
+// Query string of the campaign listing
+const validateCampaignQuery = (query) => {
+  const schema = Joi.object({
+    status: Joi.array()
+      .items(
+        Joi.string().valid("scheduled", "active", "paused", "ended", "archived")
+      )
+      .single()
+      .optional(),
+    campaign_type: Joi.string()
+      .valid("referral", "milestone", "seasonal", "promotional")
+      .optional(),
+    target_audience: Joi.string()
+      .valid("customer", "driver", "restaurant", "all")
+      .optional(),
+    bonus_type: Joi.string().valid("cash", "credit", "percentage").optional(),
+    starts_before: Joi.date().optional(),
+    ends_after: Joi.date().optional(),
+    search: Joi.string().max(100).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  return schema.validate(query);
+};
+
+const validateRewardProgram = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(1000).optional(),
+    referrer_type: Joi.string()
+      .valid("customer", "driver", "restaurant")
+      .required(),
+    referee_type: Joi.string()
+      .valid("customer", "driver", "restaurant", "all")
+      .default("all"),
+    referrer_bonus: Joi.number()
+      .min(0)
+      .precision(2)
+      .concat(percentageRate("referrer_bonus_type"))
+      .required(),
+    referrer_bonus_type: Joi.string()
+      .valid("cash", "credit", "percentage")
+      .default("credit"),
+    referrer_max_bonus_amount: Joi.number().positive().precision(2).optional(),
+    referrer_min_bonus_amount: Joi.number().min(0).precision(2).optional(),
+    referee_bonus: Joi.number()
+      .min(0)
+      .precision(2)
+      .concat(percentageRate("referee_bonus_type"))
+      .required(),
+    referee_bonus_type: Joi.string()
+      .valid("cash", "credit", "percentage")
+      .default("credit"),
+    referee_max_bonus_amount: Joi.number().positive().precision(2).optional(),
+    referee_min_bonus_amount: Joi.number().min(0).precision(2).optional(),
+    milestones: Joi.array()
+      .items(
+        Joi.object({
+          referrals: Joi.number().integer().positive().required(),
+          amount: Joi.number().positive().precision(2).required(),
+          amounts: currencyAmounts().optional(),
+        })
+      )
+      .unique("referrals")
+      .default([]),
+    hold_days: Joi.number().integer().min(0).max(365).allow(null).optional(),
+    effective_from: Joi.date().required(),
+    effective_to: Joi.date().greater(Joi.ref("effective_from")).optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Opt-out flags per reminder type, e.g. { "opted_out": { "reward_expiring": true } }
+const validateReminderPreferences = (data) => {
+  const schema = Joi.object({
+    opted_out: Joi.object({
+      referral_expiring: Joi.boolean(),
+      reward_expiring: Joi.boolean(),
+    })
+      .min(1)
+      .required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Ad-hoc report over an arbitrary range, bounded by `maxRangeDays`
+const validateReportRequest = (data, maxRangeDays) => {
+  const schema = Joi.object({
+    start_date: Joi.date().required(),
+    end_date: Joi.date().greater(Joi.ref("start_date")).max("now").required(),
+    deliver: Joi.boolean().default(false),
+  }).custom((value, helpers) => {
+    const days = (value.end_date - value.start_date) / (24 * 60 * 60 * 1000);
+    return days > maxRangeDays
+      ? helpers.message(`Report range cannot exceed ${maxRangeDays} days`)
+      : value;
+  });
+
+  return schema.validate(data);
+};
+
+// Producers may add their own envelope fields; only these are read
+const validateInboundEvent = (data) => {
+  const schema = Joi.object({
+    event_id: Joi.string().max(100).optional(),
+    event_type: Joi.string().max(100).required(),
+    version: Joi.number().integer().min(1).optional(),
+    source: Joi.string().max(100).optional(),
+    occurred_at: Joi.date().optional(),
+    data: Joi.object().required(),
+  }).unknown(true);
+
+  return schema.validate(data);
+};
+
+// `data` of the upstream events that complete or reverse referrals. Extra
+// fields are allowed and ignored.
+const triggerEventSchemas = {
+  "order.completed": Joi.object({
+    order_id: Joi.string().max(36).required(),
+    customer_id: Joi.string().max(36).required(),
+    amount: Joi.number().min(0).required(),
+    ip_address: Joi.string().ip().optional(),
+    device_fingerprint: Joi.string().max(255).optional(),
+  }),
+  "delivery.completed": Joi.object({
+    delivery_id: Joi.string().max(36).required(),
+    driver_id: Joi.string().max(36).required(),
+  }),
+  "user.verified": Joi.object({
+    user_id: Joi.string().max(36).required(),
+    user_type: Joi.string().valid("customer", "driver", "restaurant").optional(),
+  }),
+  "order.refunded": Joi.object({
+    order_id: Joi.string().max(36).required(),
+    customer_id: Joi.string().max(36).required(),
+    reason: Joi.string().max(500).optional(),
+  }),
+};
+
+const validateTriggerEvent = (eventType, data) =>
+  triggerEventSchemas[eventType].unknown(true).validate(data);
+
+// A partner URL must not target a loopback, private or link-local host;
+// `allowInsecure` (non-production) also accepts http and private hosts for
+// local receivers. owner_id and owner_type are only honoured for admins.
+const validateWebhookSubscription = (data, allowInsecure = false) => {
+  const schema = Joi.object({
+    url: Joi.string()
+      .uri({ scheme: allowInsecure ? ["http", "https"] : ["https"] })
+      .max(2048)
+      .required()
+      .custom((value, helpers) =>
+        !allowInsecure && privateHost.test(new URL(value).hostname)
+          ? helpers.message("url must be a public address")
+          : value
+      ),
+    event_types: Joi.array()
+      .items(Joi.string().valid(...Object.keys(catalog)))
+      .min(1)
+      .unique()
+      .required(),
+    description: Joi.string().max(255).optional(),
+    owner_id: Joi.string().max(36).optional(),
+    owner_type: Joi.string()
+      .valid("customer", "driver", "restaurant")
+      .when("owner_id", { is: Joi.exist(), then: Joi.required() }),
+  });
+
+  return schema.validate(data);
+};
+
+// Query string of referral listings. `type` picks the caller's sent or
+// received referrals; `allowAnyUser` (admin listings) takes user ids instead.
+const validateReferralQuery = (query, allowAnyUser = false) => {
+  let schema = Joi.object({
+    status: Joi.array()
+      .items(
+        Joi.string().valid(
+          "pending",
+          "under_review",
+          "completed",
+          "expired",
+          "cancelled",
+          "reversed"
+        )
+      )
+      .single()
+      .optional(),
+    campaign_id: Joi.string().uuid().optional(),
+    referral_code: Joi.string().max(20).optional(),
+    created_from: Joi.date().optional(),
+    created_to: Joi.date()
+      .when("created_from", {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref("created_from")),
+      })
+      .optional(),
+    sort: Joi.string()
+      .valid("created_at", "updated_at", "expiry_date", "completion_date")
+      .default("created_at"),
+    order: Joi.string().valid("asc", "desc").default("desc"),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    page: Joi.number().integer().min(1).default(1),
+    cursor: Joi.string().max(500).optional(),
+  });
+
+  schema = allowAnyUser
+    ? schema.keys({
+        referrer_id: Joi.string().max(36).optional(),
+        referee_id: Joi.string().max(36).optional(),
+        user_id: Joi.string().max(36).optional(),
+      })
+    : schema.keys({
+        type: Joi.string().valid("sent", "received", "all").default("sent"),
+      });
+
+  return schema.validate(query);
+};
+
+// Channels to turn on or off, e.g. { "channels": { "sms": true } }
+const validateNotificationPreferences = (data) => {
+  const schema = Joi.object({
+    channels: Joi.object({
+      push: Joi.boolean(),
+      email: Joi.boolean(),
+      sms: Joi.boolean(),
+    })
+      .min(1)
+      .required(),
+  });
+
+  return schema.validate(data);
+};
+
 module.exports = {
   validateReferral,
   validateReferralCode,
   validateCampaign,
+  validateVelocityLimits,
+  validateRewardProgram,
+  validateReminderPreferences,
+  validateReportRequest,
+  validateInboundEvent,
+  validateTriggerEvent,
+  validateNotificationPreferences,
+  validateWebhookSubscription,
+  validateReferralQuery,
+  validateCampaignUpdate,
+  validateCampaignQuery,
 };